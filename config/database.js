@@ -1,29 +1,201 @@
 const mysql = require('mysql2/promise');
 
+// Errors that mean the server could not be reached, as opposed to a bad query
+const CONNECTION_ERROR_CODES = [
+    'PROTOCOL_CONNECTION_LOST', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT',
+    'EHOSTUNREACH', 'ENOTFOUND', 'ER_CON_COUNT_ERROR', 'POOL_CLOSED'
+];
+
+function isConnectionError(error) {
+    return Boolean(error && (error.fatal || CONNECTION_ERROR_CODES.includes(error.code)));
+}
+
+// Operators accepted in list filters, see middleware/pagination.js
+const FILTER_OPERATORS = {
+    eq: '=',
+    ne: '<>',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<='
+};
+
+// AND of list filters ({ column, operator, value }) on output columns of a list query
+function filterCondition(filters) {
+    const parts = [];
+    const params = [];
+
+    for (const { column, operator, value } of filters) {
+        const quoted = `\`${column}\``;
+        if (operator === 'in') {
+            parts.push(`${quoted} IN (${value.map(() => '?').join(', ')})`);
+            params.push(...value);
+        } else if (operator === 'contains') {
+            parts.push(`${quoted} LIKE ?`);
+            params.push(`%${String(value).replace(/[\\%_]/g, '\\$&')}%`);
+        } else if (operator === 'null') {
+            parts.push(`${quoted} ${value ? 'IS NULL' : 'IS NOT NULL'}`);
+        } else if (FILTER_OPERATORS[operator]) {
+            parts.push(`${quoted} ${FILTER_OPERATORS[operator]} ?`);
+            params.push(value);
+        } else {
+            throw new Error(`Invalid filter operator: ${operator}`);
+        }
+    }
+
+    return { parts, params };
+}
+
+// Rows strictly after `values` in the given order; NULLs sort first ascending and last descending
+function keysetCondition(sort, values) {
+    const alternatives = [];
+    const params = [];
+
+    sort.forEach(({ column, direction }, index) => {
+        const value = values[index];
+        const parts = [];
+        const partParams = [];
+
+        // Every earlier sort column equal to the cursor row
+        sort.slice(0, index).forEach((previous, i) => {
+            parts.push(`\`${previous.column}\` <=> ?`);
+            partParams.push(values[i]);
+        });
+
+        if (direction === 'DESC') {
+            if (value === null) {
+                return;
+            }
+            parts.push(`(\`${column}\` < ? OR \`${column}\` IS NULL)`);
+        } else {
+            parts.push(value === null ? `\`${column}\` IS NOT NULL` : `\`${column}\` > ?`);
+        }
+        if (value !== null) {
+            partParams.push(value);
+        }
+
+        alternatives.push(`(${parts.join(' AND ')})`);
+        params.push(...partParams);
+    });
+
+    return {
+        clause: alternatives.length > 0 ? `(${alternatives.join(' OR ')})` : 'FALSE',
+        params
+    };
+}
+
+// Query helpers shared by the pool and by transactions; `executor` is a pool or a single connection
+class QueryClient {
+    constructor(executor, onResult = () => {}) {
+        this.executor = executor;
+        this.onResult = onResult;
+    }
+
+    async query(sql, params = []) {
+        try {
+            const [rows] = await this.executor.execute(sql, params);
+            this.onResult(null);
+            return rows;
+        } catch (error) {
+            this.onResult(error);
+            console.error('Query error:', error);
+            throw error;
+        }
+    }
+
+    async fetchAll(sql, params = []) {
+        return await this.query(sql, params);
+    }
+
+    async fetchOne(sql, params = []) {
+        const rows = await this.query(sql, params);
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    async execute(sql, params = []) {
+        try {
+            const [result] = await this.executor.execute(sql, params);
+            this.onResult(null);
+            return {
+                affected_rows: result.affectedRows,
+                last_insert_id: result.insertId
+            };
+        } catch (error) {
+            this.onResult(error);
+            console.error('Execute error:', error);
+            throw error;
+        }
+    }
+
+    // Run SQL over the text protocol, for statements that cannot be prepared (DDL, DELIMITER blocks)
+    async runScript(sql) {
+        try {
+            const [result] = await this.executor.query(sql);
+            this.onResult(null);
+            return result;
+        } catch (error) {
+            this.onResult(error);
+            throw error;
+        }
+    }
+}
+
 class Database {
     constructor() {
-        this.connection = null;
+        this.pool = null;
+        this.client = null;
+        this.connected = false;
+        this.lastError = null;
         this.config = {
             host: process.env.DB_HOST || 'hotel_db',
+            port: parseInt(process.env.DB_PORT || '3306'),
             user: process.env.DB_USER || 'root',
             password: process.env.DB_PASS || 'root',
             database: process.env.DB_NAME || 'hotel_portal',
             charset: 'utf8mb4',
             timezone: '+07:00',
-            connectionLimit: 10,
-            acquireTimeout: 60000,
-            timeout: 60000,
-            reconnect: true
+            waitForConnections: true,
+            connectionLimit: parseInt(process.env.DB_POOL_SIZE || '10'),
+            maxIdle: parseInt(process.env.DB_POOL_MAX_IDLE || process.env.DB_POOL_SIZE || '10'),
+            idleTimeout: 60000,
+            queueLimit: 0,
+            connectTimeout: 10000,
+            enableKeepAlive: true,
+            keepAliveInitialDelay: 10000
         };
     }
 
+    // Track reachability from query outcomes; the pool replaces dropped connections by itself
+    trackResult(error) {
+        if (!error) {
+            if (!this.connected) {
+                this.connected = true;
+                this.lastError = null;
+            }
+            return;
+        }
+        if (isConnectionError(error)) {
+            if (this.connected) {
+                console.error('❌ Database connection lost:', error.message);
+            }
+            this.connected = false;
+            this.lastError = error.message;
+        }
+    }
+
+    getPool() {
+        if (!this.pool) {
+            this.pool = mysql.createPool(this.config);
+            this.client = new QueryClient(this.pool, error => this.trackResult(error));
+        }
+        return this.pool;
+    }
+
     async connect() {
         try {
-            if (!this.connection) {
-                this.connection = await mysql.createConnection(this.config);
-                console.log('✅ Database connected successfully');
-            }
-            return this.connection;
+            await this.ping();
+            console.log('✅ Database connected successfully');
+            return this.pool;
         } catch (error) {
             console.error('❌ Database connection failed:', error.message);
             throw error;
@@ -31,28 +203,68 @@ class Database {
     }
 
     async disconnect() {
-        if (this.connection) {
-            await this.connection.end();
-            this.connection = null;
+        if (this.pool) {
+            const pool = this.pool;
+            this.pool = null;
+            this.client = null;
+            this.connected = false;
+            await pool.end();
             console.log('🔌 Database disconnected');
         }
     }
 
     isConnected() {
-        return this.connection !== null;
+        return this.connected;
     }
 
-    async query(sql, params = []) {
+    /**
+     * Check the server with a round trip on a pooled connection
+     * @returns {Promise<boolean>} Always true; throws when the server is unreachable
+     */
+    async ping() {
+        let connection;
         try {
-            const connection = await this.connect();
-            const [rows] = await connection.execute(sql, params);
-            return rows;
+            connection = await this.getPool().getConnection();
+            await connection.ping();
+            this.trackResult(null);
+            return true;
         } catch (error) {
-            console.error('Query error:', error);
+            this.connected = false;
+            this.lastError = error.message;
             throw error;
+        } finally {
+            if (connection) {
+                connection.release();
+            }
         }
     }
 
+    /**
+     * Pool usage for monitoring
+     * @returns {Object} { connected, limit, total, idle, in_use, waiting, last_error }
+     */
+    getPoolStats() {
+        // mysql2 only exposes these counters on the underlying callback pool
+        const inner = this.pool ? this.pool.pool : null;
+        const total = inner ? inner._allConnections.length : 0;
+        const idle = inner ? inner._freeConnections.length : 0;
+
+        return {
+            connected: this.connected,
+            limit: this.config.connectionLimit,
+            total,
+            idle,
+            in_use: total - idle,
+            waiting: inner ? inner._connectionQueue.length : 0,
+            last_error: this.lastError
+        };
+    }
+
+    async query(sql, params = []) {
+        this.getPool();
+        return await this.client.query(sql, params);
+    }
+
     async fetchAll(sql, params = []) {
         return await this.query(sql, params);
     }
@@ -63,52 +275,102 @@ class Database {
     }
 
     async execute(sql, params = []) {
-        try {
-            const connection = await this.connect();
-            const [result] = await connection.execute(sql, params);
-            return {
-                affected_rows: result.affectedRows,
-                last_insert_id: result.insertId
-            };
-        } catch (error) {
-            console.error('Execute error:', error);
-            throw error;
-        }
+        this.getPool();
+        return await this.client.execute(sql, params);
     }
 
+    async runScript(sql) {
+        this.getPool();
+        return await this.client.runScript(sql);
+    }
+
+    /**
+     * Run a callback inside a transaction on a dedicated connection
+     * Queries must go through the `tx` argument; queries on `db` run outside the transaction.
+     * @param {Function} callback - async (tx) => result, tx has query/fetchAll/fetchOne/execute
+     * @returns {Promise<*>} Result of the callback, after commit
+     */
     async transaction(callback) {
-        const connection = await this.connect();
+        const connection = await this.getPool().getConnection();
+        const tx = new QueryClient(connection, error => this.trackResult(error));
+
+        let reusable = true;
+
         try {
             await connection.beginTransaction();
-            const result = await callback(this);
+            const result = await callback(tx);
             await connection.commit();
             return result;
         } catch (error) {
-            await connection.rollback();
+            try {
+                await connection.rollback();
+            } catch (rollbackError) {
+                console.error('Rollback error:', rollbackError.message);
+                reusable = false;
+            }
             throw error;
+        } finally {
+            // Never hand a connection in an unknown state back to the pool
+            if (reusable) {
+                connection.release();
+            } else {
+                connection.destroy();
+            }
         }
     }
 
-    // Helper method for pagination
-    async paginate(sql, params = [], page = 1, limit = 10) {
-        const offset = (page - 1) * limit;
-        const countSql = sql.replace(/SELECT .* FROM/, 'SELECT COUNT(*) as total FROM');
-        const countSqlClean = countSql.replace(/ORDER BY.*$/, '');
-        
-        const [totalResult] = await this.query(countSqlClean, params);
-        const total = totalResult.total;
-        
-        const dataSql = `${sql} LIMIT ${limit} OFFSET ${offset}`;
-        const data = await this.query(dataSql, params);
-        
-        return {
-            data,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total,
-                pages: Math.ceil(total / limit)
+    /**
+     * Run one page of a list query
+     * The query is wrapped as a derived table, so it may use joins, subqueries and GROUP BY,
+     * but must not carry its own ORDER BY or LIMIT. Sort, filter and selected columns are
+     * output column names of the query.
+     * @param {string} sql - List query
+     * @param {Array} params - Query parameters
+     * @param {Object} options - { sort: [{ column, direction }], limit, offset, after, filters, columns }
+     *   where `after` holds the sort values of the last row already seen (keyset mode),
+     *   `filters` are [{ column, operator, value }] and `columns` limits the selected columns
+     * @returns {Promise<Object>} { data, total, has_more }
+     */
+    async paginate(sql, params = [], { sort, limit, offset = 0, after = null, filters = [], columns = null }) {
+        const identifiers = [...sort.map(s => s.column), ...filters.map(f => f.column), ...(columns || [])];
+        for (const column of identifiers) {
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(column)) {
+                throw new Error(`Invalid column name: ${column}`);
             }
+        }
+
+        const filter = filterCondition(filters);
+        const filterWhere = filter.parts.length > 0 ? `WHERE ${filter.parts.join(' AND ')}` : '';
+
+        const [{ total }] = await this.query(
+            `SELECT COUNT(*) AS total FROM (${sql}) AS counted ${filterWhere}`,
+            [...params, ...filter.params]
+        );
+
+        const conditions = [...filter.parts];
+        const pageParams = [...params, ...filter.params];
+        if (after) {
+            const keyset = keysetCondition(sort, after);
+            conditions.push(keyset.clause);
+            pageParams.push(...keyset.params);
+        }
+
+        const select = columns ? columns.map(column => `\`${column}\``).join(', ') : '*';
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const orderBy = sort.map(({ column, direction }) => `\`${column}\` ${direction}`).join(', ');
+
+        // One extra row tells whether another page follows
+        const rows = await this.query(`
+            SELECT ${select} FROM (${sql}) AS paged
+            ${where}
+            ORDER BY ${orderBy}
+            LIMIT ${parseInt(limit) + 1} OFFSET ${parseInt(offset)}
+        `, pageParams);
+
+        return {
+            data: rows.slice(0, limit),
+            total: Number(total),
+            has_more: rows.length > limit
         };
     }
 }
@@ -138,4 +400,4 @@ process.on('SIGTERM', async () => {
     process.exit(0);
 });
 
-module.exports = db; 
\ No newline at end of file
+module.exports = db;
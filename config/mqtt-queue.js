@@ -0,0 +1,232 @@
+// ============================
+//  MQTT Outbound Queue
+// ============================
+// Messages published while the broker is unreachable are kept here, in order, and written
+// to a local JSON file after every change so they survive API restarts. config/mqtt.js
+// replays them when the client connects. Messages past their expiry are dropped unsent.
+//
+// The file (MQTT_QUEUE_FILE, default mqtt-queue.json in the API directory) is only readable by
+// the API user (mode 0600), and payloads, which may hold Wi-Fi passwords, are stored encrypted
+// (AES-256-GCM) with MQTT_QUEUE_ENCRYPTION_KEY, which only development may leave unset.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const QUEUE_CONFIG = {
+    file: process.env.MQTT_QUEUE_FILE || path.join(__dirname, '..', 'mqtt-queue.json'),
+    maxSize: parseInt(process.env.MQTT_QUEUE_MAX_SIZE || '1000'),
+    // Default expiry of a queued message
+    ttlSeconds: parseInt(process.env.MQTT_QUEUE_TTL_SECONDS || '86400')
+};
+
+if (!process.env.MQTT_QUEUE_ENCRYPTION_KEY) {
+    if (process.env.NODE_ENV !== 'development') {
+        throw new Error('MQTT_QUEUE_ENCRYPTION_KEY is not set (only NODE_ENV=development may run without it)');
+    }
+    console.warn('⚠️ MQTT_QUEUE_ENCRYPTION_KEY is not set - queued MQTT payloads are encrypted with an insecure development key');
+}
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.MQTT_QUEUE_ENCRYPTION_KEY || 'keos-api-insecure-development-mqtt-queue-key')
+    .digest();
+
+const stats = {
+    queued: 0,
+    replayed: 0,
+    expired: 0,
+    rejected: 0,
+    last_replay_at: null
+};
+
+// Encrypt a payload as "v1:<iv>:<tag>:<ciphertext>"
+function encryptPayload(payload) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+
+    return ['v1', iv, cipher.getAuthTag(), encrypted].map(part =>
+        Buffer.isBuffer(part) ? part.toString('base64url') : part
+    ).join(':');
+}
+
+// Decrypt a stored payload, or null if it cannot be read (e.g. the key changed)
+function decryptPayload(stored) {
+    const [version, iv, tag, encrypted] = String(stored || '').split(':');
+    if (version !== 'v1' || encrypted === undefined) {
+        return null;
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(iv, 'base64url'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Read the queue file; a missing file is an empty queue
+// Payloads are kept decrypted in memory. Files written before payloads were encrypted still
+// load (their payload is plain) and are encrypted on the next save.
+function load() {
+    try {
+        const stored = JSON.parse(fs.readFileSync(QUEUE_CONFIG.file, 'utf8'));
+        if (!Array.isArray(stored)) {
+            throw new Error('The queue file does not hold an array');
+        }
+
+        const messages = [];
+        for (const { encrypted_payload, ...message } of stored) {
+            if (encrypted_payload !== undefined) {
+                message.payload = decryptPayload(encrypted_payload);
+            }
+            if (message.payload === null) {
+                console.error(`❌ MQTT message ${message.id} for ${message.topic} could not be decrypted and is dropped`);
+                continue;
+            }
+            messages.push(message);
+        }
+        if (messages.length > 0) {
+            console.log(`📦 MQTT outbound queue loaded with ${messages.length} message(s)`);
+        }
+        return messages;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ Could not load the MQTT outbound queue, starting empty:', error.message);
+        }
+        return [];
+    }
+}
+
+// Write the queue file through a temporary file, so a crash never leaves half a queue
+// The temporary file is created readable by the API user only, and the rename keeps that mode.
+function save() {
+    const tempFile = `${QUEUE_CONFIG.file}.${process.pid}.tmp`;
+    const stored = messages.map(({ payload, ...message }) => ({ ...message, encrypted_payload: encryptPayload(payload) }));
+    fs.mkdirSync(path.dirname(QUEUE_CONFIG.file), { recursive: true });
+    fs.rmSync(tempFile, { force: true });
+    fs.writeFileSync(tempFile, JSON.stringify(stored), { mode: 0o600 });
+    fs.renameSync(tempFile, QUEUE_CONFIG.file);
+}
+
+// Saving right away encrypts and restricts a queue file left by an older version
+const messages = load();
+if (messages.length > 0) {
+    try {
+        save();
+    } catch (error) {
+        console.error('❌ Could not rewrite the MQTT outbound queue:', error.message);
+    }
+}
+
+// Drop messages past their expiry, saving when any were dropped
+function dropExpired() {
+    const now = Date.now();
+    const kept = messages.filter(message => Date.parse(message.expires_at) > now);
+    if (kept.length === messages.length) {
+        return;
+    }
+
+    for (const message of messages.filter(message => !kept.includes(message))) {
+        console.warn(`⚠️ MQTT message ${message.id} for ${message.topic} expired in the outbound queue`);
+    }
+    stats.expired += messages.length - kept.length;
+    messages.splice(0, messages.length, ...kept);
+    save();
+}
+
+/**
+ * Add a message to the end of the queue
+ * @param {string} topic - Topic to publish to
+ * @param {string} payload - Payload, already serialized
+ * @param {Object} options - { qos, retain, ttl (seconds), siteId, meta }
+ *   meta is kept with the message and handed back when it is replayed
+ * @returns {Object|null} Queued message, or null when the queue is full
+ */
+function enqueue(topic, payload, { qos, retain, ttl = QUEUE_CONFIG.ttlSeconds, siteId = null, meta = null } = {}) {
+    dropExpired();
+    if (messages.length >= QUEUE_CONFIG.maxSize) {
+        stats.rejected++;
+        return null;
+    }
+
+    const now = Date.now();
+    const message = {
+        id: crypto.randomUUID(),
+        topic,
+        payload,
+        qos,
+        retain,
+        site_id: siteId,
+        meta,
+        queued_at: new Date(now).toISOString(),
+        expires_at: new Date(now + ttl * 1000).toISOString()
+    };
+    messages.push(message);
+    try {
+        save();
+    } catch (error) {
+        // A message that is not on disk would be lost on restart, so it is not accepted
+        messages.pop();
+        throw error;
+    }
+    stats.queued++;
+    return message;
+}
+
+/**
+ * Oldest message that has not expired
+ * @returns {Object|undefined} Message, or undefined when the queue is empty
+ */
+function peek() {
+    dropExpired();
+    return messages[0];
+}
+
+/**
+ * Remove a message once it has been published
+ * @param {string} id - Message ID
+ */
+function remove(id) {
+    const index = messages.findIndex(message => message.id === id);
+    if (index !== -1) {
+        messages.splice(index, 1);
+        save();
+        stats.replayed++;
+        stats.last_replay_at = new Date().toISOString();
+    }
+}
+
+// Number of queued messages, expired ones included until the next check
+function size() {
+    return messages.length;
+}
+
+/**
+ * Backlog for GET /api/mqtt/queue
+ * Payloads are left out, they may hold Wi-Fi passwords.
+ * @param {Function} isVisible - (message) => boolean, to limit the listed messages
+ * @returns {Object} Settings, counters and the queued messages, oldest first
+ */
+function getQueueStatus(isVisible = () => true) {
+    dropExpired();
+    return {
+        size: messages.length,
+        max_size: QUEUE_CONFIG.maxSize,
+        ttl_seconds: QUEUE_CONFIG.ttlSeconds,
+        oldest_queued_at: messages.length > 0 ? messages[0].queued_at : null,
+        ...stats,
+        messages: messages.filter(isVisible).map(({ id, topic, qos, retain, site_id, queued_at, expires_at }) => (
+            { id, topic, qos, retain, site_id, queued_at, expires_at }
+        ))
+    };
+}
+
+module.exports = {
+    QUEUE_CONFIG,
+    enqueue,
+    peek,
+    remove,
+    size,
+    getQueueStatus
+};
@@ -0,0 +1,193 @@
+// ============================
+//  MQTT Topic Templates
+// ============================
+// Topics are named "<category>.<kind>" after their template in mqtt-config.json
+// (e.g. "device.command" for topics.device.command) and always start with topics.prefix.
+// The configuration is read on every call, so POST /api/mqtt/reload-config changes the
+// layout of published topics right away; subscriptions are made once at startup.
+
+const mqtt = require('./mqtt');
+
+// Entry of the qos / retain configuration each topic uses; the rest use "default"
+const TOPIC_SETTINGS = {
+    'device.command': 'device_commands',
+    'device.reply': 'device_commands',
+    'device.status': 'status',
+    'room.status': 'status',
+    'wifi.config': 'config',
+    'notification.system': 'notifications',
+    'notification.guest': 'notifications',
+    'order.notification': 'notifications'
+};
+
+// Longest value accepted for a placeholder
+const MAX_PARAM_LENGTH = 128;
+
+// Longest raw topic accepted for publishing
+const MAX_TOPIC_LENGTH = 512;
+
+// Whether text is a valid topic level: not empty, no "/", wildcards or control characters
+function isTopicLevel(text) {
+    return text !== '' && !/[/+#\u0000-\u001f]/.test(text);
+}
+
+// Template of a named topic, with the prefix, or null when it is not configured
+function getTemplate(name) {
+    const { topics } = mqtt.getConfig();
+    const [category, kind] = name.split('.');
+    const template = topics[category] && typeof topics[category] === 'object' ? topics[category][kind] : null;
+    return typeof template === 'string' ? `${topics.prefix}/${template}` : null;
+}
+
+// Placeholder name of a topic level ("{site_id}"), or undefined
+function placeholderOf(level) {
+    return (level.match(/^\{(\w+)\}$/) || [])[1];
+}
+
+/**
+ * QoS and retain flag configured for a named topic
+ * @param {string} name - Topic name, e.g. "wifi.config"
+ * @returns {Object} { qos, retain }
+ */
+function publishOptions(name) {
+    const { qos, retain } = mqtt.getConfig();
+    const setting = TOPIC_SETTINGS[name];
+    return {
+        qos: qos[setting] ?? qos.default,
+        retain: retain[setting] ?? retain.default
+    };
+}
+
+/**
+ * Render a named topic with its placeholder values
+ * Values must be non-empty single topic levels: "/", the wildcards "+" and "#" and
+ * control characters are rejected, so a parameter can never reach another topic.
+ * @param {string} name - Topic name, e.g. "device.command"
+ * @param {Object} params - Placeholder values, e.g. { site_id: 1, device_id: 42 }
+ * @returns {Object} { topic, qos, retain } or { error }
+ */
+function buildTopic(name, params = {}) {
+    const template = getTemplate(name);
+    if (!template) {
+        return { error: `No topic template configured for ${name}` };
+    }
+
+    const levels = [];
+    for (const level of template.split('/')) {
+        const placeholder = placeholderOf(level);
+        if (!placeholder) {
+            levels.push(level);
+            continue;
+        }
+
+        const value = params[placeholder];
+        if (value === undefined || value === null || String(value) === '') {
+            return { error: `${placeholder} is required` };
+        }
+        const text = String(value);
+        if (!isTopicLevel(text) || text.length > MAX_PARAM_LENGTH) {
+            return { error: `${placeholder} must be a single topic level without /, + or #` };
+        }
+        levels.push(text);
+    }
+
+    return { topic: levels.join('/'), ...publishOptions(name) };
+}
+
+/**
+ * Check a raw topic a client asked to publish to
+ * Levels follow the placeholder rules of buildTopic. A PUBLISH to a topic with + or # is a
+ * protocol violation the broker answers by dropping the connection, and $ topics are
+ * reserved for the broker.
+ * @param {string} topic - Topic, e.g. "hotel/1/room/101/status"
+ * @returns {Object} { topic } or { error }
+ */
+function checkPublishTopic(topic) {
+    const text = String(topic);
+    if (text.length > MAX_TOPIC_LENGTH) {
+        return { error: `Topic must be at most ${MAX_TOPIC_LENGTH} characters` };
+    }
+    if (text.startsWith('$')) {
+        return { error: 'Topics starting with $ are reserved for the broker' };
+    }
+    if (!text.split('/').every(isTopicLevel)) {
+        return { error: 'Topic levels must not be empty or contain +, # or control characters' };
+    }
+    return { topic: text };
+}
+
+/**
+ * Subscription filter of a named topic, with a + wildcard for every placeholder
+ * @param {string} name - Topic name, e.g. "device.status"
+ * @returns {string|null} Filter, or null when the topic is not configured
+ */
+function topicFilter(name) {
+    const template = getTemplate(name);
+    if (!template) {
+        return null;
+    }
+    return template.split('/').map(level => (placeholderOf(level) ? '+' : level)).join('/');
+}
+
+/**
+ * Placeholder values of a received topic
+ * @param {string} name - Topic name the topic should match, e.g. "room.status"
+ * @param {string} topic - Received topic
+ * @returns {Object|null} { placeholder: value }, or null when the topic does not match
+ */
+function parseTopic(name, topic) {
+    const template = getTemplate(name);
+    if (!template) {
+        return null;
+    }
+
+    const levels = template.split('/');
+    const parts = topic.split('/');
+    if (parts.length !== levels.length) {
+        return null;
+    }
+
+    const values = {};
+    for (let i = 0; i < levels.length; i++) {
+        const placeholder = placeholderOf(levels[i]);
+        if (placeholder) {
+            values[placeholder] = parts[i];
+        } else if (parts[i] !== levels[i]) {
+            return null;
+        }
+    }
+    return values;
+}
+
+/**
+ * Build a named topic and publish to it with its configured QoS and retain flag
+ * @param {string} name - Topic name
+ * @param {Object} params - Placeholder values
+ * @param {*} message - Payload (objects are sent as JSON)
+ * @param {Object} queueOptions - { ttl, meta } used if the message has to be queued
+ * @returns {Promise<Object>} { topic, options, queued } or { error } when the topic cannot be built
+ */
+async function publishTo(name, params, message, queueOptions = {}) {
+    const built = buildTopic(name, params);
+    if (built.error) {
+        return built;
+    }
+
+    const options = { qos: built.qos, retain: built.retain };
+    const { queued } = await mqtt.publishMessage(built.topic, message, {
+        ...options,
+        ...queueOptions,
+        siteId: /^\d+$/.test(String(params.site_id)) ? parseInt(params.site_id) : null
+    });
+    return { topic: built.topic, options, queued };
+}
+
+module.exports = {
+    TOPIC_SETTINGS,
+    publishOptions,
+    buildTopic,
+    checkPublishTopic,
+    topicFilter,
+    parseTopic,
+    publishTo
+};
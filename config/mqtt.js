@@ -1,6 +1,7 @@
 const mqtt = require('mqtt');
 const fs = require('fs');
 const path = require('path');
+const mqttQueue = require('./mqtt-queue');
 
 // Load MQTT Configuration from JSON file
 function loadMqttConfig() {
@@ -29,7 +30,25 @@ function loadMqttConfig() {
                 rejectUnauthorized: false
             },
             topics: {
-                prefix: 'hotel'
+                prefix: 'hotel',
+                device: {
+                    command: '{site_id}/device/{device_id}/command',
+                    reply: '{site_id}/device/{device_id}/reply',
+                    status: '{site_id}/device/{device_id}/status'
+                },
+                wifi: {
+                    config: '{site_id}/wifi/{room}/config'
+                },
+                notification: {
+                    system: '{site_id}/notification/{target}',
+                    guest: '{site_id}/guest/{action}'
+                },
+                room: {
+                    status: '{site_id}/room/{room}/status'
+                },
+                order: {
+                    notification: '{site_id}/order/{order_id}'
+                }
             },
             qos: {
                 default: 0,
@@ -54,6 +73,15 @@ const MQTT_CONFIG = CONFIG.mqtt;
 // MQTT Client instance
 let mqttClient = null;
 
+// Callbacks waiting for the first connection, see whenConnected
+const connectWaiters = [];
+
+// Callbacks told about queued messages once they are published, see onQueuedPublish
+const queuedPublishListeners = [];
+
+// Whether the outbound queue is being replayed
+let replaying = false;
+
 // Connect to MQTT broker
 function connectMQTT() {
     return new Promise((resolve, reject) => {
@@ -62,6 +90,8 @@ function connectMQTT() {
             
             mqttClient.on('connect', () => {
                 console.log('✅ MQTT Connected to broker');
+                connectWaiters.splice(0).forEach(callback => callback(mqttClient));
+                replayQueue();
                 resolve(mqttClient);
             });
             
@@ -85,22 +115,9 @@ function connectMQTT() {
     });
 }
 
-// Publish message to MQTT topic
-function publishMessage(topic, message, options = {}) {
+// Hand a serialized message to the client
+function sendToBroker(topic, payload, publishOptions) {
     return new Promise((resolve, reject) => {
-        if (!mqttClient || !mqttClient.connected) {
-            reject(new Error('MQTT client not connected'));
-            return;
-        }
-        
-        const payload = typeof message === 'string' ? message : JSON.stringify(message);
-        
-        // Use configuration defaults if not provided
-        const publishOptions = {
-            qos: options.qos ?? CONFIG.qos.default,
-            retain: options.retain ?? CONFIG.retain.default
-        };
-        
         mqttClient.publish(topic, payload, publishOptions, (error) => {
             if (error) {
                 console.error('❌ MQTT Publish error:', error);
@@ -113,15 +130,99 @@ function publishMessage(topic, message, options = {}) {
     });
 }
 
-// Subscribe to MQTT topic
-function subscribeToTopic(topic, callback) {
+// Publish queued messages oldest first, stopping at the first failure or disconnect
+async function replayQueue() {
+    if (replaying) {
+        return;
+    }
+    replaying = true;
+    try {
+        let message;
+        while (isConnected() && (message = mqttQueue.peek())) {
+            await sendToBroker(message.topic, message.payload, { qos: message.qos, retain: message.retain });
+            mqttQueue.remove(message.id);
+            queuedPublishListeners.forEach(callback => callback(message));
+        }
+    } catch (error) {
+        console.error('❌ MQTT outbound queue replay error:', error.message);
+    } finally {
+        replaying = false;
+    }
+}
+
+// Publish message to MQTT topic
+// While the broker is unreachable, or older messages are still queued, the message is
+// queued (see config/mqtt-queue.js) and published in order once the client connects.
+// Options: qos, retain, and for queued messages ttl (seconds), siteId and meta.
+// Resolves with { queued: false } once published, or { queued: true, id } once queued;
+// rejects when the message can neither be published nor queued.
+function publishMessage(topic, message, options = {}) {
+    const payload = typeof message === 'string' ? message : JSON.stringify(message);
+
+    // Use configuration defaults if not provided
+    const publishOptions = {
+        qos: options.qos ?? CONFIG.qos.default,
+        retain: options.retain ?? CONFIG.retain.default
+    };
+
+    if (isConnected() && mqttQueue.size() === 0) {
+        return sendToBroker(topic, payload, publishOptions).then(() => ({ queued: false }));
+    }
+
+    let queued;
+    try {
+        queued = mqttQueue.enqueue(topic, payload, {
+            ...publishOptions,
+            ttl: options.ttl,
+            siteId: options.siteId,
+            meta: options.meta
+        });
+    } catch (error) {
+        return Promise.reject(new Error(`MQTT broker unreachable and the message could not be queued: ${error.message}`));
+    }
+    if (!queued) {
+        return Promise.reject(new Error(`MQTT outbound queue is full (${mqttQueue.size()} messages waiting for the broker)`));
+    }
+
+    console.log(`📦 MQTT Queued for ${topic} (${mqttQueue.size()} waiting)`);
+    if (isConnected()) {
+        replayQueue();
+    }
+    return Promise.resolve({ queued: true, id: queued.id });
+}
+
+// Run a callback with each queued message once it has been published (e.g. to update its record)
+function onQueuedPublish(callback) {
+    queuedPublishListeners.push(callback);
+}
+
+// Whether a topic matches a subscription filter with + and # wildcards
+function topicMatches(filter, topic) {
+    const filterLevels = filter.split('/');
+    const topicLevels = topic.split('/');
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === '#') {
+            return true;
+        }
+        if (i >= topicLevels.length || (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i])) {
+            return false;
+        }
+    }
+    return filterLevels.length === topicLevels.length;
+}
+
+// Subscribe to MQTT topic (or wildcard filter); the callback gets the message and the topic it arrived on
+function subscribeToTopic(topic, callback, options = {}) {
     return new Promise((resolve, reject) => {
         if (!mqttClient || !mqttClient.connected) {
             reject(new Error('MQTT client not connected'));
             return;
         }
         
-        mqttClient.subscribe(topic, (error) => {
+        const subscribeOptions = { qos: options.qos ?? CONFIG.qos.default };
+
+        mqttClient.subscribe(topic, subscribeOptions, (error) => {
             if (error) {
                 console.error('❌ MQTT Subscribe error:', error);
                 reject(error);
@@ -130,12 +231,12 @@ function subscribeToTopic(topic, callback) {
                 
                 // Set up message handler
                 mqttClient.on('message', (receivedTopic, message) => {
-                    if (receivedTopic === topic) {
+                    if (topicMatches(topic, receivedTopic)) {
                         try {
                             const parsedMessage = JSON.parse(message.toString());
-                            callback(parsedMessage);
+                            callback(parsedMessage, receivedTopic);
                         } catch (e) {
-                            callback(message.toString());
+                            callback(message.toString(), receivedTopic);
                         }
                     }
                 });
@@ -151,6 +252,16 @@ function isConnected() {
     return mqttClient && mqttClient.connected;
 }
 
+// Run a callback once the client is connected (right away if it already is)
+// Subscriptions made then are renewed by the client itself after reconnects.
+function whenConnected(callback) {
+    if (isConnected()) {
+        callback(mqttClient);
+    } else {
+        connectWaiters.push(callback);
+    }
+}
+
 // Disconnect MQTT client
 function disconnectMQTT() {
     if (mqttClient) {
@@ -182,8 +293,11 @@ function getConfig() {
 module.exports = {
     connectMQTT,
     publishMessage,
+    onQueuedPublish,
     subscribeToTopic,
+    topicMatches,
     isConnected,
+    whenConnected,
     disconnectMQTT,
     reloadConfig,
     getConfig,
@@ -0,0 +1,128 @@
+// ============================
+//  Permission Catalog
+// ============================
+// Keys stored in admin_permission.permission_key and role_permission.permission_key
+
+const PERMISSIONS = {
+    'sites:read': 'View sites, site settings and profiles',
+    'sites:write': 'Create and update sites',
+    'devices:read': 'View devices, apps, logs and status',
+    'devices:write': 'Add, update and remove devices',
+    'devices:command': 'Send commands to devices',
+    'admins:read': 'View admin accounts, their sites and permissions',
+    'admins:manage': 'Create, update and remove admins and their access',
+    'wifi:read': 'View Wi-Fi configurations and profiles',
+    'wifi:write': 'Change Wi-Fi configurations and profiles',
+    'products:read': 'View products and categories',
+    'products:write': 'Manage products and categories',
+    'orders:read': 'View orders and order items',
+    'orders:manage': 'Create, update and remove orders',
+    'mqtt:read': 'View MQTT status, configuration and outbound queue',
+    'mqtt:publish': 'Publish MQTT messages, commands and notifications',
+    'mqtt:config': 'Reload MQTT configuration and handle dead-lettered messages',
+    'events:read': 'Receive live events (of the types the read permissions cover)',
+    'logs:read': 'View logs, performance and analytics data',
+    'logs:write': 'Write logs, performance and analytics data',
+    'api_keys:read': 'View API keys',
+    'api_keys:manage': 'Create, rotate and revoke API keys',
+    'roles:read': 'View roles and the permission catalog',
+    'roles:manage': 'Create, update and remove roles'
+};
+
+// Grants every permission
+const WILDCARD_PERMISSION = '*';
+
+// ============================
+//  Route Permission Map
+// ============================
+// Per router, "METHOD /path" patterns relative to the mount point.
+// `:param` matches one path segment, a trailing `*` matches the rest.
+// The first matching rule wins; requests without a matching rule are denied.
+
+const ROUTE_PERMISSIONS = {
+    sites: {
+        'GET *': 'sites:read',
+        '* *': 'sites:write'
+    },
+    devices: {
+        'POST /command': 'devices:command',
+        'POST /:id/commands': 'devices:command',
+        'GET *': 'devices:read',
+        '* *': 'devices:write'
+    },
+    admins: {
+        'GET *': 'admins:read',
+        '* *': 'admins:manage'
+    },
+    wifi: {
+        'GET *': 'wifi:read',
+        '* *': 'wifi:write'
+    },
+    products: {
+        'GET *': 'products:read',
+        '* *': 'products:write'
+    },
+    orders: {
+        'GET *': 'orders:read',
+        '* *': 'orders:manage'
+    },
+    mqtt: {
+        'GET *': 'mqtt:read',
+        'POST /reload-config': 'mqtt:config',
+        'POST /dead-letters/*': 'mqtt:config',
+        'DELETE /dead-letters/*': 'mqtt:config',
+        'POST *': 'mqtt:publish'
+    },
+    events: {
+        'GET *': 'events:read'
+    },
+    logs: {
+        'GET *': 'logs:read',
+        'POST *': 'logs:write'
+    },
+    apiKeys: {
+        'GET *': 'api_keys:read',
+        '* *': 'api_keys:manage'
+    },
+    roles: {
+        'GET *': 'roles:read',
+        '* *': 'roles:manage'
+    }
+};
+
+// ============================
+//  API Key Endpoints
+// ============================
+// Endpoints that may be granted to API keys (X-API-Key), as full paths.
+// Keys are bound to one site, so every endpoint here must check site access.
+
+const API_KEY_ENDPOINTS = {
+    'POST /api/devices/:id/heartbeat': 'Report device heartbeat',
+    'POST /api/devices/:id/wifi-status': 'Report device Wi-Fi status',
+    'POST /api/devices/:id/client-logs': 'Report Wi-Fi client connections',
+    'PATCH /api/devices/:id/status': 'Report device status',
+    'GET /api/devices/:id': 'Read device details',
+    'GET /api/devices/:id/iot': 'Read device IoT mappings',
+    'POST /api/devices/iot/:iotId/status': 'Report IoT sensor status',
+    'GET /api/wifi/by-room/:siteId/:room': 'Read room Wi-Fi configuration',
+    'GET /api/products': 'Read product catalog',
+    'GET /api/events': 'Stream live events of the site (Server-Sent Events)',
+    'GET /api/events/ws': 'Stream live events of the site (WebSocket)',
+    'POST /api/logs/device': 'Write device logs',
+    'POST /api/logs/performance': 'Write performance data'
+};
+
+// Granted when a key is created without an explicit endpoint list
+const DEFAULT_API_KEY_ENDPOINTS = [
+    'POST /api/devices/:id/heartbeat',
+    'POST /api/devices/:id/wifi-status',
+    'POST /api/devices/:id/client-logs'
+];
+
+module.exports = {
+    PERMISSIONS,
+    WILDCARD_PERMISSION,
+    ROUTE_PERMISSIONS,
+    API_KEY_ENDPOINTS,
+    DEFAULT_API_KEY_ENDPOINTS
+};
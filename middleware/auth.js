@@ -0,0 +1,235 @@
+const db = require('../config/database');
+const tokens = require('../services/tokens');
+const apiKeys = require('../services/api-keys');
+const roles = require('../services/roles');
+const { WILDCARD_PERMISSION, ROUTE_PERMISSIONS } = require('../config/permissions');
+
+const { SUPER_ADMIN_ROLE } = roles;
+
+/**
+ * Resolve the admin behind the bearer token of a request
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Admin with direct and role permissions and site assignments, or null
+ */
+async function loadAdminFromRequest(req) {
+    const token = tokens.getBearerToken(req);
+    if (!token) {
+        return null;
+    }
+
+    const claims = await tokens.verifyAccessToken(token, { ip: req.ip });
+    if (!claims) {
+        return null;
+    }
+
+    const admin = await db.fetchOne(
+        "SELECT id, email, name, verified FROM admins WHERE id = ? AND deleted_at IS NULL LIMIT 1",
+        [claims.adminId]
+    );
+    if (!admin) {
+        return null;
+    }
+
+    const directPermissions = (await db.fetchAll(
+        "SELECT permission_key FROM admin_permission WHERE admin_id = ?",
+        [admin.id]
+    )).map(p => p.permission_key);
+
+    // Each assignment carries the permissions of its role on that site
+    const assignments = await roles.getAssignments(admin.id);
+
+    return {
+        ...admin,
+        session_id: claims.sessionId,
+        directPermissions,
+        permissions: [...new Set([...directPermissions, ...assignments.flatMap(a => a.permissions)])],
+        assignments,
+        isSuperAdmin: assignments.some(a => a.role === SUPER_ADMIN_ROLE)
+    };
+}
+
+/**
+ * Check whether an admin holds a permission
+ * @param {Object} admin - Admin loaded by authenticate
+ * @param {string} permission - Permission key
+ * @returns {boolean} Whether the permission is granted
+ */
+function hasPermission(admin, permission) {
+    if (!admin) {
+        return false;
+    }
+
+    return admin.isSuperAdmin ||
+        admin.permissions.includes(WILDCARD_PERMISSION) ||
+        admin.permissions.includes(permission);
+}
+
+// Send a consistent 401 response
+function sendUnauthorized(res, message = 'Authentication required') {
+    return res.status(401).json({ success: false, error: message });
+}
+
+// Send a consistent 403 response
+function sendForbidden(res, permission) {
+    return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        required: permission
+    });
+}
+
+/**
+ * Require a valid access token (req.admin) or API key (req.apiKey)
+ */
+async function authenticate(req, res, next) {
+    try {
+        const plainApiKey = req.get('X-API-Key');
+        if (plainApiKey && !tokens.getBearerToken(req)) {
+            const apiKey = await apiKeys.verifyApiKey(plainApiKey, req.ip);
+            if (!apiKey) {
+                return sendUnauthorized(res, 'Invalid or expired API key');
+            }
+            req.apiKey = apiKey;
+            return next();
+        }
+
+        if (!tokens.getBearerToken(req)) {
+            return sendUnauthorized(res);
+        }
+
+        const admin = await loadAdminFromRequest(req);
+        if (!admin) {
+            return sendUnauthorized(res, 'Invalid or expired token');
+        }
+
+        req.admin = admin;
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Accept the access token as ?access_token= on endpoints used by clients that cannot set
+ * headers (EventSource, browser WebSockets); an Authorization header takes precedence
+ */
+function acceptQueryToken(req, res, next) {
+    if (req.query.access_token && !req.headers.authorization) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+}
+
+/**
+ * Require every given permission
+ * @param {...string} permissions - Permission keys
+ * @returns {Function} Express middleware
+ */
+function requirePermission(...permissions) {
+    return (req, res, next) => {
+        if (!req.admin) {
+            return sendUnauthorized(res);
+        }
+
+        const missing = permissions.find(permission => !hasPermission(req.admin, permission));
+        if (missing) {
+            return sendForbidden(res, missing);
+        }
+
+        next();
+    };
+}
+
+// Compile a "METHOD /path" rule into a matcher
+function compileRule(rule) {
+    const [method, pattern] = rule.split(' ');
+    const source = pattern === '*'
+        ? '.*'
+        : pattern
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\/\*$/, '(?:/.*)?')
+            .replace(/:[A-Za-z_]+/g, '[^/]+');
+
+    return { method, regex: new RegExp(`^${source}/?$`) };
+}
+
+// Check a compiled rule against a request method and path
+function ruleMatches(matcher, method, path) {
+    const effectiveMethod = method === 'HEAD' ? 'GET' : method;
+    return (matcher.method === '*' || matcher.method === effectiveMethod) && matcher.regex.test(path);
+}
+
+/**
+ * Find the permission required for a request
+ * @param {Array} matchers - Compiled rules with their permission
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to the router mount point
+ * @returns {string|null} Permission key or null when no rule matches
+ */
+function resolvePermission(matchers, method, path) {
+    const match = matchers.find(matcher => ruleMatches(matcher, method, path));
+    return match ? match.permission : null;
+}
+
+/**
+ * Check whether an API key was granted an endpoint
+ * @param {Object} apiKey - Key loaded by authenticate
+ * @param {string} method - HTTP method
+ * @param {string} fullPath - Full request path (e.g. /api/devices/5/heartbeat)
+ * @returns {boolean} Whether the endpoint is allowed
+ */
+function isEndpointAllowed(apiKey, method, fullPath) {
+    return apiKey.allowed_endpoints.some(rule => ruleMatches(compileRule(rule), method, fullPath));
+}
+
+/**
+ * Enforce the declarative permission map of a router
+ * @param {string} resource - Key in ROUTE_PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+function authorize(resource) {
+    if (!ROUTE_PERMISSIONS[resource]) {
+        throw new Error(`No route permissions defined for: ${resource}`);
+    }
+    const matchers = Object.entries(ROUTE_PERMISSIONS[resource])
+        .map(([rule, permission]) => ({ ...compileRule(rule), permission }));
+
+    return (req, res, next) => {
+        // API keys are limited to the endpoints granted to them
+        if (req.apiKey) {
+            if (!isEndpointAllowed(req.apiKey, req.method, req.baseUrl + req.path)) {
+                return res.status(403).json({ success: false, error: 'Endpoint not allowed for this API key' });
+            }
+            return next();
+        }
+
+        if (!req.admin) {
+            return sendUnauthorized(res);
+        }
+
+        const permission = resolvePermission(matchers, req.method, req.path);
+        if (!permission) {
+            console.warn(`⚠️ No permission rule for ${req.method} ${req.baseUrl}${req.path}, denying`);
+            return sendForbidden(res, null);
+        }
+
+        if (!hasPermission(req.admin, permission)) {
+            return sendForbidden(res, permission);
+        }
+
+        // Role permissions only apply on their own site, see siteAccess
+        req.requiredPermission = permission;
+        next();
+    };
+}
+
+module.exports = {
+    SUPER_ADMIN_ROLE,
+    loadAdminFromRequest,
+    hasPermission,
+    authenticate,
+    acceptQueryToken,
+    requirePermission,
+    authorize
+};
@@ -0,0 +1,265 @@
+// ============================
+//  Bulk Import / Export
+// ============================
+// Import files are sent as the request body: CSV (text/csv, header row first) or JSON
+// (an array of row objects, or the { data: [...] } shape export produces). Rows are validated
+// with the resource's own validation chains and imported in one transaction, or not at all.
+
+const { validationResult } = require('express-validator');
+const db = require('../config/database');
+const { canAccessSite } = require('./siteAccess');
+
+const BULK_CONFIG = {
+    maxRows: parseInt(process.env.BULK_IMPORT_MAX_ROWS || '5000')
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+ * Blank lines are skipped and a leading byte order mark is ignored.
+ * @param {string} text - CSV document
+ * @returns {Object} { records: Array<Array<string>> } or { error }
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') {
+                field += char;
+            } else if (text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        return { error: 'Unterminated quoted field in CSV' };
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return { records: records.filter(fields => fields.length > 1 || fields[0].trim() !== '') };
+}
+
+// Quote a CSV field when it holds a delimiter, quote or line break
+function formatCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV with a header row
+ * @param {Array<string>} columns - Columns, in order
+ * @param {Array<Object>} rows - Rows
+ * @returns {string} CSV document
+ */
+function formatCsv(columns, rows) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(fields => fields.map(formatCsvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Rows of an import request
+ * Empty CSV cells and null JSON values count as missing, so optional fields get their defaults.
+ * @param {Object} req - Express request
+ * @param {Array<string>} columns - Columns the file may contain
+ * @returns {Object} { rows } or { error, status }
+ */
+function readImportRows(req, columns) {
+    let rows;
+
+    if (req.is('text/csv')) {
+        const parsed = typeof req.body === 'string' ? parseCsv(req.body) : { records: [] };
+        if (parsed.error) {
+            return { error: parsed.error, status: 400 };
+        }
+
+        const [header, ...records] = parsed.records;
+        if (!header) {
+            return { error: 'The CSV file is empty', status: 400 };
+        }
+        const names = header.map(name => name.trim());
+        const unknown = names.find(name => !columns.includes(name));
+        if (unknown !== undefined) {
+            return { error: `Unknown column ${unknown}`, status: 400 };
+        }
+
+        const malformed = records.findIndex(fields => fields.length > names.length);
+        if (malformed !== -1) {
+            return { error: `Row ${malformed + 1} has more fields than the header`, status: 400 };
+        }
+        rows = records.map(fields => Object.fromEntries(
+            names.map((name, index) => [name, fields[index]]).filter(([, value]) => value !== undefined && value !== '')
+        ));
+    } else if (req.is('application/json')) {
+        const body = Array.isArray(req.body) ? req.body : req.body && req.body.data;
+        if (!Array.isArray(body)) {
+            return { error: 'Send a JSON array of rows', status: 400 };
+        }
+
+        for (const [index, row] of body.entries()) {
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                return { error: `Row ${index + 1} must be an object`, status: 400 };
+            }
+            const unknown = Object.keys(row).find(name => !columns.includes(name));
+            if (unknown !== undefined) {
+                return { error: `Unknown column ${unknown} in row ${index + 1}`, status: 400 };
+            }
+        }
+        rows = body.map(row => Object.fromEntries(
+            Object.entries(row).filter(([, value]) => value !== null && value !== '')
+        ));
+    } else {
+        return { error: 'Send the file as text/csv or application/json', status: 415 };
+    }
+
+    if (rows.length === 0) {
+        return { error: 'The file has no rows', status: 400 };
+    }
+    if (rows.length > BULK_CONFIG.maxRows) {
+        return { error: `At most ${BULK_CONFIG.maxRows} rows can be imported at once`, status: 400 };
+    }
+    return { rows };
+}
+
+/**
+ * Validate import rows and decide for each whether it creates or updates a record
+ * Besides the validation chains, every row needs access to an existing site, and an
+ * upsert key may appear only once in the file. A matched record must be on a site the
+ * caller may access as well.
+ * @param {Object} req - Express request (site access)
+ * @param {Array<Object>} rows - From readImportRows
+ * @param {Object} options - { validators, keyName, keyOf(data), findExisting(keys) }
+ *   keyOf returns the upsert key of a row or null (always created); findExisting resolves
+ *   keys to a Map of existing records ({ id, site_id })
+ * @returns {Promise<Array<Object>>} { row, data, action, id, errors } per row, row numbers from 1
+ */
+async function planImport(req, rows, { validators, keyName, keyOf, findExisting }) {
+    const plan = [];
+    for (const [index, row] of rows.entries()) {
+        // Validation chains only need the body, and sanitize it in place
+        const rowReq = { body: { ...row } };
+        for (const validator of validators) {
+            await validator.run(rowReq);
+        }
+        const errors = validationResult(rowReq).array().map(error => `${error.path}: ${error.msg}`);
+        plan.push({ row: index + 1, data: rowReq.body, action: null, id: null, errors });
+    }
+
+    const valid = plan.filter(item => item.errors.length === 0);
+    const siteIds = [...new Set(valid.map(item => parseInt(item.data.site_id)))];
+    const sites = siteIds.length > 0
+        ? (await db.fetchAll(
+            `SELECT id FROM sites WHERE deleted_at IS NULL AND id IN (${siteIds.map(() => '?').join(', ')})`,
+            siteIds
+        )).map(site => site.id)
+        : [];
+    const keys = [...new Set(valid.map(item => keyOf(item.data)).filter(key => key !== null))];
+    const existing = keys.length > 0 ? await findExisting(keys) : new Map();
+
+    const firstRowOfKey = new Map();
+    for (const item of valid) {
+        const siteId = parseInt(item.data.site_id);
+        if (!sites.includes(siteId) || !canAccessSite(req, siteId)) {
+            item.errors.push('site_id: Site not found');
+            continue;
+        }
+
+        const key = keyOf(item.data);
+        if (key !== null) {
+            if (firstRowOfKey.has(key)) {
+                item.errors.push(`${keyName}: Same as row ${firstRowOfKey.get(key)}`);
+                continue;
+            }
+            firstRowOfKey.set(key, item.row);
+        }
+
+        const match = key !== null ? existing.get(key) : undefined;
+        if (match && !canAccessSite(req, match.site_id)) {
+            item.errors.push(`${keyName}: Used on a site you cannot access`);
+            continue;
+        }
+        item.action = match ? 'update' : 'create';
+        item.id = match ? match.id : null;
+    }
+
+    return plan;
+}
+
+/**
+ * Response body describing an import (or its dry run)
+ * The summary counts what each valid row does (or would do); with any failed row nothing is written.
+ * @param {Array<Object>} plan - From planImport, with ids filled in after writing
+ * @param {boolean} dryRun - Whether nothing was written
+ * @returns {Object} { success, dry_run, summary, rows }
+ */
+function importReport(plan, dryRun) {
+    const failed = plan.filter(item => item.errors.length > 0).length;
+    return {
+        success: failed === 0,
+        dry_run: dryRun,
+        summary: {
+            total: plan.length,
+            create: plan.filter(item => item.action === 'create').length,
+            update: plan.filter(item => item.action === 'update').length,
+            failed
+        },
+        rows: plan.map(({ row, action, id, errors }) => ({ row, action, id, errors }))
+    };
+}
+
+/**
+ * Send exported rows as a CSV download or as JSON ({ success, data })
+ * @param {Object} res - Express response
+ * @param {string} name - File name without extension
+ * @param {Array<string>} columns - Columns, in import order
+ * @param {Array<Object>} rows - Rows
+ * @param {string} format - "csv" or "json"
+ */
+function sendExport(res, name, columns, rows, format) {
+    if (format === 'json') {
+        res.set('Content-Disposition', `attachment; filename="${name}.json"`);
+        return res.json({ success: true, data: rows });
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+    res.send(formatCsv(columns, rows));
+}
+
+module.exports = {
+    BULK_CONFIG,
+    parseCsv,
+    formatCsv,
+    readImportRows,
+    planImport,
+    importReport,
+    sendExport
+};
@@ -0,0 +1,71 @@
+// ============================
+//  Optimistic Concurrency
+// ============================
+// Versioned rows carry a `version` column that every write increments. They are served
+// with an ETag; writes sent with If-Match only apply to the version the client last read.
+// GETs with a matching If-None-Match are answered with 304 by Express itself (req.fresh).
+
+/**
+ * ETag of a versioned row
+ * The ID is part of the tag so lookups that may resolve to another row (e.g. by room) never match.
+ * @param {Object} row - Row with id and version
+ * @returns {string} Strong entity tag
+ */
+function formatETag(row) {
+    return `"${row.id}-${row.version}"`;
+}
+
+/**
+ * Set the ETag header for a versioned row
+ * @param {Object} res - Express response
+ * @param {Object} row - Row with id and version
+ */
+function setETag(res, row) {
+    res.set('ETag', formatETag(row));
+}
+
+/**
+ * Answer 412 with the current ETag, so the client can reload and retry
+ * @param {Object} res - Express response
+ * @param {Object|null} row - Current row, when still known
+ */
+function sendPreconditionFailed(res, row = null) {
+    if (row) {
+        setETag(res, row);
+    }
+    res.status(412).json({
+        success: false,
+        error: 'The resource was changed by someone else, reload it and try again'
+    });
+}
+
+/**
+ * Check the If-Match header of a write against the current row
+ * Without the header the write is unconditional. Weak tags never match (strong comparison).
+ * Responds with 412 and returns false when the row has changed since the client read it.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} row - Current row with id and version
+ * @returns {boolean} Whether the write may go ahead
+ */
+function checkIfMatch(req, res, row) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') {
+        return true;
+    }
+
+    const tags = header.split(',').map(tag => tag.trim());
+    if (tags.includes(formatETag(row))) {
+        return true;
+    }
+
+    sendPreconditionFailed(res, row);
+    return false;
+}
+
+module.exports = {
+    formatETag,
+    setETag,
+    sendPreconditionFailed,
+    checkIfMatch
+};
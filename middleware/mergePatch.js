@@ -0,0 +1,64 @@
+// ============================
+//  Partial Updates (JSON Merge Patch)
+// ============================
+// PATCH bodies follow RFC 7396: members that are present replace the stored value,
+// null clears it and omitted members are left untouched. Resources here are flat rows,
+// so every member must be a single value.
+
+const MERGE_PATCH_TYPES = ['application/merge-patch+json', 'application/json'];
+
+// Store a value unchanged
+const asIs = value => value;
+
+// Store a (sanitized) boolean as TINYINT
+const asFlag = value => (value ? 1 : 0);
+
+/**
+ * Middleware: accept a merge patch touching only the given columns
+ * Answers 415 for other content types and 400 for anything but an object of single values.
+ * @param {Object} columns - Patchable fields, mapped to a function converting the value for storage
+ * @returns {Function} Express middleware
+ */
+function acceptMergePatch(columns) {
+    return (req, res, next) => {
+        if (!req.is(MERGE_PATCH_TYPES)) {
+            return res.status(415).json({ error: 'PATCH expects Content-Type: application/merge-patch+json' });
+        }
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ error: 'A merge patch must be a JSON object' });
+        }
+
+        for (const [field, value] of Object.entries(req.body)) {
+            if (!Object.prototype.hasOwnProperty.call(columns, field)) {
+                return res.status(400).json({ error: `Cannot patch ${field}` });
+            }
+            if (value !== null && typeof value === 'object') {
+                return res.status(400).json({ error: `${field} must be a single value` });
+            }
+        }
+        next();
+    };
+}
+
+/**
+ * SET assignments for a validated merge patch
+ * @param {Object} patch - Request body (after acceptMergePatch and validation)
+ * @param {Object} columns - Same column map as given to acceptMergePatch
+ * @returns {Object} { fields, assignments, params }; assignments is empty for an empty patch
+ */
+function patchAssignments(patch, columns) {
+    const fields = Object.keys(patch);
+    return {
+        fields,
+        assignments: fields.map(field => `${field} = ?`).join(', '),
+        params: fields.map(field => (patch[field] === null ? null : columns[field](patch[field])))
+    };
+}
+
+module.exports = {
+    MERGE_PATCH_TYPES,
+    asIs,
+    asFlag,
+    acceptMergePatch,
+    patchAssignments
+};
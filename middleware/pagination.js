@@ -0,0 +1,264 @@
+const { query, validationResult } = require('express-validator');
+
+// Page sizes for list endpoints
+const PAGINATION_CONFIG = {
+    defaultLimit: parseInt(process.env.PAGE_SIZE_DEFAULT || '50'),
+    maxLimit: parseInt(process.env.PAGE_SIZE_MAX || '200')
+};
+
+/**
+ * Parse a sort spec such as "-created_at,id" ("-" for descending)
+ * @param {string} spec - Comma separated column names
+ * @returns {Array<Object>} [{ column, direction }]
+ */
+function parseSort(spec) {
+    return spec.split(',').map(part => part.trim()).filter(Boolean).map(part => (
+        part.startsWith('-')
+            ? { column: part.slice(1), direction: 'DESC' }
+            : { column: part, direction: 'ASC' }
+    ));
+}
+
+// Filter operators: filter[column]=value is `eq`, filter[column][op]=value the others
+const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'null'];
+const MAX_FILTER_VALUES = 100;
+
+/**
+ * Parse filter[column]=value and filter[column][op]=value query parameters
+ * Repeating a parameter, or the `in` operator with a comma separated list, matches any of the values.
+ * @param {*} filter - req.query.filter
+ * @param {Array<string>} filterable - Columns that may be filtered on
+ * @returns {Object} { filters: [{ column, operator, value }] } or { error }
+ */
+function parseFilters(filter, filterable) {
+    if (filter === undefined) {
+        return { filters: [] };
+    }
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        return { error: 'Filters must be given as filter[field]=value' };
+    }
+
+    const filters = [];
+    for (const [column, condition] of Object.entries(filter)) {
+        if (!filterable.includes(column)) {
+            return { error: `Cannot filter on ${column}` };
+        }
+
+        const conditions = condition && typeof condition === 'object' && !Array.isArray(condition)
+            ? Object.entries(condition)
+            : [['eq', condition]];
+
+        for (const [operator, raw] of conditions) {
+            if (!FILTER_OPERATORS.includes(operator)) {
+                return { error: `Unknown filter operator ${operator} on ${column}` };
+            }
+            if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+                return { error: `Invalid filter value for ${column}` };
+            }
+
+            if (operator === 'null') {
+                if (!['true', 'false'].includes(raw)) {
+                    return { error: `filter[${column}][null] must be true or false` };
+                }
+                filters.push({ column, operator, value: raw === 'true' });
+                continue;
+            }
+
+            const values = operator === 'in' ? [].concat(raw).flatMap(value => String(value).split(',')) : [].concat(raw);
+            if (values.length > MAX_FILTER_VALUES) {
+                return { error: `Too many values for ${column} (at most ${MAX_FILTER_VALUES})` };
+            }
+            if (values.length > 1 || operator === 'in') {
+                if (!['eq', 'in'].includes(operator)) {
+                    return { error: `filter[${column}][${operator}] takes a single value` };
+                }
+                filters.push({ column, operator: 'in', value: values.map(String) });
+            } else {
+                filters.push({ column, operator, value: String(values[0]) });
+            }
+        }
+    }
+
+    return { filters };
+}
+
+/**
+ * Parse a comma separated list of column names ("-" prefix allowed) against a whitelist
+ * @param {*} value - Query parameter
+ * @param {Array<string>} allowed - Allowed columns
+ * @returns {Object|null} { columns } or { unknown } for a column not in the list; null when malformed
+ */
+function parseColumns(value, allowed) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const columns = value.split(',').map(part => part.trim()).filter(Boolean);
+    if (columns.length === 0) {
+        return null;
+    }
+    const unknown = columns.map(column => column.replace(/^-/, '')).find(column => !allowed.includes(column));
+    return unknown ? { unknown } : { columns };
+}
+
+// Inverse of parseSort, used to tie a cursor to the order it was issued for
+function formatSort(sort) {
+    return sort.map(({ column, direction }) => (direction === 'DESC' ? `-${column}` : column)).join(',');
+}
+
+/**
+ * Opaque cursor pointing after a row
+ * @param {Object} row - Last row of a page
+ * @param {Array<Object>} sort - Sort the page was read with
+ * @returns {string} Cursor
+ */
+function encodeCursor(row, sort) {
+    const values = sort.map(({ column }) => {
+        const value = row[column] === undefined ? null : row[column];
+        return value instanceof Date ? { date: value.toISOString() } : value;
+    });
+    return Buffer.from(JSON.stringify({ sort: formatSort(sort), values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from the client
+ * @returns {Object|null} { sort, values } or null when malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!decoded || typeof decoded.sort !== 'string' || !Array.isArray(decoded.values)) {
+            return null;
+        }
+        return {
+            sort: decoded.sort,
+            values: decoded.values.map(value => (value && typeof value === 'object' ? new Date(value.date) : value))
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Query parameters shared by every list endpoint
+const validatePagination = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: PAGINATION_CONFIG.maxLimit })
+        .withMessage(`Limit must be between 1 and ${PAGINATION_CONFIG.maxLimit}`),
+    query('cursor').optional().custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor'),
+    query('cursor').optional().custom((value, { req }) => req.query.page === undefined)
+        .withMessage('Use either page or cursor, not both')
+];
+
+/**
+ * Page requested by the client, for db.paginate
+ * Lists that pass column whitelists in `options` also accept filter[...], sort and fields
+ * query parameters; `id` is appended to client sorts so they are stable.
+ * Responds with 400 and returns null when the query parameters are invalid
+ * or the cursor was issued for another sort order.
+ * @param {Object} req - Request validated with validatePagination
+ * @param {Object} res - Response
+ * @param {string} sortSpec - Default sort order, ending with a unique column so it is stable
+ * @param {Object} options - { defaultLimit, filterable, sortable, fields } (column whitelists)
+ * @returns {Object|null} { sort, limit, offset, after, page, filters, columns, fields }
+ */
+function readPage(req, res, sortSpec, options = {}) {
+    const {
+        defaultLimit = PAGINATION_CONFIG.defaultLimit,
+        filterable = [],
+        sortable = [],
+        fields: selectable = []
+    } = options;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({ errors: errors.array() });
+        return null;
+    }
+
+    const filter = parseFilters(req.query.filter, filterable);
+    if (filter.error) {
+        res.status(400).json({ error: filter.error });
+        return null;
+    }
+
+    let sort = parseSort(sortSpec);
+    if (req.query.sort !== undefined) {
+        const requested = parseColumns(req.query.sort, sortable);
+        if (!requested || requested.unknown) {
+            res.status(400).json({ error: requested ? `Cannot sort on ${requested.unknown}` : 'Invalid sort' });
+            return null;
+        }
+        sort = parseSort(requested.columns.join(','));
+        if (!sort.some(({ column }) => column === 'id')) {
+            sort.push({ column: 'id', direction: 'ASC' });
+        }
+    }
+
+    // Sort columns are always read, so the cursor can be built; only `fields` are sent
+    let fields = null;
+    let columns = null;
+    if (req.query.fields !== undefined) {
+        const requested = parseColumns(req.query.fields, selectable);
+        if (!requested || requested.unknown || requested.columns.some(column => column.startsWith('-'))) {
+            res.status(400).json({ error: requested && requested.unknown ? `Cannot select ${requested.unknown}` : 'Invalid fields' });
+            return null;
+        }
+        fields = [...new Set(requested.columns)];
+        columns = [...new Set([...fields, ...sort.map(({ column }) => column)])];
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : defaultLimit;
+    const base = { sort, limit, filters: filter.filters, columns, fields };
+
+    if (req.query.cursor) {
+        const cursor = decodeCursor(req.query.cursor);
+        if (cursor.sort !== formatSort(sort) || cursor.values.length !== sort.length) {
+            res.status(400).json({ error: 'Cursor does not match the sort order' });
+            return null;
+        }
+        return { ...base, offset: 0, after: cursor.values, page: null };
+    }
+
+    const page = req.query.page ? parseInt(req.query.page) : 1;
+    return { ...base, offset: (page - 1) * limit, after: null, page };
+}
+
+/**
+ * Send a page from db.paginate with X-Total-Count / X-Page-Count headers
+ * @param {Object} res - Response
+ * @param {Object} page - From readPage
+ * @param {Object} result - From db.paginate; `data` may be mapped before sending
+ */
+function sendPage(res, page, result) {
+    const pages = Math.ceil(result.total / page.limit);
+    const lastRow = result.data[result.data.length - 1];
+    const data = page.fields
+        ? result.data.map(row => Object.fromEntries(page.fields.map(field => [field, row[field]])))
+        : result.data;
+
+    res.set('X-Total-Count', String(result.total));
+    res.set('X-Page-Count', String(pages));
+
+    res.json({
+        success: true,
+        data,
+        pagination: {
+            page: page.page,
+            limit: page.limit,
+            total: result.total,
+            pages,
+            next_cursor: result.has_more && lastRow ? encodeCursor(lastRow, page.sort) : null
+        }
+    });
+}
+
+module.exports = {
+    PAGINATION_CONFIG,
+    parseSort,
+    parseFilters,
+    encodeCursor,
+    decodeCursor,
+    validatePagination,
+    readPage,
+    sendPage
+};
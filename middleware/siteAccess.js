@@ -0,0 +1,150 @@
+// ============================
+//  Site-Scoped Authorization
+// ============================
+// Admins only see and change data of the sites assigned to them in admin_site.
+// A role grants its permissions on its own site only, while direct permissions
+// (admin_permission) apply to every assigned site.
+// Super Administrators see every site; API keys are bound to a single site.
+
+const { WILDCARD_PERMISSION } = require('../config/permissions');
+
+// Whether a list of permission keys covers a permission
+function grants(permissions, permission) {
+    return permissions.includes(WILDCARD_PERMISSION) || permissions.includes(permission);
+}
+
+/**
+ * Site IDs the caller may access
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Array<number>|null} Site IDs, or null when every site is accessible
+ */
+function getAccessibleSiteIds(req) {
+    if (req.apiKey) {
+        return [parseInt(req.apiKey.site_id)];
+    }
+    if (!req.admin) {
+        return [];
+    }
+    if (req.admin.isSuperAdmin) {
+        return null;
+    }
+
+    // Without a route permission (or with a direct grant) every assigned site counts
+    const permission = req.requiredPermission;
+    const assignments = !permission || grants(req.admin.directPermissions, permission)
+        ? req.admin.assignments
+        : req.admin.assignments.filter(a => grants(a.permissions, permission));
+    return assignments.map(a => parseInt(a.site_id));
+}
+
+/**
+ * Permissions the caller does not hold on every one of the given sites
+ * Used before granting permissions that take effect on those sites, so an admin cannot
+ * hand out on one site what it only holds on another.
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Array<string>} permissions - Permission keys
+ * @param {Array<number|string>} siteIds - Sites the permissions would apply to
+ * @returns {Array<string>} Missing permissions (none for super admins)
+ */
+function permissionsMissingOnSites(req, permissions, siteIds) {
+    if (req.admin.isSuperAdmin) {
+        return [];
+    }
+    return permissions.filter(permission => !siteIds.every(siteId => {
+        const assignment = req.admin.assignments.find(a => parseInt(a.site_id) === parseInt(siteId));
+        return Boolean(assignment) &&
+            (grants(req.admin.directPermissions, permission) || grants(assignment.permissions, permission));
+    }));
+}
+
+/**
+ * Check whether the caller may access a site
+ * @param {Object} req - Express request
+ * @param {number|string} siteId - Site ID
+ * @returns {boolean} Whether the site is accessible
+ */
+function canAccessSite(req, siteId) {
+    const siteIds = getAccessibleSiteIds(req);
+    if (siteIds === null) {
+        return true;
+    }
+    return siteIds.includes(parseInt(siteId));
+}
+
+/**
+ * Build a SQL condition restricting a site column to the caller's sites
+ * @param {Object} req - Express request
+ * @param {string} column - Column holding the site ID (e.g. "d.site_id")
+ * @returns {Object} { clause, params } to AND into a WHERE clause
+ */
+function siteCondition(req, column) {
+    const siteIds = getAccessibleSiteIds(req);
+    if (siteIds === null) {
+        return { clause: '1 = 1', params: [] };
+    }
+    if (siteIds.length === 0) {
+        return { clause: '1 = 0', params: [] };
+    }
+    return {
+        clause: `${column} IN (${siteIds.map(() => '?').join(', ')})`,
+        params: siteIds
+    };
+}
+
+/**
+ * Build a MongoDB filter restricting site_id to the caller's sites
+ * Site IDs are matched both as numbers and strings since log producers send either.
+ * @param {Object} req - Express request
+ * @returns {Object|null} Filter for the site_id field, or null when unrestricted
+ */
+function siteMongoFilter(req) {
+    const siteIds = getAccessibleSiteIds(req);
+    if (siteIds === null) {
+        return null;
+    }
+    return { $in: siteIds.flatMap(id => [id, String(id)]) };
+}
+
+// Send a consistent 403 response for another site's data
+function sendSiteForbidden(res) {
+    return res.status(403).json({ success: false, error: 'Access to this site is not allowed' });
+}
+
+/**
+ * Ensure the caller may access a site, answering 403 otherwise
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number|string} siteId - Site ID
+ * @returns {boolean} Whether the request may continue
+ */
+function ensureSiteAccess(req, res, siteId) {
+    if (canAccessSite(req, siteId)) {
+        return true;
+    }
+    sendSiteForbidden(res);
+    return false;
+}
+
+/**
+ * Middleware checking a site ID route parameter
+ * @param {string} paramName - Route parameter holding the site ID
+ * @returns {Function} Express middleware
+ */
+function requireSiteParam(paramName) {
+    return (req, res, next) => {
+        if (!canAccessSite(req, req.params[paramName])) {
+            return sendSiteForbidden(res);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    getAccessibleSiteIds,
+    canAccessSite,
+    permissionsMissingOnSites,
+    siteCondition,
+    siteMongoFilter,
+    ensureSiteAccess,
+    requireSiteParam
+};
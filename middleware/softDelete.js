@@ -0,0 +1,59 @@
+// ============================
+//  Soft Deletion
+// ============================
+// Sites, devices, products and admins are marked with deleted_at instead of being removed,
+// hidden from every query by default and purged later (services/purge.js).
+
+const db = require('../config/database');
+const { hasPermission } = require('./auth');
+
+/**
+ * Middleware: honour include_deleted=true on read routes
+ * Only callers holding the permission that deletes and restores the resource may see deleted rows.
+ * @param {string} permission - Permission required (e.g. "devices:write")
+ * @returns {Function} Express middleware setting req.includeDeleted
+ */
+function allowDeleted(permission) {
+    return (req, res, next) => {
+        req.includeDeleted = req.query.include_deleted === 'true';
+        if (req.includeDeleted && !hasPermission(req.admin, permission)) {
+            return res.status(403).json({
+                success: false,
+                error: `include_deleted requires the ${permission} permission`
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * SQL condition hiding soft-deleted rows unless the request asked for them
+ * @param {Object} req - Express request (after allowDeleted, if used)
+ * @param {string} column - deleted_at column (e.g. "d.deleted_at")
+ * @returns {string} Condition to AND into a WHERE clause
+ */
+function notDeleted(req, column) {
+    return req.includeDeleted ? '1 = 1' : `${column} IS NULL`;
+}
+
+/**
+ * Ensure a site exists and is not deleted, answering 404 otherwise
+ * Data that belongs to a site can only be created on, or moved to, a live site.
+ * @param {Object} res - Express response
+ * @param {number|string} siteId - Site ID
+ * @returns {Promise<boolean>} Whether the request may continue
+ */
+async function ensureActiveSite(res, siteId) {
+    const site = await db.fetchOne("SELECT id FROM sites WHERE id = ? AND deleted_at IS NULL", [siteId]);
+    if (!site) {
+        res.status(404).json({ error: 'Site not found' });
+        return false;
+    }
+    return true;
+}
+
+module.exports = {
+    allowDeleted,
+    notDeleted,
+    ensureActiveSite
+};
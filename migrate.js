@@ -1,17 +1,130 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const db = require('./config/database');
+const seeder = require('./services/seeder');
+
+// Statements that make MariaDB commit implicitly, so they cannot be rolled back
+const DDL_PATTERN = /^(CREATE|ALTER|DROP|RENAME|TRUNCATE)\b/i;
+
+const DOWN_SUFFIX = '.down.sql';
+
+// Migration files: SQL up scripts (with optional .down.sql) and JavaScript modules exporting up/down
+function isMigrationFile(file) {
+    return (file.endsWith('.sql') && !file.endsWith(DOWN_SUFFIX)) || file.endsWith('.js');
+}
+
+/**
+ * Split a SQL script into statements
+ * Understands quoted strings and identifiers, comments and DELIMITER directives, so
+ * semicolons inside strings, comments or procedure bodies do not end a statement.
+ * Comments are dropped, except executable comments (/*! ... *\/).
+ * @param {string} sql - SQL script
+ * @returns {Array<string>} Statements without their delimiter
+ */
+function splitStatements(sql) {
+    const statements = [];
+    let delimiter = ';';
+    let current = '';
+    let i = 0;
+    let atLineStart = true;
+
+    const push = () => {
+        if (current.trim()) {
+            statements.push(current.trim());
+        }
+        current = '';
+    };
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const rest = sql.slice(i);
+
+        // DELIMITER directive (client-side, only at the start of a line)
+        if (atLineStart) {
+            const directive = rest.match(/^[ \t]*DELIMITER[ \t]+(\S+)[ \t]*(\r?\n|$)/i);
+            if (directive) {
+                push();
+                delimiter = directive[1];
+                i += directive[0].length;
+                continue;
+            }
+        }
+
+        // Line comments: "-- " and "#"
+        if (/^--(\s|$)/.test(rest.slice(0, 3)) || char === '#') {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end;
+            continue;
+        }
+
+        // Block comments, keeping executable ones
+        if (rest.startsWith('/*')) {
+            const end = sql.indexOf('*/', i + 2);
+            const stop = end === -1 ? sql.length : end + 2;
+            if (rest.startsWith('/*!')) {
+                current += sql.slice(i, stop);
+            }
+            i = stop;
+            atLineStart = false;
+            continue;
+        }
+
+        // Quoted strings and identifiers, with backslash and doubled-quote escapes
+        if (char === '\'' || char === '"' || char === '`') {
+            let j = i + 1;
+            while (j < sql.length) {
+                if (sql[j] === '\\' && char !== '`') {
+                    j += 2;
+                    continue;
+                }
+                if (sql[j] === char) {
+                    if (sql[j + 1] === char) {
+                        j += 2;
+                        continue;
+                    }
+                    break;
+                }
+                j++;
+            }
+            current += sql.slice(i, j + 1);
+            i = j + 1;
+            atLineStart = false;
+            continue;
+        }
+
+        if (rest.startsWith(delimiter)) {
+            push();
+            i += delimiter.length;
+            atLineStart = false;
+            continue;
+        }
+
+        current += char;
+        atLineStart = char === '\n' || (atLineStart && (char === ' ' || char === '\t' || char === '\r'));
+        i++;
+    }
+
+    push();
+    return statements;
+}
 
 class MigrationRunner {
-    constructor() {
+    constructor(options = {}) {
         this.migrationsPath = path.join(__dirname, 'migrations');
         this.migrationsTable = 'migrations';
+        this.dryRun = Boolean(options.dryRun);
     }
 
     async init() {
+        // A dry run never changes the database, not even the bookkeeping table
+        if (this.dryRun) {
+            return;
+        }
+
         try {
             // Create migrations table if it doesn't exist
-            await db.execute(`
+            await db.runScript(`
                 CREATE TABLE IF NOT EXISTS ${this.migrationsTable} (
                     id INT AUTO_INCREMENT PRIMARY KEY,
                     filename VARCHAR(255) NOT NULL UNIQUE,
@@ -19,121 +132,461 @@ class MigrationRunner {
                     status ENUM('success', 'failed') DEFAULT 'success'
                 )
             `);
-            console.log('✅ Migrations table initialized');
+            // Columns added after the first release of the runner
+            await db.runScript(`
+                ALTER TABLE ${this.migrationsTable}
+                ADD COLUMN IF NOT EXISTS checksum CHAR(64) DEFAULT NULL,
+                ADD COLUMN IF NOT EXISTS execution_ms INT DEFAULT NULL,
+                ADD COLUMN IF NOT EXISTS error TEXT DEFAULT NULL
+            `);
         } catch (error) {
             console.error('❌ Failed to initialize migrations table:', error.message);
             throw error;
         }
     }
 
-    async getExecutedMigrations() {
+    /**
+     * Migrations recorded in the migrations table, in file name order
+     * File order rather than run order, so a migration added below applied ones (like the
+     * baseline on an existing database) is not the first one `down` reverts.
+     * @returns {Promise<Array<Object>>} Rows (filename, status, checksum, executed_at)
+     */
+    async getRecordedMigrations() {
         try {
-            const migrations = await db.fetchAll(`SELECT filename FROM ${this.migrationsTable} WHERE status = 'success'`);
-            return migrations.map(m => m.filename);
+            // SELECT * so a dry run also works against a table without the newer columns
+            const rows = await db.fetchAll(`SELECT * FROM ${this.migrationsTable} ORDER BY filename ASC`);
+            return rows.map(row => ({ checksum: null, ...row }));
         } catch (error) {
-            console.error('❌ Failed to get executed migrations:', error.message);
-            return [];
+            if (this.dryRun && error.code === 'ER_NO_SUCH_TABLE') {
+                return [];
+            }
+            throw error;
         }
     }
 
+    async getExecutedMigrations() {
+        const recorded = await this.getRecordedMigrations();
+        return recorded.filter(m => m.status === 'success').map(m => m.filename);
+    }
+
     async getMigrationFiles() {
         try {
-            const files = fs.readdirSync(this.migrationsPath)
-                .filter(file => file.endsWith('.sql'))
+            return fs.readdirSync(this.migrationsPath)
+                .filter(isMigrationFile)
                 .sort();
-            return files;
         } catch (error) {
             console.error('❌ Failed to read migration files:', error.message);
             return [];
         }
     }
 
+    // SHA-256 of a file, ignoring line ending differences
+    checksum(content) {
+        return crypto.createHash('sha256').update(content.replace(/\r\n/g, '\n')).digest('hex');
+    }
+
+    /**
+     * Load a migration and its down script
+     * SQL migrations have SQL strings as up/down. JavaScript migrations export
+     * `async up(db)` and optionally `async down(db)`, plus `transactional: true`
+     * to receive a transaction client instead of the db helper.
+     * @param {string} filename - Up file name (e.g. 002_admin_sessions.sql or 008_backfill.js)
+     * @returns {Object} { filename, type, up, down, transactional, checksum } where down is null when irreversible
+     */
+    loadMigration(filename) {
+        const upPath = path.join(this.migrationsPath, filename);
+        const content = fs.readFileSync(upPath, 'utf8');
+
+        if (filename.endsWith('.js')) {
+            delete require.cache[require.resolve(upPath)];
+            const migration = require(upPath);
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${filename} does not export an up function`);
+            }
+
+            return {
+                filename,
+                type: 'js',
+                up: migration.up,
+                down: typeof migration.down === 'function' ? migration.down : null,
+                transactional: Boolean(migration.transactional),
+                checksum: this.checksum(content)
+            };
+        }
+
+        const downPath = path.join(this.migrationsPath, filename.replace(/\.sql$/, DOWN_SUFFIX));
+        return {
+            filename,
+            type: 'sql',
+            up: content,
+            down: fs.existsSync(downPath) ? fs.readFileSync(downPath, 'utf8') : null,
+            checksum: this.checksum(content)
+        };
+    }
+
+    /**
+     * Compare applied migrations with their files
+     * Rows from before checksums were recorded get the current checksum.
+     * @param {Array<Object>} recorded - Rows from getRecordedMigrations
+     * @returns {Promise<Array<string>>} Applied migrations whose file was edited
+     */
+    async verifyChecksums(recorded) {
+        const files = await this.getMigrationFiles();
+        const modified = [];
+
+        for (const row of recorded.filter(m => m.status === 'success' && files.includes(m.filename))) {
+            const { checksum } = this.loadMigration(row.filename);
+            if (!row.checksum) {
+                if (!this.dryRun) {
+                    await db.execute(
+                        `UPDATE ${this.migrationsTable} SET checksum = ? WHERE filename = ?`,
+                        [checksum, row.filename]
+                    );
+                }
+            } else if (row.checksum !== checksum) {
+                modified.push(row.filename);
+            }
+        }
+
+        return modified;
+    }
+
+    /**
+     * Run the statements of a script
+     * Scripts without DDL run in a transaction together with the bookkeeping query,
+     * DDL commits implicitly in MariaDB so those scripts run statement by statement.
+     * @param {string} label - Name used in log output
+     * @param {string} sql - SQL script
+     * @param {Function} bookkeeping - () => { sql, params } run after the script succeeded
+     */
+    async runScript(label, sql, bookkeeping) {
+        const statements = splitStatements(sql);
+        const transactional = !statements.some(statement => DDL_PATTERN.test(statement));
+
+        if (this.dryRun) {
+            console.log(`-- ${label} (${transactional ? 'in a transaction' : 'without transaction, contains DDL'})`);
+            statements.forEach(statement => console.log(`${statement};\n`));
+            return;
+        }
+
+        if (transactional) {
+            await db.transaction(async (tx) => {
+                for (const statement of statements) {
+                    await tx.runScript(statement);
+                }
+                const record = bookkeeping();
+                await tx.execute(record.sql, record.params);
+            });
+            return;
+        }
+
+        for (const statement of statements) {
+            await db.runScript(statement);
+        }
+        const record = bookkeeping();
+        await db.execute(record.sql, record.params);
+    }
+
+    /**
+     * Run a JavaScript migration step
+     * @param {string} label - Name used in log output
+     * @param {Function} step - async (db) => void
+     * @param {boolean} transactional - Whether to pass a transaction client
+     * @param {Function} bookkeeping - () => { sql, params } run after the step succeeded
+     */
+    async runModule(label, step, transactional, bookkeeping) {
+        if (this.dryRun) {
+            console.log(`-- ${label} (JavaScript migration${transactional ? ', in a transaction' : ''}, not run in a dry run)\n`);
+            return;
+        }
+
+        if (transactional) {
+            await db.transaction(async (tx) => {
+                await step(tx);
+                const record = bookkeeping();
+                await tx.execute(record.sql, record.params);
+            });
+            return;
+        }
+
+        await step(db);
+        const record = bookkeeping();
+        await db.execute(record.sql, record.params);
+    }
+
+    // Run the up or down part of a migration
+    async runMigrationStep(migration, direction, bookkeeping) {
+        if (migration.type === 'js') {
+            const label = direction === 'up' ? migration.filename : `${migration.filename} (down)`;
+            return this.runModule(label, migration[direction], migration.transactional, bookkeeping);
+        }
+
+        const label = direction === 'up' ? migration.filename : migration.filename.replace(/\.sql$/, DOWN_SUFFIX);
+        return this.runScript(label, migration[direction], bookkeeping);
+    }
+
     async executeMigration(filename) {
-        const filePath = path.join(this.migrationsPath, filename);
-        
+        const migration = this.loadMigration(filename);
+        const startedAt = Date.now();
+
         try {
             console.log(`🔄 Executing migration: ${filename}`);
-            
-            // Read SQL file
-            const sql = fs.readFileSync(filePath, 'utf8');
-            
-            // Split by semicolon and execute each statement
-            const statements = sql.split(';').filter(stmt => stmt.trim());
-            
-            for (const statement of statements) {
-                if (statement.trim()) {
-                    await db.execute(statement);
-                }
+
+            await this.runMigrationStep(migration, 'up', () => ({
+                sql: `
+                    INSERT INTO ${this.migrationsTable} (filename, status, checksum, execution_ms, error)
+                    VALUES (?, 'success', ?, ?, NULL)
+                    ON DUPLICATE KEY UPDATE status = 'success', checksum = VALUES(checksum),
+                        execution_ms = VALUES(execution_ms), error = NULL, executed_at = CURRENT_TIMESTAMP
+                `,
+                params: [filename, migration.checksum, Date.now() - startedAt]
+            }));
+
+            if (!this.dryRun) {
+                console.log(`✅ Migration completed: ${filename}`);
             }
-            
-            // Record successful migration
-            await db.execute(
-                `INSERT INTO ${this.migrationsTable} (filename, status) VALUES (?, 'success')`,
-                [filename]
-            );
-            
-            console.log(`✅ Migration completed: ${filename}`);
             return true;
         } catch (error) {
             console.error(`❌ Migration failed: ${filename}`, error.message);
-            
-            // Record failed migration
+
+            // Failed migrations stay pending and are retried on the next run
             try {
-                await db.execute(
-                    `INSERT INTO ${this.migrationsTable} (filename, status) VALUES (?, 'failed')`,
-                    [filename]
-                );
+                await db.execute(`
+                    INSERT INTO ${this.migrationsTable} (filename, status, checksum, error)
+                    VALUES (?, 'failed', ?, ?)
+                    ON DUPLICATE KEY UPDATE status = 'failed', checksum = VALUES(checksum),
+                        error = VALUES(error), executed_at = CURRENT_TIMESTAMP
+                `, [filename, migration.checksum, error.message]);
             } catch (insertError) {
                 console.error('Failed to record migration failure:', insertError.message);
             }
-            
+
             return false;
         }
     }
 
-    async run() {
+    async revertMigration(filename) {
+        const migration = this.loadMigration(filename);
+
         try {
-            console.log('🚀 Starting database migrations...');
-            
-            await this.init();
-            
-            const executedMigrations = await this.getExecutedMigrations();
-            const migrationFiles = await this.getMigrationFiles();
-            
-            const pendingMigrations = migrationFiles.filter(file => !executedMigrations.includes(file));
-            
-            if (pendingMigrations.length === 0) {
-                console.log('✅ No pending migrations');
-                return;
-            }
-            
-            console.log(`📋 Found ${pendingMigrations.length} pending migrations`);
-            
-            for (const migration of pendingMigrations) {
-                const success = await this.executeMigration(migration);
-                if (!success) {
-                    console.error('❌ Migration failed, stopping execution');
-                    process.exit(1);
-                }
+            console.log(`⏪ Reverting migration: ${filename}`);
+
+            await this.runMigrationStep(migration, 'down', () => ({
+                sql: `DELETE FROM ${this.migrationsTable} WHERE filename = ?`,
+                params: [filename]
+            }));
+
+            if (!this.dryRun) {
+                console.log(`✅ Migration reverted: ${filename}`);
             }
-            
-            console.log('🎉 All migrations completed successfully!');
+            return true;
         } catch (error) {
-            console.error('❌ Migration runner failed:', error.message);
-            process.exit(1);
+            console.error(`❌ Revert failed: ${filename}`, error.message);
+            return false;
+        }
+    }
+
+    // Refuse to continue when applied migrations were edited afterwards
+    async ensureUnmodified(recorded) {
+        const modified = await this.verifyChecksums(recorded);
+        if (modified.length > 0) {
+            throw new Error(
+                `Applied migrations were modified: ${modified.join(', ')}. ` +
+                'Revert them first or add a new migration instead of editing applied ones.'
+            );
+        }
+    }
+
+    /**
+     * Apply every pending migration, in file name order
+     * @returns {Promise<Array<string>>} Applied migrations
+     */
+    async up() {
+        await this.init();
+
+        const recorded = await this.getRecordedMigrations();
+        await this.ensureUnmodified(recorded);
+
+        const executedMigrations = recorded.filter(m => m.status === 'success').map(m => m.filename);
+        const migrationFiles = await this.getMigrationFiles();
+        const pendingMigrations = migrationFiles.filter(file => !executedMigrations.includes(file));
+
+        if (pendingMigrations.length === 0) {
+            console.log('✅ No pending migrations');
+            return [];
+        }
+
+        console.log(`📋 Found ${pendingMigrations.length} pending migrations`);
+
+        for (const migration of pendingMigrations) {
+            const success = await this.executeMigration(migration);
+            if (!success) {
+                throw new Error(`Migration ${migration} failed, stopping execution`);
+            }
+        }
+
+        return pendingMigrations;
+    }
+
+    /**
+     * Revert the most recently applied migrations
+     * @param {number} count - Number of migrations to revert
+     * @returns {Promise<Array<string>>} Reverted migrations, newest first
+     */
+    async down(count = 1) {
+        await this.init();
+
+        const recorded = await this.getRecordedMigrations();
+        await this.ensureUnmodified(recorded);
+
+        const targets = recorded
+            .filter(m => m.status === 'success')
+            .map(m => m.filename)
+            .reverse()
+            .slice(0, count);
+
+        if (targets.length === 0) {
+            console.log('✅ Nothing to revert');
+            return [];
+        }
+
+        const files = await this.getMigrationFiles();
+        for (const filename of targets) {
+            if (!files.includes(filename)) {
+                throw new Error(`Migration file ${filename} no longer exists`);
+            }
+            if (this.loadMigration(filename).down === null) {
+                const expected = filename.endsWith('.js') ? 'a down function' : filename.replace(/\.sql$/, DOWN_SUFFIX);
+                throw new Error(`Migration ${filename} has no down script (${expected})`);
+            }
+        }
+
+        for (const filename of targets) {
+            const success = await this.revertMigration(filename);
+            if (!success) {
+                throw new Error(`Revert of ${filename} failed, stopping execution`);
+            }
+        }
+
+        return targets;
+    }
+
+    /**
+     * Revert and re-apply the most recently applied migrations
+     * @param {number} count - Number of migrations to redo
+     */
+    async redo(count = 1) {
+        const reverted = await this.down(count);
+
+        // In a dry run nothing was reverted, so only show the up scripts
+        for (const filename of [...reverted].reverse()) {
+            const success = await this.executeMigration(filename);
+            if (!success) {
+                throw new Error(`Migration ${filename} failed, stopping execution`);
+            }
+        }
+    }
+
+    /**
+     * Print every migration with its state
+     * @returns {Promise<Array<Object>>} { filename, state, executed_at, reversible }
+     */
+    async status() {
+        await this.init();
+
+        const recorded = await this.getRecordedMigrations();
+        const modified = await this.verifyChecksums(recorded);
+        const files = await this.getMigrationFiles();
+        const filenames = [...new Set([...files, ...recorded.map(m => m.filename)])].sort();
+
+        const rows = filenames.map(filename => {
+            const row = recorded.find(m => m.filename === filename);
+            let state = 'pending';
+            if (!files.includes(filename)) {
+                state = 'missing file';
+            } else if (modified.includes(filename)) {
+                state = 'modified';
+            } else if (row) {
+                state = row.status === 'success' ? 'applied' : 'failed';
+            }
+
+            return {
+                filename,
+                state,
+                executed_at: row ? row.executed_at : null,
+                reversible: files.includes(filename) && this.loadMigration(filename).down !== null
+            };
+        });
+
+        for (const row of rows) {
+            const executedAt = row.executed_at ? new Date(row.executed_at).toISOString() : '';
+            console.log(`${row.state.padEnd(13)} ${row.filename.padEnd(40)} ${row.reversible ? 'up/down' : 'up only'}  ${executedAt}`);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Load a seed set from the seeds directory
+     * @param {string} setName - Seed set (defaults to SEED_SET)
+     */
+    async seed(setName = seeder.SEED_CONFIG.defaultSet) {
+        if (this.dryRun) {
+            seeder.getSeedFiles(setName).forEach(file => console.log(`-- seeds/${setName}/${file} (not run in a dry run)`));
+            return;
+        }
+
+        const results = await seeder.runSeeds(setName);
+        results.forEach(({ file, result }) => console.log(`🌱 ${setName}/${file}: ${JSON.stringify(result || {})}`));
+        console.log(`✅ Seed set ${setName} loaded`);
+    }
+
+    async run(command = 'up', args = []) {
+        const count = Math.max(parseInt(args[0] || '1') || 1, 1);
+
+        console.log(`🚀 Starting database migrations${this.dryRun ? ' (dry run, nothing is executed)' : ''}...`);
+
+        switch (command) {
+            case 'up': {
+                const applied = await this.up();
+                if (applied.length > 0 && !this.dryRun) {
+                    console.log('🎉 All migrations completed successfully!');
+                }
+                break;
+            }
+            case 'down':
+                await this.down(count);
+                break;
+            case 'redo':
+                await this.redo(count);
+                break;
+            case 'status':
+                await this.status();
+                break;
+            case 'seed':
+                await this.seed(args[0]);
+                break;
+            default:
+                throw new Error(`Unknown command: ${command} (use up, down [n], redo [n], status or seed [set])`);
         }
     }
 }
 
-// Run migrations if this file is executed directly
+// Run migrations if this file is executed directly:
+// node migrate.js [up | down [n] | redo [n] | status | seed [set]] [--dry-run]
 if (require.main === module) {
-    const runner = new MigrationRunner();
-    runner.run().then(() => {
+    const argv = process.argv.slice(2);
+    const positional = argv.filter(arg => !arg.startsWith('--'));
+    const runner = new MigrationRunner({ dryRun: argv.includes('--dry-run') });
+
+    runner.run(positional[0], positional.slice(1)).then(() => {
         process.exit(0);
     }).catch(error => {
-        console.error('Migration failed:', error);
+        console.error('❌ Migration runner failed:', error.message);
         process.exit(1);
     });
 }
 
-module.exports = MigrationRunner; 
\ No newline at end of file
+MigrationRunner.splitStatements = splitStatements;
+
+module.exports = MigrationRunner;
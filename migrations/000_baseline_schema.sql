@@ -0,0 +1,240 @@
+-- Migration: 000_baseline_schema.sql
+-- Description: Base hotel_portal tables, so a fresh database can be built from migrations alone
+-- Date: 2026-10-19
+
+-- Columns added by later migrations (001, 004, 005, 007) are left to those migrations.
+-- Existing databases already have these tables; IF NOT EXISTS makes this a no-op there.
+
+CREATE TABLE IF NOT EXISTS admins (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    verified TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_admins_email (email)
+);
+
+CREATE TABLE IF NOT EXISTS sites (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    address VARCHAR(255) DEFAULT NULL,
+    phone VARCHAR(20) DEFAULT NULL,
+    email VARCHAR(255) DEFAULT NULL,
+    manager_name VARCHAR(100) DEFAULT NULL,
+    timezone VARCHAR(64) DEFAULT 'Asia/Bangkok',
+    checkin_time TIME DEFAULT '14:00:00',
+    checkout_time TIME DEFAULT '12:00:00',
+    currency VARCHAR(10) DEFAULT 'THB',
+    num_rooms INT DEFAULT 0,
+    default_price DECIMAL(10,2) DEFAULT 0.00,
+    enable_alert TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_sites_name (name)
+);
+
+CREATE TABLE IF NOT EXISTS site_settings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    site_id INT NOT NULL,
+    setting_key VARCHAR(100) NOT NULL,
+    setting_value TEXT DEFAULT NULL,
+    UNIQUE KEY uniq_site_settings_key (site_id, setting_key),
+    CONSTRAINT fk_site_settings_site FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS site_profile (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    ssid_template VARCHAR(100) DEFAULT NULL,
+    password_rule VARCHAR(50) DEFAULT NULL,
+    security VARCHAR(20) DEFAULT NULL,
+    settings TEXT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS site_wifi (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    site_id INT NOT NULL,
+    profile_id INT DEFAULT NULL,
+    ssid VARCHAR(64) NOT NULL,
+    password VARCHAR(128) NOT NULL,
+    policy_mode VARCHAR(50) NOT NULL,
+    for_room VARCHAR(50) NOT NULL,
+    security VARCHAR(20) DEFAULT 'WPA2',
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    ap_group_id VARCHAR(100) DEFAULT NULL,
+    wifi_band VARCHAR(20) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_site_wifi_site FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+    CONSTRAINT fk_site_wifi_profile FOREIGN KEY (profile_id) REFERENCES site_profile(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS admin_site (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    admin_id INT NOT NULL,
+    site_id INT NOT NULL,
+    role VARCHAR(100) DEFAULT NULL,
+    allow_devices_adoption TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_admin_site (admin_id, site_id),
+    CONSTRAINT fk_admin_site_admin FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+    CONSTRAINT fk_admin_site_site FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS admin_permission (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    admin_id INT NOT NULL,
+    permission_key VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_admin_permission (admin_id, permission_key),
+    CONSTRAINT fk_admin_permission_admin FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS devices (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    site_id INT NOT NULL,
+    room VARCHAR(50) DEFAULT NULL,
+    mac_address VARCHAR(17) DEFAULT NULL,
+    ip_address VARCHAR(45) DEFAULT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'offline',
+    firmware VARCHAR(50) DEFAULT NULL,
+    current_ssid VARCHAR(64) DEFAULT NULL,
+    current_clients INT NOT NULL DEFAULT 0,
+    current_clients_list TEXT DEFAULT NULL,
+    wifi_mode VARCHAR(20) DEFAULT NULL,
+    last_online DATETIME DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    KEY idx_devices_site_room (site_id, room),
+    KEY idx_devices_mac (mac_address),
+    CONSTRAINT fk_devices_site FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS device_app (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id INT NOT NULL,
+    app_package VARCHAR(255) NOT NULL,
+    app_name VARCHAR(255) DEFAULT NULL,
+    install_time DATETIME DEFAULT NULL,
+    version VARCHAR(50) DEFAULT NULL,
+    KEY idx_device_app_package (device_id, app_package),
+    CONSTRAINT fk_device_app_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS device_client_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id INT NOT NULL,
+    client_mac VARCHAR(17) DEFAULT NULL,
+    client_name VARCHAR(255) DEFAULT NULL,
+    connect_time DATETIME DEFAULT NULL,
+    disconnect_time DATETIME DEFAULT NULL,
+    used_app VARCHAR(255) DEFAULT NULL,
+    KEY idx_device_client_log_connect (device_id, connect_time),
+    CONSTRAINT fk_device_client_log_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS device_iot (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id INT NOT NULL,
+    ieee_id VARCHAR(64) DEFAULT NULL,
+    _id VARCHAR(64) DEFAULT NULL,
+    description VARCHAR(255) DEFAULT NULL,
+    type VARCHAR(50) DEFAULT NULL,
+    topic VARCHAR(255) DEFAULT NULL,
+    status_json TEXT DEFAULT NULL,
+    KEY idx_device_iot_ieee (ieee_id),
+    CONSTRAINT fk_device_iot_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+);
+
+-- Upserted by POST /api/devices/iot/:iotId/status
+CREATE TABLE IF NOT EXISTS device_iot_status (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    iot_id INT NOT NULL,
+    status_key VARCHAR(100) NOT NULL,
+    status_value TEXT DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_device_iot_status_key (iot_id, status_key),
+    CONSTRAINT fk_device_iot_status_iot FOREIGN KEY (iot_id) REFERENCES device_iot(id) ON DELETE CASCADE
+);
+
+-- Upserted by POST /api/devices/:id/heartbeat, one row per device
+CREATE TABLE IF NOT EXISTS device_heartbeat (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id INT NOT NULL,
+    last_seen DATETIME NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'ONLINE',
+    UNIQUE KEY uniq_device_heartbeat_device (device_id),
+    CONSTRAINT fk_device_heartbeat_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+);
+
+-- Upserted by POST /api/devices/:id/wifi-status, one row per device
+CREATE TABLE IF NOT EXISTS device_wifi_status (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id INT NOT NULL,
+    ssid VARCHAR(64) DEFAULT NULL,
+    clients INT DEFAULT 0,
+    rx_rate VARCHAR(20) DEFAULT NULL,
+    tx_rate VARCHAR(20) DEFAULT NULL,
+    `signal` VARCHAR(20) DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_device_wifi_status_device (device_id),
+    CONSTRAINT fk_device_wifi_status_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS product_category (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    site_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'OTHER',
+    active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_product_category_site_name (site_id, name),
+    CONSTRAINT fk_product_category_site FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE
+);
+
+-- Products outlive their category; the API reads them with LEFT JOIN
+CREATE TABLE IF NOT EXISTS product (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    site_id INT NOT NULL,
+    product_category_id INT DEFAULT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT DEFAULT NULL,
+    price DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    unit VARCHAR(50) DEFAULT NULL,
+    image_url VARCHAR(500) DEFAULT NULL,
+    track_stock TINYINT(1) NOT NULL DEFAULT 0,
+    is_service TINYINT(1) NOT NULL DEFAULT 0,
+    require_serial TINYINT(1) NOT NULL DEFAULT 0,
+    active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    KEY idx_product_site_name (site_id, name),
+    CONSTRAINT fk_product_site FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+    CONSTRAINT fk_product_category FOREIGN KEY (product_category_id) REFERENCES product_category(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS product_order (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    site_id INT NOT NULL,
+    room VARCHAR(50) NOT NULL,
+    guest_name VARCHAR(255) NOT NULL,
+    created_by INT DEFAULT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_product_order_site_created (site_id, created_at),
+    CONSTRAINT fk_product_order_site FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+    CONSTRAINT fk_product_order_admin FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+-- Order lines keep their price when the product is deleted
+CREATE TABLE IF NOT EXISTS product_order_item (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_order_id INT NOT NULL,
+    product_id INT DEFAULT NULL,
+    qty INT NOT NULL DEFAULT 1,
+    price DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    note VARCHAR(255) DEFAULT NULL,
+    CONSTRAINT fk_product_order_item_order FOREIGN KEY (product_order_id) REFERENCES product_order(id) ON DELETE CASCADE,
+    CONSTRAINT fk_product_order_item_product FOREIGN KEY (product_id) REFERENCES product(id) ON DELETE SET NULL
+);
@@ -0,0 +1,25 @@
+-- Migration: 001_add_new_columns.down.sql
+-- Description: Revert 001_add_new_columns.sql
+-- Date: 2026-10-19
+
+DROP INDEX IF EXISTS idx_sites_created_by ON sites;
+DROP INDEX IF EXISTS idx_devices_model ON devices;
+DROP INDEX IF EXISTS idx_admins_department ON admins;
+
+ALTER TABLE sites
+DROP COLUMN IF EXISTS contact_person,
+DROP COLUMN IF EXISTS website,
+DROP COLUMN IF EXISTS created_by,
+DROP COLUMN IF EXISTS updated_at;
+
+ALTER TABLE devices
+DROP COLUMN IF EXISTS model,
+DROP COLUMN IF EXISTS serial_number,
+DROP COLUMN IF EXISTS warranty_expiry,
+DROP COLUMN IF EXISTS maintenance_notes;
+
+ALTER TABLE admins
+DROP COLUMN IF EXISTS phone,
+DROP COLUMN IF EXISTS department,
+DROP COLUMN IF EXISTS last_login,
+DROP COLUMN IF EXISTS login_count;
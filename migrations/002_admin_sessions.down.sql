@@ -0,0 +1,5 @@
+-- Migration: 002_admin_sessions.down.sql
+-- Description: Revert 002_admin_sessions.sql
+-- Date: 2026-10-19
+
+DROP TABLE IF EXISTS admin_session;
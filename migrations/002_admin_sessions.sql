@@ -0,0 +1,19 @@
+-- Migration: 002_admin_sessions.sql
+-- Description: Server-side admin sessions backing JWT access and refresh tokens
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS admin_session (
+    id CHAR(36) NOT NULL PRIMARY KEY,
+    admin_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL,
+    previous_token_hash CHAR(64) DEFAULT NULL,
+    user_agent VARCHAR(255) DEFAULT NULL,
+    ip_address VARCHAR(45) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NULL DEFAULT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME DEFAULT NULL,
+    UNIQUE KEY uniq_admin_session_refresh (refresh_token_hash),
+    KEY idx_admin_session_admin (admin_id),
+    KEY idx_admin_session_previous (previous_token_hash)
+);
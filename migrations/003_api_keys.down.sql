@@ -0,0 +1,5 @@
+-- Migration: 003_api_keys.down.sql
+-- Description: Revert 003_api_keys.sql
+-- Date: 2026-10-19
+
+DROP TABLE IF EXISTS api_key;
@@ -0,0 +1,21 @@
+-- Migration: 003_api_keys.sql
+-- Description: Site-scoped API keys for devices and integrations (X-API-Key)
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS api_key (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_prefix CHAR(12) NOT NULL,
+    key_hash VARCHAR(255) NOT NULL,
+    site_id INT NOT NULL,
+    allowed_endpoints TEXT NOT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    rotated_at DATETIME DEFAULT NULL,
+    expires_at DATETIME DEFAULT NULL,
+    last_used_at DATETIME DEFAULT NULL,
+    last_used_ip VARCHAR(45) DEFAULT NULL,
+    revoked_at DATETIME DEFAULT NULL,
+    UNIQUE KEY uniq_api_key_prefix (key_prefix),
+    KEY idx_api_key_site (site_id)
+);
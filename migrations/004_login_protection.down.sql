@@ -0,0 +1,10 @@
+-- Migration: 004_login_protection.down.sql
+-- Description: Revert 004_login_protection.sql
+-- Date: 2026-10-19
+
+DROP INDEX IF EXISTS idx_admins_locked_until ON admins;
+
+ALTER TABLE admins
+DROP COLUMN IF EXISTS failed_login_count,
+DROP COLUMN IF EXISTS last_failed_login,
+DROP COLUMN IF EXISTS locked_until;
@@ -0,0 +1,10 @@
+-- Migration: 004_login_protection.sql
+-- Description: Track failed logins and temporary lockouts on admin accounts
+-- Date: 2026-10-19
+
+ALTER TABLE admins
+ADD COLUMN IF NOT EXISTS failed_login_count INT NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_failed_login DATETIME NULL,
+ADD COLUMN IF NOT EXISTS locked_until DATETIME NULL;
+
+CREATE INDEX IF NOT EXISTS idx_admins_locked_until ON admins(locked_until);
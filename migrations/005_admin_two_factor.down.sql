@@ -0,0 +1,11 @@
+-- Migration: 005_admin_two_factor.down.sql
+-- Description: Revert 005_admin_two_factor.sql
+-- Date: 2026-10-19
+
+DROP TABLE IF EXISTS admin_recovery_code;
+
+ALTER TABLE admins
+DROP COLUMN IF EXISTS totp_secret,
+DROP COLUMN IF EXISTS totp_enabled,
+DROP COLUMN IF EXISTS totp_confirmed_at,
+DROP COLUMN IF EXISTS totp_last_step;
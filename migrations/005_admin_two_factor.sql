@@ -0,0 +1,18 @@
+-- Migration: 005_admin_two_factor.sql
+-- Description: Optional TOTP two-factor authentication and recovery codes for admins
+-- Date: 2026-10-19
+
+ALTER TABLE admins
+ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(255) NULL,
+ADD COLUMN IF NOT EXISTS totp_enabled TINYINT(1) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS totp_confirmed_at DATETIME NULL,
+ADD COLUMN IF NOT EXISTS totp_last_step BIGINT NULL;
+
+CREATE TABLE IF NOT EXISTS admin_recovery_code (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    admin_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    used_at DATETIME DEFAULT NULL,
+    UNIQUE KEY uniq_admin_recovery_code (admin_id, code_hash)
+);
@@ -0,0 +1,5 @@
+-- Migration: 006_admin_account_tokens.down.sql
+-- Description: Revert 006_admin_account_tokens.sql
+-- Date: 2026-10-19
+
+DROP TABLE IF EXISTS admin_account_token;
@@ -0,0 +1,15 @@
+-- Migration: 006_admin_account_tokens.sql
+-- Description: Single-use invitation and password reset tokens for admins
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS admin_account_token (
+    id CHAR(36) NOT NULL PRIMARY KEY,
+    admin_id INT NOT NULL,
+    purpose VARCHAR(20) NOT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME DEFAULT NULL,
+    revoked_at DATETIME DEFAULT NULL,
+    KEY idx_admin_account_token_admin (admin_id, purpose)
+);
@@ -0,0 +1,11 @@
+-- Migration: 007_roles.down.sql
+-- Description: Revert 007_roles.sql (admin_site.role keeps the role names)
+-- Date: 2026-10-19
+
+DROP INDEX IF EXISTS idx_admin_site_role ON admin_site;
+
+ALTER TABLE admin_site
+DROP COLUMN IF EXISTS role_id;
+
+DROP TABLE IF EXISTS role_permission;
+DROP TABLE IF EXISTS role;
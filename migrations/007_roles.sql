@@ -0,0 +1,81 @@
+-- Migration: 007_roles.sql
+-- Description: Named roles as permission bundles, assigned per admin per site
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS role (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255) DEFAULT NULL,
+    is_system TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_role_name (name)
+);
+
+CREATE TABLE IF NOT EXISTS role_permission (
+    role_id INT NOT NULL,
+    permission_key VARCHAR(100) NOT NULL,
+    PRIMARY KEY (role_id, permission_key)
+);
+
+ALTER TABLE admin_site
+ADD COLUMN IF NOT EXISTS role_id INT DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_admin_site_role ON admin_site(role_id);
+
+-- Built-in role templates
+INSERT IGNORE INTO role (name, description, is_system) VALUES
+    ('Super Administrator', 'Full access to every site', 1),
+    ('Site Manager', 'Manages everything on the assigned site', 0),
+    ('Front Desk', 'Guest orders and read access to rooms and devices', 0),
+    ('Housekeeping', 'Room service orders', 0),
+    ('Engineer', 'Devices, Wi-Fi and MQTT maintenance', 0);
+
+INSERT IGNORE INTO role_permission (role_id, permission_key)
+SELECT r.id, '*' FROM role r WHERE r.name = 'Super Administrator';
+
+INSERT IGNORE INTO role_permission (role_id, permission_key)
+SELECT r.id, p.permission_key FROM role r
+JOIN (
+    SELECT 'sites:read' AS permission_key UNION ALL SELECT 'sites:write'
+    UNION ALL SELECT 'devices:read' UNION ALL SELECT 'devices:write' UNION ALL SELECT 'devices:command'
+    UNION ALL SELECT 'admins:read' UNION ALL SELECT 'wifi:read' UNION ALL SELECT 'wifi:write'
+    UNION ALL SELECT 'products:read' UNION ALL SELECT 'products:write'
+    UNION ALL SELECT 'orders:read' UNION ALL SELECT 'orders:manage'
+    UNION ALL SELECT 'mqtt:read' UNION ALL SELECT 'mqtt:publish' UNION ALL SELECT 'logs:read'
+    UNION ALL SELECT 'api_keys:read' UNION ALL SELECT 'api_keys:manage' UNION ALL SELECT 'roles:read'
+) p
+WHERE r.name = 'Site Manager';
+
+INSERT IGNORE INTO role_permission (role_id, permission_key)
+SELECT r.id, p.permission_key FROM role r
+JOIN (
+    SELECT 'sites:read' AS permission_key UNION ALL SELECT 'devices:read' UNION ALL SELECT 'wifi:read'
+    UNION ALL SELECT 'products:read' UNION ALL SELECT 'orders:read' UNION ALL SELECT 'orders:manage'
+    UNION ALL SELECT 'logs:read'
+) p
+WHERE r.name = 'Front Desk';
+
+INSERT IGNORE INTO role_permission (role_id, permission_key)
+SELECT r.id, p.permission_key FROM role r
+JOIN (
+    SELECT 'sites:read' AS permission_key UNION ALL SELECT 'devices:read'
+    UNION ALL SELECT 'products:read' UNION ALL SELECT 'orders:read' UNION ALL SELECT 'orders:manage'
+) p
+WHERE r.name = 'Housekeeping';
+
+INSERT IGNORE INTO role_permission (role_id, permission_key)
+SELECT r.id, p.permission_key FROM role r
+JOIN (
+    SELECT 'sites:read' AS permission_key UNION ALL SELECT 'devices:read' UNION ALL SELECT 'devices:write'
+    UNION ALL SELECT 'devices:command' UNION ALL SELECT 'wifi:read' UNION ALL SELECT 'wifi:write'
+    UNION ALL SELECT 'mqtt:read' UNION ALL SELECT 'mqtt:publish' UNION ALL SELECT 'logs:read'
+    UNION ALL SELECT 'logs:write'
+) p
+WHERE r.name = 'Engineer';
+
+-- Link existing free-text roles to the matching template
+UPDATE admin_site a
+JOIN role r ON r.name = a.role
+SET a.role_id = r.id
+WHERE a.role_id IS NULL;
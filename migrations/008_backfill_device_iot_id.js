@@ -0,0 +1,23 @@
+// Migration: 008_backfill_device_iot_id.js
+// Description: Fill device_iot._id from ieee_id for rows created before the API derived it
+// Date: 2026-10-19
+
+// Same normalization as POST /api/devices/:id/iot
+function toIotId(ieeeId) {
+    return String(ieeeId).replace(/:/g, '').toLowerCase();
+}
+
+async function up(db) {
+    const rows = await db.fetchAll(
+        "SELECT id, ieee_id FROM device_iot WHERE (_id IS NULL OR _id = '') AND ieee_id IS NOT NULL"
+    );
+
+    for (const row of rows) {
+        await db.execute("UPDATE device_iot SET _id = ? WHERE id = ?", [toIotId(row.ieee_id), row.id]);
+    }
+}
+
+// Nothing to undo: the derived IDs are what the API writes for new rows anyway
+async function down() {}
+
+module.exports = { transactional: true, up, down };
@@ -0,0 +1,32 @@
+// Migration: 009_normalize_site_profile_settings.js
+// Description: Rewrite site_profile.settings as a JSON object (empty, invalid and double-encoded values)
+// Date: 2026-10-19
+
+// Parse stored settings into an object, unwrapping JSON that was encoded twice
+function toSettingsObject(value) {
+    let parsed = value;
+    for (let depth = 0; typeof parsed === 'string' && depth < 3; depth++) {
+        try {
+            parsed = JSON.parse(parsed);
+        } catch (error) {
+            return {};
+        }
+    }
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+}
+
+async function up(db) {
+    const profiles = await db.fetchAll("SELECT id, settings FROM site_profile");
+
+    for (const profile of profiles) {
+        const normalized = JSON.stringify(toSettingsObject(profile.settings));
+        if (normalized !== profile.settings) {
+            await db.execute("UPDATE site_profile SET settings = ? WHERE id = ?", [normalized, profile.id]);
+        }
+    }
+}
+
+// Nothing to undo: normalized settings are still valid for every reader
+async function down() {}
+
+module.exports = { transactional: true, up, down };
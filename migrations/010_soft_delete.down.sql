@@ -0,0 +1,20 @@
+-- Migration: 010_soft_delete.down.sql
+-- Description: Revert 010_soft_delete.sql (rows that were soft-deleted become visible again)
+-- Date: 2026-10-19
+
+DROP INDEX IF EXISTS idx_sites_deleted_at ON sites;
+DROP INDEX IF EXISTS idx_devices_deleted_at ON devices;
+DROP INDEX IF EXISTS idx_product_deleted_at ON product;
+DROP INDEX IF EXISTS idx_admins_deleted_at ON admins;
+
+ALTER TABLE sites
+DROP COLUMN IF EXISTS deleted_at;
+
+ALTER TABLE devices
+DROP COLUMN IF EXISTS deleted_at;
+
+ALTER TABLE product
+DROP COLUMN IF EXISTS deleted_at;
+
+ALTER TABLE admins
+DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,20 @@
+-- Migration: 010_soft_delete.sql
+-- Description: Soft deletion marker on sites, devices, products and admins
+-- Date: 2026-10-19
+
+ALTER TABLE sites
+ADD COLUMN IF NOT EXISTS deleted_at DATETIME DEFAULT NULL;
+
+ALTER TABLE devices
+ADD COLUMN IF NOT EXISTS deleted_at DATETIME DEFAULT NULL;
+
+ALTER TABLE product
+ADD COLUMN IF NOT EXISTS deleted_at DATETIME DEFAULT NULL;
+
+ALTER TABLE admins
+ADD COLUMN IF NOT EXISTS deleted_at DATETIME DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sites_deleted_at ON sites(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_devices_deleted_at ON devices(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_product_deleted_at ON product(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_admins_deleted_at ON admins(deleted_at);
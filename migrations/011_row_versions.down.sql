@@ -0,0 +1,9 @@
+-- Migration: 011_row_versions.down.sql
+-- Description: Revert 011_row_versions.sql
+-- Date: 2026-10-19
+
+ALTER TABLE site_wifi
+DROP COLUMN IF EXISTS version;
+
+ALTER TABLE product
+DROP COLUMN IF EXISTS version;
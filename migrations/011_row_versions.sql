@@ -0,0 +1,9 @@
+-- Migration: 011_row_versions.sql
+-- Description: Row versions for optimistic concurrency (ETag / If-Match) on products and Wi-Fi configurations
+-- Date: 2026-10-19
+
+ALTER TABLE product
+ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
+
+ALTER TABLE site_wifi
+ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
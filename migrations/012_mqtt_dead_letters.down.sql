@@ -0,0 +1,5 @@
+-- Migration: 012_mqtt_dead_letters.down.sql
+-- Description: Revert 012_mqtt_dead_letters.sql
+-- Date: 2026-10-19
+
+DROP TABLE IF EXISTS mqtt_dead_letter;
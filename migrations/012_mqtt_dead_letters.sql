@@ -0,0 +1,15 @@
+-- Migration: 012_mqtt_dead_letters.sql
+-- Description: MQTT status messages the ingestion service could not store, kept for inspection and replay
+-- Date: 2026-10-19
+
+-- site_id is taken from the topic and may name a site that does not exist, so it has no foreign key
+CREATE TABLE IF NOT EXISTS mqtt_dead_letter (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    topic VARCHAR(255) NOT NULL,
+    payload MEDIUMTEXT DEFAULT NULL,
+    error TEXT NOT NULL,
+    site_id INT DEFAULT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_mqtt_dead_letter_site (site_id, received_at),
+    KEY idx_mqtt_dead_letter_received (received_at)
+);
@@ -0,0 +1,5 @@
+-- Migration: 013_device_commands.down.sql
+-- Description: Revert 013_device_commands.sql
+-- Date: 2026-10-19
+
+DROP TABLE IF EXISTS device_command;
@@ -0,0 +1,26 @@
+-- Migration: 013_device_commands.sql
+-- Description: Device commands with their correlation ID and lifecycle
+--              (queued, sent, acknowledged, succeeded, failed, timed_out)
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS device_command (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    correlation_id CHAR(36) NOT NULL,
+    device_id INT NOT NULL,
+    site_id INT NOT NULL,
+    command VARCHAR(100) NOT NULL,
+    parameters TEXT DEFAULT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    result TEXT DEFAULT NULL,
+    error TEXT DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME DEFAULT NULL,
+    acknowledged_at DATETIME DEFAULT NULL,
+    completed_at DATETIME DEFAULT NULL,
+    expires_at DATETIME NOT NULL,
+    UNIQUE KEY uniq_device_command_correlation (correlation_id),
+    KEY idx_device_command_device (device_id, created_at),
+    KEY idx_device_command_pending (status, expires_at),
+    CONSTRAINT fk_device_command_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+);
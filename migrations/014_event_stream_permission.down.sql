@@ -0,0 +1,7 @@
+-- Migration: 014_event_stream_permission.down.sql
+-- Description: Revert 014_event_stream_permission.sql
+-- Date: 2026-10-19
+
+DELETE FROM role_permission WHERE permission_key = 'events:read';
+
+DELETE FROM admin_permission WHERE permission_key = 'events:read';
@@ -0,0 +1,12 @@
+-- Migration: 014_event_stream_permission.sql
+-- Description: Grant events:read (live event stream) to roles and admins that can read
+--              devices, orders or MQTT status, the event types the stream carries
+-- Date: 2026-10-19
+
+INSERT IGNORE INTO role_permission (role_id, permission_key)
+SELECT DISTINCT role_id, 'events:read' FROM role_permission
+WHERE permission_key IN ('devices:read', 'orders:read', 'mqtt:read');
+
+INSERT IGNORE INTO admin_permission (admin_id, permission_key)
+SELECT DISTINCT admin_id, 'events:read' FROM admin_permission
+WHERE permission_key IN ('devices:read', 'orders:read', 'mqtt:read');
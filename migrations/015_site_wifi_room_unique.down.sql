@@ -0,0 +1,8 @@
+-- Migration: 015_site_wifi_room_unique.down.sql
+-- Description: Revert 015_site_wifi_room_unique.sql (removed duplicates are not restored)
+-- Date: 2026-10-19
+
+-- The unique key also serves the site foreign key, so an index on site_id takes its place
+ALTER TABLE site_wifi
+ADD INDEX fk_site_wifi_site (site_id),
+DROP INDEX uniq_site_wifi_room;
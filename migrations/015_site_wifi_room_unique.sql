@@ -0,0 +1,13 @@
+-- Migration: 015_site_wifi_room_unique.sql
+-- Description: One Wi-Fi configuration per room of a site; duplicates are removed first,
+--              keeping the newest configuration (highest id) of each room
+-- Date: 2026-10-19
+
+DELETE older FROM site_wifi older
+JOIN site_wifi newer
+    ON newer.site_id = older.site_id
+    AND newer.for_room = older.for_room
+    AND newer.id > older.id;
+
+ALTER TABLE site_wifi
+ADD UNIQUE KEY uniq_site_wifi_room (site_id, for_room);
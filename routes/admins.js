@@ -2,6 +2,19 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
+const { SUPER_ADMIN_ROLE, hasPermission } = require('../middleware/auth');
+const roles = require('../services/roles');
+const loginGuard = require('../services/login-guard');
+const twoFactor = require('../services/two-factor');
+const tokens = require('../services/tokens');
+const accountTokens = require('../services/account-tokens');
+const { recordAudit } = require('../services/audit');
+const {
+    getAccessibleSiteIds, siteCondition, ensureSiteAccess, requireSiteParam, permissionsMissingOnSites
+} = require('../middleware/siteAccess');
+const { validatePagination, readPage, sendPage } = require('../middleware/pagination');
+const { allowDeleted, notDeleted } = require('../middleware/softDelete');
+const { PERMISSIONS, WILDCARD_PERMISSION } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -13,16 +26,159 @@ const validateAdmin = [
     body('verified').optional().isBoolean()
 ];
 
+const validateSiteRole = [
+    body('role_id').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('role').optional({ values: 'null' }).isString().trim(),
+    body('allow_devices_adoption').optional().isBoolean()
+];
+
+const validatePermissions = [
+    body('permissions').isArray(),
+    body('permissions.*').isIn([...Object.keys(PERMISSIONS), WILDCARD_PERMISSION]).withMessage('Unknown permission')
+];
+
+// Columns of the admin list clients may filter on, sort by and select
+const ADMIN_LIST = {
+    filterable: ['id', 'email', 'name', 'verified', 'created_at', 'deleted_at'],
+    sortable: ['id', 'email', 'name', 'created_at'],
+    fields: ['id', 'email', 'name', 'verified', 'created_at', 'deleted_at']
+};
+
+/**
+ * Build a SQL condition restricting admins to those sharing one of the caller's sites
+ * Super admins see every admin.
+ * @param {Object} req - Express request
+ * @param {string} column - Column holding the admin ID, qualified (e.g. "admins.id")
+ * @param {Object} options - { unassigned: also match admins without any site, e.g. new invitees }
+ * @returns {Object} { clause, params } to AND into a WHERE clause
+ */
+function adminCondition(req, column, { unassigned = false } = {}) {
+    if (getAccessibleSiteIds(req) === null) {
+        return { clause: '1 = 1', params: [] };
+    }
+
+    const scope = siteCondition(req, 'shared.site_id');
+    const clause = `EXISTS (SELECT 1 FROM admin_site shared WHERE shared.admin_id = ${column} AND ${scope.clause})`;
+    return {
+        clause: unassigned
+            ? `(${clause} OR NOT EXISTS (SELECT 1 FROM admin_site assigned WHERE assigned.admin_id = ${column}))`
+            : clause,
+        params: scope.params
+    };
+}
+
+/**
+ * Middleware: 404 unless the :id admin shares one of the caller's sites
+ * @param {Object} options - Passed to adminCondition
+ * @returns {Function} Express middleware
+ */
+function requireAdminAccess(options = {}) {
+    return async (req, res, next) => {
+        try {
+            const scope = adminCondition(req, 'admins.id', options);
+            const admin = await db.fetchOne(
+                `SELECT id FROM admins WHERE id = ? AND ${scope.clause}`,
+                [req.params.id, ...scope.params]
+            );
+            if (!admin) {
+                return res.status(404).json({ error: 'Admin not found' });
+            }
+            next();
+        } catch (error) {
+            console.error('Load admin error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+}
+
+// Only super admins may grant, change or remove the Super Administrator role
+async function canChangeSuperRole(req, res, adminId, siteId, newRole) {
+    if (req.admin.isSuperAdmin) {
+        return true;
+    }
+
+    const current = await db.fetchOne(`
+        SELECT COALESCE(r.name, a.role) AS role
+        FROM admin_site a
+        LEFT JOIN role r ON r.id = a.role_id
+        WHERE a.admin_id = ? AND a.site_id = ?
+    `, [adminId, siteId]);
+
+    if (newRole === SUPER_ADMIN_ROLE || (current && current.role === SUPER_ADMIN_ROLE)) {
+        res.status(403).json({ success: false, error: 'Only super administrators can change this role' });
+        return false;
+    }
+    return true;
+}
+
+// Only super admins may manage super admins, and other admins only accounts whose permissions
+// they hold themselves; otherwise a manager could take over or remove a more privileged admin
+async function canManageAdmin(req, res, adminId) {
+    if (req.admin.isSuperAdmin) {
+        return true;
+    }
+
+    const target = await roles.getEffectivePermissions(adminId);
+    if (target.is_super_admin) {
+        res.status(403).json({ success: false, error: 'Only super administrators can manage a super administrator' });
+        return false;
+    }
+
+    const granted = [...target.direct, ...target.sites.flatMap(site => site.permissions)];
+    const notHeld = [
+        ...(granted.includes(WILDCARD_PERMISSION) && !req.admin.permissions.includes(WILDCARD_PERMISSION) ? [WILDCARD_PERMISSION] : []),
+        ...target.permissions.filter(permission => !hasPermission(req.admin, permission))
+    ];
+    if (notHeld.length > 0) {
+        res.status(403).json({ success: false, error: 'Cannot manage an admin with permissions you do not hold', permissions: notHeld });
+        return false;
+    }
+    return true;
+}
+
+// Resolve the role of a site assignment from role_id or role (name)
+// Answers 400 for unknown roles and 403 when the assignment would grant the admin permissions on
+// the site (the role's and the admin's direct grants) that the caller does not hold there.
+async function resolveSiteRole(req, res, adminId, siteId) {
+    if (!req.body.role_id && !req.body.role) {
+        res.status(400).json({ error: 'role_id or role is required' });
+        return null;
+    }
+
+    const role = await roles.resolveRole(req.body);
+    if (!role) {
+        res.status(400).json({ error: 'Unknown role' });
+        return null;
+    }
+
+    const direct = (await db.fetchAll(
+        "SELECT permission_key FROM admin_permission WHERE admin_id = ?",
+        [adminId]
+    )).map(p => p.permission_key);
+    const notHeld = permissionsMissingOnSites(req, [...new Set([...role.permissions, ...direct])], [siteId]);
+    if (notHeld.length > 0) {
+        res.status(403).json({ success: false, error: 'Cannot assign a role with permissions you do not hold', permissions: notHeld });
+        return null;
+    }
+    return role;
+}
+
 // GET /api/admins - Get all admins
-router.get('/', async (req, res) => {
+router.get('/', allowDeleted('admins:manage'), validatePagination, async (req, res) => {
     try {
-        const admins = await db.fetchAll(`
-            SELECT id, email, name, verified, created_at 
-            FROM admins 
-            ORDER BY created_at DESC
-        `);
-        
-        res.json({ success: true, data: admins });
+        const page = readPage(req, res, '-created_at,-id', ADMIN_LIST);
+        if (!page) {
+            return;
+        }
+
+        const scope = adminCondition(req, 'admins.id');
+        const result = await db.paginate(`
+            SELECT id, email, name, verified, created_at, deleted_at
+            FROM admins
+            WHERE ${notDeleted(req, 'deleted_at')} AND ${scope.clause}
+        `, scope.params, page);
+
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get all admins error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -30,13 +186,14 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/admins/:id - Get admin by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', allowDeleted('admins:manage'), requireAdminAccess(), async (req, res) => {
     try {
         const { id } = req.params;
         const admin = await db.fetchOne(`
-            SELECT id, name, email, verified 
+            SELECT id, name, email, verified, last_login, login_count,
+                   failed_login_count, locked_until, totp_enabled, deleted_at
             FROM admins 
-            WHERE id = ? 
+            WHERE id = ? AND ${notDeleted(req, 'deleted_at')}
             LIMIT 1
         `, [id]);
         
@@ -59,10 +216,19 @@ router.post('/', validateAdmin, async (req, res) => {
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { name, email, password, verified = true } = req.body;
+        const { name, email, password } = req.body;
+
+        // Without a password the admin is invited and verified once the invitation is accepted
+        const verified = password ? (req.body.verified ?? true) : false;
 
         // Check if email already exists
-        const existingAdmin = await db.fetchOne("SELECT id FROM admins WHERE email = ?", [email]);
+        const existingAdmin = await db.fetchOne("SELECT id, deleted_at FROM admins WHERE email = ?", [email]);
+        if (existingAdmin && existingAdmin.deleted_at) {
+            return res.status(409).json({
+                error: 'A deleted admin has this email, restore it instead',
+                admin_id: existingAdmin.id
+            });
+        }
         if (existingAdmin) {
             return res.status(400).json({ error: 'Email already exists' });
         }
@@ -80,7 +246,22 @@ router.post('/', validateAdmin, async (req, res) => {
             WHERE id = ?
         `, [result.last_insert_id]);
 
-        res.status(201).json({ success: true, data: newAdmin });
+        let invitationSent = false;
+        if (!password) {
+            try {
+                await accountTokens.sendInvitation(newAdmin, req.admin);
+                invitationSent = true;
+            } catch (error) {
+                console.error('Send invitation error:', error);
+            }
+        }
+
+        recordAudit(req, {
+            action: 'create', entity_type: 'admin', entity_id: newAdmin.id, after: newAdmin,
+            metadata: { invited: !password, invitation_sent: invitationSent }
+        });
+
+        res.status(201).json({ success: true, data: newAdmin, invitation_sent: invitationSent });
     } catch (error) {
         console.error('Create admin error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -88,7 +269,7 @@ router.post('/', validateAdmin, async (req, res) => {
 });
 
 // PUT /api/admins/:id - Update admin
-router.put('/:id', validateAdmin, async (req, res) => {
+router.put('/:id', requireAdminAccess(), validateAdmin, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -99,11 +280,15 @@ router.put('/:id', validateAdmin, async (req, res) => {
         const { name, email, password, verified } = req.body;
 
         // Check if admin exists
-        const existingAdmin = await db.fetchOne("SELECT id FROM admins WHERE id = ?", [id]);
+        const existingAdmin = await db.fetchOne("SELECT id, name, email, verified FROM admins WHERE id = ? AND deleted_at IS NULL", [id]);
         if (!existingAdmin) {
             return res.status(404).json({ error: 'Admin not found' });
         }
 
+        if (!await canManageAdmin(req, res, id)) {
+            return;
+        }
+
         // Check if email already exists (excluding current admin)
         if (email) {
             const emailExists = await db.fetchOne("SELECT id FROM admins WHERE email = ? AND id != ?", [email, id]);
@@ -131,12 +316,22 @@ router.put('/:id', validateAdmin, async (req, res) => {
 
         await db.execute(updateSql, params);
 
+        // A new password signs the admin out everywhere (except the caller's own session)
+        if (password) {
+            await tokens.revokeAllSessions(id, req.admin.session_id);
+        }
+
         const updatedAdmin = await db.fetchOne(`
             SELECT id, name, email, verified 
             FROM admins 
             WHERE id = ?
         `, [id]);
 
+        recordAudit(req, {
+            action: 'update', entity_type: 'admin', entity_id: id,
+            before: existingAdmin, after: updatedAdmin, metadata: { password_changed: Boolean(password) }
+        });
+
         res.json({ success: true, data: updatedAdmin });
     } catch (error) {
         console.error('Update admin error:', error);
@@ -144,18 +339,26 @@ router.put('/:id', validateAdmin, async (req, res) => {
     }
 });
 
-// DELETE /api/admins/:id - Delete admin
-router.delete('/:id', async (req, res) => {
+// DELETE /api/admins/:id - Delete admin (soft delete, restorable until purged)
+// Sessions are revoked; a deleted admin can neither sign in nor use account tokens
+router.delete('/:id', requireAdminAccess(), async (req, res) => {
     try {
         const { id } = req.params;
 
         // Check if admin exists
-        const existingAdmin = await db.fetchOne("SELECT id FROM admins WHERE id = ?", [id]);
+        const existingAdmin = await db.fetchOne("SELECT id, name, email, verified FROM admins WHERE id = ? AND deleted_at IS NULL", [id]);
         if (!existingAdmin) {
             return res.status(404).json({ error: 'Admin not found' });
         }
 
-        await db.execute("DELETE FROM admins WHERE id = ?", [id]);
+        if (!await canManageAdmin(req, res, id)) {
+            return;
+        }
+
+        await db.execute("UPDATE admins SET deleted_at = NOW() WHERE id = ?", [id]);
+        await tokens.revokeAllSessions(id);
+
+        recordAudit(req, { action: 'delete', entity_type: 'admin', entity_id: id, before: existingAdmin });
 
         res.json({ success: true, message: 'Admin deleted successfully' });
     } catch (error) {
@@ -164,15 +367,177 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+// POST /api/admins/:id/restore - Restore a deleted admin (sessions stay revoked, the admin signs in again)
+router.post('/:id/restore', requireAdminAccess(), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const admin = await db.fetchOne("SELECT id, name, email, verified, deleted_at FROM admins WHERE id = ?", [id]);
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        if (!admin.deleted_at) {
+            return res.status(409).json({ error: 'Admin is not deleted' });
+        }
+
+        if (!await canManageAdmin(req, res, id)) {
+            return;
+        }
+
+        await db.execute("UPDATE admins SET deleted_at = NULL WHERE id = ?", [id]);
+
+        const restoredAdmin = { ...admin, deleted_at: null };
+        recordAudit(req, { action: 'restore', entity_type: 'admin', entity_id: id, after: restoredAdmin });
+
+        res.json({ success: true, data: restoredAdmin });
+    } catch (error) {
+        console.error('Restore admin error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/admins/:id/invite - Send (or resend) the invitation email
+router.post('/:id/invite', requireAdminAccess({ unassigned: true }), async (req, res) => {
+    try {
+        const admin = await db.fetchOne(
+            "SELECT id, name, email, verified FROM admins WHERE id = ? AND deleted_at IS NULL",
+            [req.params.id]
+        );
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        if (admin.verified) {
+            return res.status(400).json({ error: 'Admin has already accepted the invitation' });
+        }
+
+        await accountTokens.sendInvitation(admin, req.admin);
+
+        recordAudit(req, { action: 'invite', entity_type: 'admin', entity_id: admin.id });
+
+        res.json({ success: true, message: 'Invitation sent successfully' });
+    } catch (error) {
+        console.error('Send invitation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/admins/:id/unlock - Lift a login lockout
+router.post('/:id/unlock', requireAdminAccess(), async (req, res) => {
+    try {
+        if (!await canManageAdmin(req, res, req.params.id)) {
+            return;
+        }
+
+        const unlocked = await loginGuard.unlockAccount(req.params.id);
+        if (!unlocked) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        recordAudit(req, { action: 'unlock', entity_type: 'admin', entity_id: req.params.id });
+
+        res.json({ success: true, message: 'Admin account unlocked successfully' });
+    } catch (error) {
+        console.error('Unlock admin error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/admins/:id/sessions - Active sessions of an admin
+router.get('/:id/sessions', requireAdminAccess(), async (req, res) => {
+    try {
+        const admin = await db.fetchOne("SELECT id FROM admins WHERE id = ? AND deleted_at IS NULL", [req.params.id]);
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        const sessions = await tokens.listSessions(admin.id);
+
+        res.json({ success: true, data: sessions });
+    } catch (error) {
+        console.error('Get admin sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/admins/:id/sessions/:sessionId - Sign out one session of an admin
+router.delete('/:id/sessions/:sessionId', requireAdminAccess(), async (req, res) => {
+    try {
+        const { id, sessionId } = req.params;
+
+        if (!await canManageAdmin(req, res, id)) {
+            return;
+        }
+
+        const revoked = await tokens.revokeSession(sessionId, id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        recordAudit(req, { action: 'revoke_session', entity_type: 'admin', entity_id: id, metadata: { session_id: sessionId } });
+
+        res.json({ success: true, message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Revoke admin session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/admins/:id/sessions - Sign out every session of an admin
+router.delete('/:id/sessions', requireAdminAccess(), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const admin = await db.fetchOne("SELECT id FROM admins WHERE id = ? AND deleted_at IS NULL", [id]);
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        if (!await canManageAdmin(req, res, id)) {
+            return;
+        }
+
+        const revoked = await tokens.revokeAllSessions(admin.id);
+
+        recordAudit(req, { action: 'revoke_sessions', entity_type: 'admin', entity_id: id, metadata: { revoked } });
+
+        res.json({ success: true, message: 'All sessions revoked successfully', revoked });
+    } catch (error) {
+        console.error('Revoke admin sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/admins/:id/2fa - Reset two-factor authentication (super admins only)
+router.delete('/:id/2fa', requireAdminAccess(), async (req, res) => {
+    try {
+        if (!req.admin.isSuperAdmin) {
+            return res.status(403).json({ success: false, error: 'Only super administrators can reset two-factor authentication' });
+        }
+
+        const reset = await twoFactor.disable(req.params.id);
+        if (!reset) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        recordAudit(req, { action: 'reset_2fa', entity_type: 'admin', entity_id: req.params.id });
+
+        res.json({ success: true, message: 'Two-factor authentication reset successfully' });
+    } catch (error) {
+        console.error('Reset admin 2FA error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // GET /api/admins/:id/sites - Get admin sites
-router.get('/:id/sites', async (req, res) => {
+router.get('/:id/sites', requireAdminAccess(), async (req, res) => {
     try {
         const { id } = req.params;
+        const scope = siteCondition(req, 's.id');
         const sites = await db.fetchAll(`
             SELECT s.* FROM admin_site a
             JOIN sites s ON a.site_id = s.id
-            WHERE a.admin_id = ?
-        `, [id]);
+            WHERE a.admin_id = ? AND s.deleted_at IS NULL AND ${scope.clause}
+        `, [id, ...scope.params]);
         
         res.json({ success: true, data: sites });
     } catch (error) {
@@ -182,7 +547,7 @@ router.get('/:id/sites', async (req, res) => {
 });
 
 // GET /api/admins/:id/permissions - Get admin permissions
-router.get('/:id/permissions', async (req, res) => {
+router.get('/:id/permissions', requireAdminAccess(), async (req, res) => {
     try {
         const { id } = req.params;
         const permissions = await db.fetchAll(`
@@ -200,13 +565,31 @@ router.get('/:id/permissions', async (req, res) => {
 });
 
 // POST /api/admins/:id/sites - Assign admin to site
-router.post('/:id/sites', async (req, res) => {
+router.post('/:id/sites', requireAdminAccess({ unassigned: true }), validateSiteRole, async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         const { id } = req.params;
-        const { site_id, role, allow_devices_adoption = false } = req.body;
+        const { site_id, allow_devices_adoption = false } = req.body;
+
+        if (!ensureSiteAccess(req, res, site_id)) {
+            return;
+        }
+
+        const role = await resolveSiteRole(req, res, id, site_id);
+        if (!role) {
+            return;
+        }
+
+        if (!await canChangeSuperRole(req, res, id, site_id, role.name)) {
+            return;
+        }
 
         // Check if admin exists
-        const admin = await db.fetchOne("SELECT id FROM admins WHERE id = ?", [id]);
+        const admin = await db.fetchOne("SELECT id FROM admins WHERE id = ? AND deleted_at IS NULL", [id]);
         if (!admin) {
             return res.status(404).json({ error: 'Admin not found' });
         }
@@ -221,9 +604,17 @@ router.post('/:id/sites', async (req, res) => {
         }
 
         await db.execute(`
-            INSERT INTO admin_site (admin_id, site_id, role, allow_devices_adoption)
-            VALUES (?, ?, ?, ?)
-        `, [id, site_id, role, allow_devices_adoption ? 1 : 0]);
+            INSERT INTO admin_site (admin_id, site_id, role, role_id, allow_devices_adoption)
+            VALUES (?, ?, ?, ?, ?)
+        `, [id, site_id, role.name, role.id, allow_devices_adoption ? 1 : 0]);
+
+        recordAudit(req, {
+            action: 'create', entity_type: 'admin_site', entity_id: id, site_id,
+            after: {
+                admin_id: parseInt(id), site_id: parseInt(site_id), role: role.name, role_id: role.id,
+                allow_devices_adoption: allow_devices_adoption ? 1 : 0
+            }
+        });
 
         res.status(201).json({ success: true, message: 'Admin assigned to site successfully' });
     } catch (error) {
@@ -233,16 +624,43 @@ router.post('/:id/sites', async (req, res) => {
 });
 
 // PUT /api/admins/:id/sites/:siteId - Update admin site role
-router.put('/:id/sites/:siteId', async (req, res) => {
+router.put('/:id/sites/:siteId', requireSiteParam('siteId'), requireAdminAccess(), validateSiteRole, async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         const { id, siteId } = req.params;
-        const { role, allow_devices_adoption = false } = req.body;
+        const { allow_devices_adoption = false } = req.body;
+
+        const role = await resolveSiteRole(req, res, id, siteId);
+        if (!role) {
+            return;
+        }
+
+        if (!await canChangeSuperRole(req, res, id, siteId, role.name)) {
+            return;
+        }
+
+        const assignment = await db.fetchOne(
+            "SELECT * FROM admin_site WHERE admin_id = ? AND site_id = ?",
+            [id, siteId]
+        );
 
         await db.execute(`
             UPDATE admin_site
-            SET role = ?, allow_devices_adoption = ?
+            SET role = ?, role_id = ?, allow_devices_adoption = ?
             WHERE admin_id = ? AND site_id = ?
-        `, [role, allow_devices_adoption ? 1 : 0, id, siteId]);
+        `, [role.name, role.id, allow_devices_adoption ? 1 : 0, id, siteId]);
+
+        recordAudit(req, {
+            action: 'update', entity_type: 'admin_site', entity_id: id, site_id: siteId,
+            before: assignment,
+            after: assignment && {
+                ...assignment, role: role.name, role_id: role.id, allow_devices_adoption: allow_devices_adoption ? 1 : 0
+            }
+        });
 
         res.json({ success: true, message: 'Admin site role updated successfully' });
     } catch (error) {
@@ -252,14 +670,29 @@ router.put('/:id/sites/:siteId', async (req, res) => {
 });
 
 // DELETE /api/admins/:id/sites/:siteId - Remove admin from site
-router.delete('/:id/sites/:siteId', async (req, res) => {
+router.delete('/:id/sites/:siteId', requireSiteParam('siteId'), requireAdminAccess(), async (req, res) => {
     try {
         const { id, siteId } = req.params;
 
+        if (!await canChangeSuperRole(req, res, id, siteId, null)) {
+            return;
+        }
+
+        const assignment = await db.fetchOne(
+            "SELECT * FROM admin_site WHERE admin_id = ? AND site_id = ?",
+            [id, siteId]
+        );
+
         await db.execute(`
             DELETE FROM admin_site WHERE admin_id = ? AND site_id = ?
         `, [id, siteId]);
 
+        if (assignment) {
+            recordAudit(req, {
+                action: 'delete', entity_type: 'admin_site', entity_id: id, site_id: siteId, before: assignment
+            });
+        }
+
         res.json({ success: true, message: 'Admin removed from site successfully' });
     } catch (error) {
         console.error('Remove admin from site error:', error);
@@ -267,40 +700,126 @@ router.delete('/:id/sites/:siteId', async (req, res) => {
     }
 });
 
-// POST /api/admins/:id/permissions - Set admin permissions
-router.post('/:id/permissions', async (req, res) => {
+// POST /api/admins/:id/permissions - Set admin permissions (direct grants on top of site roles)
+router.post('/:id/permissions', requireAdminAccess(), validatePermissions, async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         const { id } = req.params;
-        const { permissions = [] } = req.body;
+        const permissions = [...new Set(req.body.permissions)];
 
-        // Clear old permissions
-        await db.execute("DELETE FROM admin_permission WHERE admin_id = ?", [id]);
+        const admin = await db.fetchOne("SELECT id FROM admins WHERE id = ? AND deleted_at IS NULL", [id]);
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
 
-        // Insert new permissions
-        for (const permission of permissions) {
-            await db.execute(`
-                INSERT INTO admin_permission (admin_id, permission_key) 
-                VALUES (?, ?)
-            `, [id, permission]);
+        if (!await canManageAdmin(req, res, id)) {
+            return;
         }
 
-        res.json({ success: true, message: 'Admin permissions updated successfully' });
+        const previous = (await db.fetchAll(
+            "SELECT permission_key FROM admin_permission WHERE admin_id = ?",
+            [id]
+        )).map(p => p.permission_key);
+
+        const added = permissions.filter(permission => !previous.includes(permission));
+        const removed = previous.filter(permission => !permissions.includes(permission));
+
+        // Direct grants apply to every site of the admin, so the caller must hold each changed
+        // permission on all of them (assigning a site later checks the grants against that site)
+        const siteIds = (await db.fetchAll(
+            "SELECT site_id FROM admin_site WHERE admin_id = ?",
+            [id]
+        )).map(s => s.site_id);
+        const changed = [...added, ...removed];
+        const notHeld = changed.includes(WILDCARD_PERMISSION) && !req.admin.isSuperAdmin
+            ? [WILDCARD_PERMISSION]
+            : siteIds.length > 0
+                ? permissionsMissingOnSites(req, changed, siteIds)
+                : changed.filter(permission => !hasPermission(req.admin, permission));
+        if (notHeld.length > 0) {
+            return res.status(403).json({
+                success: false,
+                error: 'Cannot grant permissions you do not hold',
+                permissions: notHeld
+            });
+        }
+
+        await db.transaction(async (tx) => {
+            for (const permission of removed) {
+                await tx.execute(
+                    "DELETE FROM admin_permission WHERE admin_id = ? AND permission_key = ?",
+                    [id, permission]
+                );
+            }
+            for (const permission of added) {
+                await tx.execute(`
+                    INSERT INTO admin_permission (admin_id, permission_key) 
+                    VALUES (?, ?)
+                `, [id, permission]);
+            }
+        });
+
+        if (added.length > 0 || removed.length > 0) {
+            recordAudit(req, {
+                action: 'update', entity_type: 'admin_permission', entity_id: id,
+                before: { permissions: previous },
+                after: { permissions }
+            });
+        }
+
+        res.json({ success: true, message: 'Admin permissions updated successfully', added, removed });
     } catch (error) {
         console.error('Set admin permissions error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// GET /api/admins/:id/effective-permissions - Direct grants combined with site roles
+router.get('/:id/effective-permissions', requireAdminAccess(), async (req, res) => {
+    try {
+        const admin = await db.fetchOne("SELECT id FROM admins WHERE id = ? AND deleted_at IS NULL", [req.params.id]);
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        const effective = await roles.getEffectivePermissions(admin.id);
+
+        // Only list site roles on sites the caller may see
+        const scope = siteCondition(req, 'id');
+        const visible = (await db.fetchAll(`SELECT id FROM sites WHERE deleted_at IS NULL AND ${scope.clause}`, scope.params))
+            .map(site => site.id);
+
+        res.json({
+            success: true,
+            data: { ...effective, sites: effective.sites.filter(site => visible.includes(site.site_id)) }
+        });
+    } catch (error) {
+        console.error('Get effective permissions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // GET /api/admins/available-for-site/:siteId - Get available admins for site
-router.get('/available-for-site/:siteId', async (req, res) => {
+router.get('/available-for-site/:siteId', requireSiteParam('siteId'), validatePagination, async (req, res) => {
     try {
+        const page = readPage(req, res, 'name,id');
+        if (!page) {
+            return;
+        }
+
         const { siteId } = req.params;
-        const admins = await db.fetchAll(`
+        const scope = adminCondition(req, 'admins.id', { unassigned: true });
+        const result = await db.paginate(`
             SELECT id, name, email FROM admins
-            WHERE id NOT IN (SELECT admin_id FROM admin_site WHERE site_id = ?)
-        `, [siteId]);
-        
-        res.json({ success: true, data: admins });
+            WHERE deleted_at IS NULL AND id NOT IN (SELECT admin_id FROM admin_site WHERE site_id = ?)
+              AND ${scope.clause}
+        `, [siteId, ...scope.params], page);
+
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get available admins for site error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -308,17 +827,13 @@ router.get('/available-for-site/:siteId', async (req, res) => {
 });
 
 // GET /api/admins/:id/is-super - Check if admin is super admin
-router.get('/:id/is-super', async (req, res) => {
+router.get('/:id/is-super', requireAdminAccess(), async (req, res) => {
     try {
         const { id } = req.params;
-        const result = await db.fetchOne(`
-            SELECT COUNT(*) AS count FROM admin_site 
-            WHERE admin_id = ? AND role = 'Super Administrator'
-        `, [id]);
         
         res.json({ 
             success: true, 
-            isSuperAdmin: result.count > 0 
+            isSuperAdmin: await roles.isSuperAdmin(id)
         });
     } catch (error) {
         console.error('Check super admin error:', error);
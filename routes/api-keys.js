@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const apiKeys = require('../services/api-keys');
+const { recordAudit } = require('../services/audit');
+const { API_KEY_ENDPOINTS, DEFAULT_API_KEY_ENDPOINTS } = require('../config/permissions');
+const { canAccessSite, siteCondition, ensureSiteAccess } = require('../middleware/siteAccess');
+const { validatePagination, readPage, sendPage } = require('../middleware/pagination');
+
+const router = express.Router();
+
+// Validation middleware
+const validateApiKey = [
+    body('name').notEmpty().trim().isLength({ max: 100 }),
+    body('site_id').isInt({ min: 1 }),
+    body('allowed_endpoints').optional().isArray({ min: 1 }),
+    body('allowed_endpoints.*').isIn(Object.keys(API_KEY_ENDPOINTS)).withMessage('Unknown endpoint'),
+    body('expires_at').optional({ values: 'null' }).isISO8601().withMessage('Expiry must be a valid ISO date')
+];
+
+const validateRotate = [
+    body('expires_at').optional({ values: 'null' }).isISO8601().withMessage('Expiry must be a valid ISO date')
+];
+
+// Parse an optional expiry date, rejecting past dates (false)
+function toExpiry(value) {
+    if (value === undefined || value === null) {
+        return value;
+    }
+    const date = new Date(value);
+    return date > new Date() ? date : false;
+}
+
+// Middleware: 404 unless the :id key belongs to one of the caller's sites
+async function requireKeyAccess(req, res, next) {
+    try {
+        const key = await db.fetchOne("SELECT id, site_id FROM api_key WHERE id = ?", [req.params.id]);
+        if (!key || !canAccessSite(req, key.site_id)) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Load API key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// GET /api/api-keys - List API keys
+router.get('/', validatePagination, async (req, res) => {
+    try {
+        const page = readPage(req, res, '-created_at,-id');
+        if (!page) {
+            return;
+        }
+
+        const { site_id, include_revoked } = req.query;
+        const scope = siteCondition(req, 'site_id');
+        let sql = `SELECT * FROM api_key WHERE ${scope.clause}`;
+        const params = [...scope.params];
+
+        if (site_id) {
+            if (!ensureSiteAccess(req, res, site_id)) {
+                return;
+            }
+            sql += " AND site_id = ?";
+            params.push(site_id);
+        }
+
+        if (include_revoked !== 'true') {
+            sql += " AND revoked_at IS NULL";
+        }
+
+        const result = await db.paginate(sql, params, page);
+        result.data = result.data.map(apiKeys.toPublicKey);
+        sendPage(res, page, result);
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/api-keys/endpoints - Endpoints that can be granted to API keys
+router.get('/endpoints', (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(API_KEY_ENDPOINTS).map(([endpoint, description]) => ({ endpoint, description })),
+        defaults: DEFAULT_API_KEY_ENDPOINTS
+    });
+});
+
+// GET /api/api-keys/:id - Get API key by ID
+router.get('/:id', requireKeyAccess, async (req, res) => {
+    try {
+        const key = await db.fetchOne("SELECT * FROM api_key WHERE id = ?", [req.params.id]);
+        res.json({ success: true, data: apiKeys.toPublicKey(key) });
+    } catch (error) {
+        console.error('Get API key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/api-keys - Create API key (the plain key is only returned here)
+router.post('/', validateApiKey, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, site_id, allowed_endpoints = DEFAULT_API_KEY_ENDPOINTS, expires_at } = req.body;
+
+        if (!ensureSiteAccess(req, res, site_id)) {
+            return;
+        }
+
+        const expiry = toExpiry(expires_at);
+        if (expiry === false) {
+            return res.status(400).json({ error: 'Expiry must be in the future' });
+        }
+
+        const key = await apiKeys.createApiKey({
+            name,
+            site_id,
+            allowed_endpoints: [...new Set(allowed_endpoints)],
+            expires_at: expiry,
+            created_by: req.admin.id
+        });
+
+        const { key: plainKey, ...publicKey } = key;
+        recordAudit(req, { action: 'create', entity_type: 'api_key', entity_id: key.id, site_id, after: publicKey });
+
+        res.status(201).json({
+            success: true,
+            data: key,
+            message: 'Store this key now, it cannot be retrieved again'
+        });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/api-keys/:id/rotate - Replace the key secret
+router.post('/:id/rotate', requireKeyAccess, validateRotate, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { id } = req.params;
+
+        const existing = await db.fetchOne("SELECT revoked_at FROM api_key WHERE id = ?", [id]);
+        if (existing.revoked_at) {
+            return res.status(400).json({ error: 'Revoked API keys cannot be rotated' });
+        }
+
+        const expiry = toExpiry(req.body.expires_at);
+        if (expiry === false) {
+            return res.status(400).json({ error: 'Expiry must be in the future' });
+        }
+
+        const key = await apiKeys.rotateApiKey(id, { expires_at: expiry });
+
+        recordAudit(req, { action: 'rotate', entity_type: 'api_key', entity_id: id, site_id: key.site_id });
+
+        res.json({
+            success: true,
+            data: key,
+            message: 'Store this key now, it cannot be retrieved again'
+        });
+    } catch (error) {
+        console.error('Rotate API key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/api-keys/:id/revoke - Revoke API key
+router.post('/:id/revoke', requireKeyAccess, async (req, res) => {
+    try {
+        const revoked = await apiKeys.revokeApiKey(req.params.id);
+        if (!revoked) {
+            return res.status(400).json({ error: 'API key already revoked' });
+        }
+
+        recordAudit(req, { action: 'revoke', entity_type: 'api_key', entity_id: req.params.id });
+
+        res.json({ success: true, message: 'API key revoked successfully' });
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
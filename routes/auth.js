@@ -2,6 +2,12 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
+const tokens = require('../services/tokens');
+const loginGuard = require('../services/login-guard');
+const twoFactor = require('../services/two-factor');
+const accountTokens = require('../services/account-tokens');
+const roles = require('../services/roles');
+const { authenticate, loadAdminFromRequest } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -11,6 +17,107 @@ const validateLogin = [
     body('password').isLength({ min: 1 })
 ];
 
+const validateRefresh = [
+    body('refresh_token').isString().notEmpty()
+];
+
+const validateSecondFactor = [
+    body('mfa_token').isString().notEmpty(),
+    body('code').optional().trim().isLength({ min: 6, max: 6 }),
+    body('recovery_code').optional().isString().trim().notEmpty()
+];
+
+const validatePasswordConfirmation = [
+    body('password').isLength({ min: 1 })
+];
+
+const validateTotpCode = [
+    body('code').trim().isLength({ min: 6, max: 6 })
+];
+
+const validateForgotPassword = [
+    body('email').isEmail().normalizeEmail()
+];
+
+const validatePasswordToken = [
+    body('token').isString().notEmpty(),
+    body('password').isLength({ min: 6 })
+];
+
+const validateAcceptInvite = [
+    ...validatePasswordToken,
+    body('name').optional().notEmpty().trim()
+];
+
+// Account endpoints are for admins only, API keys are rejected
+const authenticateAdmin = [
+    authenticate,
+    (req, res, next) => {
+        if (!req.admin) {
+            return res.status(403).json({ success: false, error: 'Admin authentication required' });
+        }
+        next();
+    }
+];
+
+// Answer a throttled or locked login attempt with 429 and Retry-After
+function sendLoginThrottled(res, status) {
+    res.set('Retry-After', String(status.retryAfter));
+    return res.status(429).json({
+        error: status.locked
+            ? 'Account temporarily locked due to too many failed login attempts'
+            : 'Too many failed login attempts, please wait before retrying',
+        retry_after: status.retryAfter
+    });
+}
+
+// Check an admin's current password
+async function checkPassword(adminId, password) {
+    const admin = await db.fetchOne("SELECT password_hash FROM admins WHERE id = ?", [adminId]);
+    return Boolean(admin && admin.password_hash) && bcrypt.compare(password, admin.password_hash);
+}
+
+// Create a session for a fully authenticated admin and build the login response
+async function buildLoginResponse(admin, req) {
+    // Get admin permissions (direct grants plus site roles)
+    const effective = await roles.getEffectivePermissions(admin.id);
+
+    // Get admin sites
+    const sites = await db.fetchAll(
+        "SELECT s.* FROM admin_site a JOIN sites s ON a.site_id = s.id WHERE a.admin_id = ? AND s.deleted_at IS NULL",
+        [admin.id]
+    );
+
+    // Issue access and refresh tokens backed by a server-side session
+    const issued = await tokens.createSession(admin, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    const sessionData = {
+        session_id: issued.session_id,
+        admin_id: admin.id,
+        email: admin.email,
+        name: admin.name,
+        role: admin.role || 'ADMIN',
+        permissions: effective.permissions,
+        site_roles: effective.sites,
+        sites: sites
+    };
+
+    return {
+        success: true,
+        admin: {
+            id: admin.id,
+            email: admin.email,
+            name: admin.name,
+            verified: admin.verified
+        },
+        ...issued,
+        session: sessionData
+    };
+}
+
 // GET /api/auth/login - Show login status
 router.get('/login', (req, res) => {
     res.json({
@@ -35,88 +142,266 @@ router.post('/login', validateLogin, async (req, res) => {
 
         const { email, password } = req.body;
 
+        // Throttle clients with repeated failures before touching the account
+        const ipStatus = loginGuard.checkIp(req.ip);
+        if (!ipStatus.allowed) {
+            return sendLoginThrottled(res, ipStatus);
+        }
+
         // Find admin by email
         const admin = await db.fetchOne(
-            "SELECT * FROM admins WHERE email = ? LIMIT 1",
+            "SELECT * FROM admins WHERE email = ? AND deleted_at IS NULL LIMIT 1",
             [email]
         );
 
         if (!admin) {
+            loginGuard.recordIpFailure(req.ip);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
+        // Locked or delayed accounts are rejected without checking the password
+        const accountStatus = await loginGuard.checkAccount(admin.id);
+        if (!accountStatus.allowed) {
+            return sendLoginThrottled(res, accountStatus);
+        }
+
         // Verify password
         const isValidPassword = await bcrypt.compare(password, admin.password_hash);
         if (!isValidPassword) {
+            loginGuard.recordIpFailure(req.ip);
+            await loginGuard.recordAccountFailure(admin.id);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Get admin permissions
-        const permissions = await db.fetchAll(
-            "SELECT permission_key FROM admin_permission WHERE admin_id = ?",
-            [admin.id]
-        );
+        // Accounts with 2FA need a second step before a session is created
+        if (admin.totp_enabled) {
+            const mfa = tokens.signMfaToken(admin);
+            return res.json({
+                success: true,
+                mfa_required: true,
+                mfa_token: mfa.token,
+                expires_in: mfa.expiresIn
+            });
+        }
 
-        // Get admin sites
-        const sites = await db.fetchAll(
-            "SELECT s.* FROM admin_site a JOIN sites s ON a.site_id = s.id WHERE a.admin_id = ?",
-            [admin.id]
+        await loginGuard.recordSuccess(admin.id);
+
+        res.json(await buildLoginResponse(admin, req));
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/login/2fa - Second login step for accounts with 2FA enabled
+router.post('/login/2fa', validateSecondFactor, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { mfa_token, code, recovery_code } = req.body;
+        if (!code && !recovery_code) {
+            return res.status(400).json({ error: 'A verification code or recovery code is required' });
+        }
+
+        const ipStatus = loginGuard.checkIp(req.ip);
+        if (!ipStatus.allowed) {
+            return sendLoginThrottled(res, ipStatus);
+        }
+
+        const mfa = tokens.verifyMfaToken(mfa_token);
+        const admin = mfa
+            ? await db.fetchOne("SELECT * FROM admins WHERE id = ? AND deleted_at IS NULL LIMIT 1", [mfa.adminId])
+            : null;
+
+        // Tokens issued before the password or the 2FA secret changed are void
+        if (!admin || !admin.totp_enabled || mfa.credentialStamp !== tokens.credentialStamp(admin)) {
+            return res.status(401).json({ error: 'Invalid or expired 2FA token' });
+        }
+
+        const accountStatus = await loginGuard.checkAccount(admin.id);
+        if (!accountStatus.allowed) {
+            return sendLoginThrottled(res, accountStatus);
+        }
+
+        const method = await twoFactor.verifySecondFactor(admin.id, { code, recovery_code });
+        if (!method) {
+            loginGuard.recordIpFailure(req.ip);
+            await loginGuard.recordAccountFailure(admin.id);
+            return res.status(401).json({ error: 'Invalid verification code' });
+        }
+
+        await loginGuard.recordSuccess(admin.id);
+
+        res.json(await buildLoginResponse(admin, req));
+
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', validateRefresh, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const issued = await tokens.rotateRefreshToken(req.body.refresh_token, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        if (!issued) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const { admin, ...tokenData } = issued;
+
+        res.json({ success: true, ...tokenData });
+
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const admin = await db.fetchOne(
+            "SELECT id, email, name, verified FROM admins WHERE email = ? AND deleted_at IS NULL LIMIT 1",
+            [req.body.email]
         );
 
-        // Create session data (similar to PHP session)
-        const sessionData = {
-            admin_id: admin.id,
-            email: admin.email,
-            name: admin.name,
-            role: admin.role || 'ADMIN',
-            permissions: permissions.map(p => p.permission_key),
-            sites: sites
-        };
+        // Only activated accounts can reset; at most one email per minute
+        if (admin && admin.verified &&
+            !await accountTokens.hasRecentToken(admin.id, accountTokens.TOKEN_PURPOSES.PASSWORD_RESET, 60)) {
+            await accountTokens.sendPasswordReset(admin);
+        }
 
+        // Same answer whether or not the email exists
         res.json({
             success: true,
-            admin: {
-                id: admin.id,
-                email: admin.email,
-                name: admin.name,
-                verified: admin.verified
-            },
-            session: sessionData
+            message: 'If the email belongs to an account, a password reset link has been sent'
         });
 
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Forgot password error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// GET /api/auth/verify
-router.get('/verify', async (req, res) => {
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', validatePasswordToken, async (req, res) => {
     try {
-        const adminId = req.query.admin_id || req.headers['x-admin-id'];
-        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { token, password } = req.body;
+
+        const adminId = await accountTokens.consumeToken(token, accountTokens.TOKEN_PURPOSES.PASSWORD_RESET);
         if (!adminId) {
-            return res.status(401).json({ error: 'No admin ID provided' });
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
         }
 
-        const admin = await db.fetchOne(
-            "SELECT id, email, name, verified FROM admins WHERE id = ? LIMIT 1",
-            [adminId]
-        );
+        const hash = await bcrypt.hash(password, 10);
+        await db.execute("UPDATE admins SET password_hash = ? WHERE id = ?", [hash, adminId]);
+
+        // Sign out everywhere and lift any lockout
+        await tokens.revokeAllSessions(adminId);
+        await loginGuard.unlockAccount(adminId);
+
+        res.json({ success: true, message: 'Password reset successfully, please log in' });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/auth/invitation - Show who an invitation is for
+router.get('/invitation', async (req, res) => {
+    try {
+        const verified = req.query.token
+            ? await accountTokens.verifyToken(String(req.query.token), accountTokens.TOKEN_PURPOSES.INVITE)
+            : null;
 
+        if (!verified) {
+            return res.status(400).json({ error: 'Invalid or expired invitation' });
+        }
+
+        const admin = await db.fetchOne("SELECT email, name FROM admins WHERE id = ? AND deleted_at IS NULL", [verified.adminId]);
         if (!admin) {
-            return res.status(401).json({ error: 'Invalid admin ID' });
+            return res.status(400).json({ error: 'Invalid or expired invitation' });
         }
 
-        // Get permissions
-        const permissions = await db.fetchAll(
-            "SELECT permission_key FROM admin_permission WHERE admin_id = ?",
-            [adminId]
-        );
+        res.json({ success: true, data: admin });
+
+    } catch (error) {
+        console.error('Get invitation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/accept-invite - Set a password and activate an invited account
+router.post('/accept-invite', validateAcceptInvite, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { token, password, name } = req.body;
+
+        const adminId = await accountTokens.consumeToken(token, accountTokens.TOKEN_PURPOSES.INVITE);
+        if (!adminId) {
+            return res.status(400).json({ error: 'Invalid or expired invitation' });
+        }
+
+        const hash = await bcrypt.hash(password, 10);
+        let updateSql = "UPDATE admins SET password_hash = ?, verified = 1";
+        const params = [hash];
+
+        if (name) {
+            updateSql += ", name = ?";
+            params.push(name);
+        }
+
+        updateSql += " WHERE id = ?";
+        params.push(adminId);
+
+        await db.execute(updateSql, params);
+
+        res.json({ success: true, message: 'Invitation accepted, please log in' });
+
+    } catch (error) {
+        console.error('Accept invite error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/auth/verify
+router.get('/verify', authenticateAdmin, async (req, res) => {
+    try {
+        const admin = req.admin;
+        const adminId = admin.id;
 
         // Get sites
         const sites = await db.fetchAll(
-            "SELECT s.* FROM admin_site a JOIN sites s ON a.site_id = s.id WHERE a.admin_id = ?",
+            "SELECT s.* FROM admin_site a JOIN sites s ON a.site_id = s.id WHERE a.admin_id = ? AND s.deleted_at IS NULL",
             [adminId]
         );
 
@@ -128,7 +413,7 @@ router.get('/verify', async (req, res) => {
                 name: admin.name,
                 verified: admin.verified
             },
-            permissions: permissions.map(p => p.permission_key),
+            permissions: admin.permissions,
             sites: sites
         });
 
@@ -138,24 +423,33 @@ router.get('/verify', async (req, res) => {
     }
 });
 
-// POST /api/auth/logout
-router.post('/logout', (req, res) => {
-    res.json({ success: true, message: 'Logged out successfully' });
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', async (req, res) => {
+    try {
+        const { refresh_token } = req.body || {};
+        const token = tokens.getBearerToken(req);
+        const claims = token ? await tokens.verifyAccessToken(token) : null;
+
+        if (claims) {
+            await tokens.revokeSession(claims.sessionId);
+        } else if (refresh_token) {
+            await tokens.revokeRefreshToken(refresh_token);
+        } else {
+            return res.status(401).json({ error: 'No valid token provided' });
+        }
+
+        res.json({ success: true, message: 'Logged out successfully' });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
 // GET /api/auth/is-logged-in
 router.get('/is-logged-in', async (req, res) => {
     try {
-        const adminId = req.query.admin_id || req.headers['x-admin-id'];
-        
-        if (!adminId) {
-            return res.json({ isLoggedIn: false });
-        }
-
-        const admin = await db.fetchOne(
-            "SELECT id FROM admins WHERE id = ? LIMIT 1",
-            [adminId]
-        );
+        const admin = await loadAdminFromRequest(req);
 
         res.json({ isLoggedIn: !!admin });
 
@@ -166,22 +460,9 @@ router.get('/is-logged-in', async (req, res) => {
 });
 
 // GET /api/auth/current-admin
-router.get('/current-admin', async (req, res) => {
+router.get('/current-admin', authenticateAdmin, async (req, res) => {
     try {
-        const adminId = req.query.admin_id || req.headers['x-admin-id'];
-        
-        if (!adminId) {
-            return res.status(401).json({ error: 'No admin ID provided' });
-        }
-
-        const admin = await db.fetchOne(
-            "SELECT id, email, name, verified FROM admins WHERE id = ? LIMIT 1",
-            [adminId]
-        );
-
-        if (!admin) {
-            return res.status(401).json({ error: 'Invalid admin ID' });
-        }
+        const admin = req.admin;
 
         res.json({
             success: true,
@@ -199,4 +480,181 @@ router.get('/current-admin', async (req, res) => {
     }
 });
 
+// GET /api/auth/sessions - Active sessions of the current admin
+router.get('/sessions', authenticateAdmin, async (req, res) => {
+    try {
+        const sessions = await tokens.listSessions(req.admin.id);
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({ ...session, current: session.id === req.admin.session_id }))
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/auth/sessions/:sessionId - Sign out one of the current admin's sessions
+router.delete('/sessions/:sessionId', authenticateAdmin, async (req, res) => {
+    try {
+        const revoked = await tokens.revokeSession(req.params.sessionId, req.admin.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ success: true, message: 'Session revoked successfully' });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/auth/sessions - Sign out every other session of the current admin
+router.delete('/sessions', authenticateAdmin, async (req, res) => {
+    try {
+        const revoked = await tokens.revokeAllSessions(req.admin.id, req.admin.session_id);
+
+        res.json({ success: true, message: 'Other sessions revoked successfully', revoked });
+
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/auth/2fa - Two-factor status of the current admin
+router.get('/2fa', authenticateAdmin, async (req, res) => {
+    try {
+        const status = await twoFactor.getStatus(req.admin.id);
+
+        res.json({ success: true, data: status });
+
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/2fa/setup - Generate a secret for the authenticator app
+router.post('/2fa/setup', authenticateAdmin, validatePasswordConfirmation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!await checkPassword(req.admin.id, req.body.password)) {
+            return res.status(401).json({ error: 'Invalid password' });
+        }
+
+        const status = await twoFactor.getStatus(req.admin.id);
+        if (status.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const enrollment = await twoFactor.startEnrollment(req.admin);
+
+        res.json({
+            success: true,
+            data: enrollment,
+            message: 'Add the secret to your authenticator app, then confirm with a code'
+        });
+
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/2fa/confirm - Enable 2FA with a first code
+router.post('/2fa/confirm', authenticateAdmin, validateTotpCode, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const status = await twoFactor.getStatus(req.admin.id);
+        if (status.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        if (!status.pending) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const recoveryCodes = await twoFactor.confirmEnrollment(req.admin.id, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+
+        res.json({
+            success: true,
+            data: { recovery_codes: recoveryCodes },
+            message: 'Two-factor authentication enabled. Store the recovery codes now, they cannot be retrieved again'
+        });
+
+    } catch (error) {
+        console.error('2FA confirm error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes
+router.post('/2fa/recovery-codes', authenticateAdmin, validateTotpCode, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!await twoFactor.verifyCode(req.admin.id, req.body.code)) {
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.admin.id);
+
+        res.json({
+            success: true,
+            data: { recovery_codes: recoveryCodes },
+            message: 'Previous recovery codes are no longer valid'
+        });
+
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/2fa/disable - Turn 2FA off (password and a code or recovery code required)
+router.post('/2fa/disable', authenticateAdmin, validatePasswordConfirmation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { password, code, recovery_code } = req.body;
+
+        if (!await checkPassword(req.admin.id, password)) {
+            return res.status(401).json({ error: 'Invalid password' });
+        }
+
+        const status = await twoFactor.getStatus(req.admin.id);
+        if (status.enabled && !await twoFactor.verifySecondFactor(req.admin.id, { code, recovery_code })) {
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+
+        await twoFactor.disable(req.admin.id);
+
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
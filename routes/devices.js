@@ -1,6 +1,14 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const db = require('../config/database');
+const { recordAudit } = require('../services/audit');
+const deviceCommands = require('../services/device-commands');
+const { publishDeviceStatus } = require('../services/events');
+const { canAccessSite, siteCondition, ensureSiteAccess, requireSiteParam } = require('../middleware/siteAccess');
+const { validatePagination, readPage, sendPage } = require('../middleware/pagination');
+const { allowDeleted, notDeleted, ensureActiveSite } = require('../middleware/softDelete');
+const { asIs, acceptMergePatch, patchAssignments } = require('../middleware/mergePatch');
+const { readImportRows, planImport, importReport, sendExport } = require('../middleware/bulk');
 
 const router = express.Router();
 
@@ -18,25 +26,236 @@ const validateDevice = [
     body('wifi_mode').optional().trim()
 ];
 
+// Fields PATCH may change; null clears the optional ones
+const DEVICE_PATCH = {
+    name: asIs, site_id: asIs, room: asIs, mac_address: asIs, ip_address: asIs, status: asIs,
+    firmware: asIs, current_ssid: asIs, current_clients: asIs, wifi_mode: asIs, model: asIs,
+    serial_number: asIs, warranty_expiry: asIs, maintenance_notes: asIs
+};
+
+const validateDevicePatch = [
+    body('name').optional().notEmpty().trim(),
+    body('site_id').optional().isInt({ min: 1 }).toInt(),
+    body([
+        'room', 'mac_address', 'ip_address', 'firmware', 'current_ssid', 'wifi_mode',
+        'model', 'serial_number', 'maintenance_notes'
+    ]).optional({ values: 'null' }).trim(),
+    body('status').optional().isIn(['online', 'offline', 'maintenance']),
+    body('current_clients').optional().isInt({ min: 0 }).toInt(),
+    body('warranty_expiry').optional({ values: 'null' }).isISO8601({ strict: true }).withMessage('Must be a date (YYYY-MM-DD)')
+];
+
+// Columns of device lists clients may filter on, sort by and select
+const DEVICE_LIST = {
+    filterable: [
+        'id', 'name', 'site_id', 'room', 'mac_address', 'ip_address', 'status', 'firmware',
+        'current_ssid', 'current_clients', 'wifi_mode', 'model', 'last_online', 'created_at', 'deleted_at'
+    ],
+    sortable: ['id', 'name', 'site_id', 'room', 'status', 'firmware', 'current_clients', 'model', 'last_online', 'created_at', 'updated_at'],
+    fields: [
+        'id', 'name', 'site_id', 'site_name', 'room', 'mac_address', 'ip_address', 'status', 'firmware',
+        'current_ssid', 'current_clients', 'current_clients_list', 'wifi_mode', 'model', 'serial_number',
+        'warranty_expiry', 'maintenance_notes', 'last_online', 'created_at', 'updated_at', 'deleted_at'
+    ]
+};
+
+// Body of a device command; ?wait= waits that many seconds for the result
+const validateCommand = [
+    body('command').isString().trim().notEmpty().isLength({ max: 100 }),
+    body('parameters').optional({ values: 'null' }).isObject(),
+    body('timeout').optional()
+        .isInt({ min: 1, max: deviceCommands.COMMAND_CONFIG.maxTimeoutSeconds }).toInt(),
+    query('wait').optional().isInt({ min: 0, max: deviceCommands.COMMAND_CONFIG.maxWaitSeconds }).toInt()
+];
+
+// Filters, sort and field selection of a device's command history
+const COMMAND_LIST = {
+    filterable: ['id', 'command', 'status', 'created_by', 'created_at'],
+    sortable: ['id', 'command', 'status', 'created_at', 'completed_at'],
+    fields: [
+        'id', 'correlation_id', 'device_id', 'site_id', 'command', 'parameters', 'status', 'result', 'error',
+        'created_by', 'created_at', 'sent_at', 'acknowledged_at', 'completed_at', 'expires_at'
+    ]
+};
+
+// Columns of device import and export files (the fields of validateDevice)
+const DEVICE_IMPORT_COLUMNS = [
+    'name', 'site_id', 'room', 'mac_address', 'ip_address', 'status',
+    'firmware', 'current_ssid', 'current_clients', 'wifi_mode'
+];
+
+// Middleware: 404 unless the :id device exists on one of the caller's sites
+// Deleted devices are only found by reads with include_deleted=true
+async function requireDeviceAccess(req, res, next) {
+    try {
+        const device = await db.fetchOne("SELECT id, site_id, deleted_at FROM devices WHERE id = ?", [req.params.id]);
+        if (!device || !canAccessSite(req, device.site_id) || (device.deleted_at && !req.includeDeleted)) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        req.device = device;
+        next();
+    } catch (error) {
+        console.error('Load device error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// Middleware: 404 unless the :iotId mapping belongs to a device on one of the caller's sites
+async function requireIotAccess(req, res, next) {
+    try {
+        const iot = await db.fetchOne(`
+            SELECT i.id, d.site_id
+            FROM device_iot i
+            JOIN devices d ON i.device_id = d.id
+            WHERE i.id = ? AND d.deleted_at IS NULL
+        `, [req.params.iotId]);
+        if (!iot || !canAccessSite(req, iot.site_id)) {
+            return res.status(404).json({ error: 'IoT mapping not found' });
+        }
+        req.iot = iot;
+        next();
+    } catch (error) {
+        console.error('Load IoT mapping error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
 // GET /api/devices - Get all devices
-router.get('/', async (req, res) => {
+router.get('/', allowDeleted('devices:write'), validatePagination, async (req, res) => {
     try {
-        const devices = await db.fetchAll(`
+        const page = readPage(req, res, 'id', DEVICE_LIST);
+        if (!page) {
+            return;
+        }
+
+        const scope = siteCondition(req, 'd.site_id');
+        const result = await db.paginate(`
             SELECT d.*, s.name AS site_name 
             FROM devices d 
             LEFT JOIN sites s ON d.site_id = s.id 
-            ORDER BY d.id ASC
-        `);
-        
-        res.json({ success: true, data: devices });
+            WHERE ${scope.clause} AND ${notDeleted(req, 'd.deleted_at')}
+        `, scope.params, page);
+
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get all devices error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// GET /api/devices/export - Download devices as CSV (default) or JSON, in the import format
+// Registered before /:id, which would otherwise match it
+router.get('/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or json' });
+        }
+
+        const scope = siteCondition(req, 'site_id');
+        let sql = `
+            SELECT ${DEVICE_IMPORT_COLUMNS.join(', ')}
+            FROM devices
+            WHERE deleted_at IS NULL AND ${scope.clause}
+        `;
+        const params = [...scope.params];
+
+        if (req.query.site_id) {
+            if (!ensureSiteAccess(req, res, req.query.site_id)) {
+                return;
+            }
+            sql += " AND site_id = ?";
+            params.push(req.query.site_id);
+        }
+
+        const devices = await db.fetchAll(`${sql} ORDER BY site_id, room, id`, params);
+        sendExport(res, 'devices', DEVICE_IMPORT_COLUMNS, devices, format);
+    } catch (error) {
+        console.error('Export devices error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/devices/import - Create or update devices from a CSV or JSON file (?dry_run=true to preview)
+// Rows with a mac_address update the live device with that MAC; all other rows create devices.
+router.post('/import', async (req, res) => {
+    try {
+        const input = readImportRows(req, DEVICE_IMPORT_COLUMNS);
+        if (input.error) {
+            return res.status(input.status).json({ error: input.error });
+        }
+
+        const plan = await planImport(req, input.rows, {
+            validators: validateDevice,
+            keyName: 'mac_address',
+            keyOf: data => (data.mac_address ? data.mac_address.toLowerCase() : null),
+            findExisting: async (macs) => {
+                const devices = await db.fetchAll(`
+                    SELECT id, site_id, mac_address FROM devices
+                    WHERE deleted_at IS NULL AND mac_address IN (${macs.map(() => '?').join(', ')})
+                `, macs);
+                return new Map(devices.map(device => [device.mac_address.toLowerCase(), device]));
+            }
+        });
+
+        const dryRun = req.query.dry_run === 'true';
+        const report = importReport(plan, dryRun);
+        if (dryRun || !report.success) {
+            return res.status(dryRun ? 200 : 400).json(report);
+        }
+
+        const updates = [];
+        await db.transaction(async (tx) => {
+            for (const item of plan) {
+                const data = item.data;
+
+                if (item.action === 'update') {
+                    // Like PATCH, an update only changes the columns the row has
+                    const before = await tx.fetchOne("SELECT * FROM devices WHERE id = ?", [item.id]);
+                    const patch = patchAssignments(data, DEVICE_PATCH);
+                    await tx.execute(
+                        `UPDATE devices SET ${patch.assignments}, updated_at = NOW() WHERE id = ?`,
+                        [...patch.params, item.id]
+                    );
+                    updates.push({ before, after: await tx.fetchOne("SELECT * FROM devices WHERE id = ?", [item.id]) });
+                } else {
+                    const result = await tx.execute(`
+                        INSERT INTO devices (
+                            name, site_id, room, mac_address, ip_address, status,
+                            firmware, current_ssid, current_clients, wifi_mode, created_at
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+                    `, [
+                        data.name, data.site_id, data.room || null, data.mac_address || null,
+                        data.ip_address || null, data.status || 'offline', data.firmware || null,
+                        data.current_ssid || null, data.current_clients || 0, data.wifi_mode || null
+                    ]);
+                    item.id = result.last_insert_id;
+                }
+            }
+        });
+
+        const imported = importReport(plan, false);
+        recordAudit(req, {
+            action: 'import', entity_type: 'device', entity_id: null,
+            metadata: { ...imported.summary, device_ids: plan.map(item => item.id) }
+        });
+        for (const { before, after } of updates) {
+            recordAudit(req, {
+                action: 'update', entity_type: 'device', entity_id: after.id, site_id: after.site_id,
+                before, after
+            });
+            publishDeviceStatus(after, before.status, 'import');
+        }
+
+        res.json(imported);
+    } catch (error) {
+        console.error('Import devices error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // GET /api/devices/:id - Get device by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', allowDeleted('devices:write'), requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const device = await db.fetchOne(`
@@ -58,18 +277,22 @@ router.get('/:id', async (req, res) => {
 });
 
 // GET /api/devices/by-site/:siteId - Get devices by site
-router.get('/by-site/:siteId', async (req, res) => {
+router.get('/by-site/:siteId', requireSiteParam('siteId'), allowDeleted('devices:write'), validatePagination, async (req, res) => {
     try {
+        const page = readPage(req, res, 'id', DEVICE_LIST);
+        if (!page) {
+            return;
+        }
+
         const { siteId } = req.params;
-        const devices = await db.fetchAll(`
+        const result = await db.paginate(`
             SELECT d.*, s.name AS site_name 
             FROM devices d 
             LEFT JOIN sites s ON d.site_id = s.id 
-            WHERE d.site_id = ?
-            ORDER BY d.id ASC
-        `, [siteId]);
-        
-        res.json({ success: true, data: devices });
+            WHERE d.site_id = ? AND ${notDeleted(req, 'd.deleted_at')}
+        `, [siteId], page);
+
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get devices by site error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -85,6 +308,10 @@ router.post('/', validateDevice, async (req, res) => {
         }
 
         const data = req.body;
+
+        if (!ensureSiteAccess(req, res, data.site_id) || !await ensureActiveSite(res, data.site_id)) {
+            return;
+        }
         
         const result = await db.execute(`
             INSERT INTO devices (
@@ -104,6 +331,11 @@ router.post('/', validateDevice, async (req, res) => {
             WHERE d.id = ?
         `, [result.last_insert_id]);
 
+        recordAudit(req, {
+            action: 'create', entity_type: 'device', entity_id: newDevice.id, site_id: newDevice.site_id,
+            after: newDevice
+        });
+
         res.status(201).json({ success: true, data: newDevice });
     } catch (error) {
         console.error('Add device error:', error);
@@ -112,7 +344,7 @@ router.post('/', validateDevice, async (req, res) => {
 });
 
 // PUT /api/devices/:id - Update device
-router.put('/:id', validateDevice, async (req, res) => {
+router.put('/:id', requireDeviceAccess, validateDevice, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -122,12 +354,18 @@ router.put('/:id', validateDevice, async (req, res) => {
         const { id } = req.params;
         const data = req.body;
 
-        // Check if device exists
-        const existingDevice = await db.fetchOne("SELECT id FROM devices WHERE id = ?", [id]);
-        if (!existingDevice) {
-            return res.status(404).json({ error: 'Device not found' });
+        // Moving a device requires access to the target site as well
+        if (!ensureSiteAccess(req, res, data.site_id) || !await ensureActiveSite(res, data.site_id)) {
+            return;
         }
 
+        const existingDevice = await db.fetchOne(`
+            SELECT d.*, s.name AS site_name 
+            FROM devices d 
+            LEFT JOIN sites s ON d.site_id = s.id 
+            WHERE d.id = ?
+        `, [id]);
+
         await db.execute(`
             UPDATE devices SET
                 name = ?, site_id = ?, room = ?, mac_address = ?, ip_address = ?,
@@ -147,6 +385,12 @@ router.put('/:id', validateDevice, async (req, res) => {
             WHERE d.id = ?
         `, [id]);
 
+        recordAudit(req, {
+            action: 'update', entity_type: 'device', entity_id: id, site_id: updatedDevice.site_id,
+            before: existingDevice, after: updatedDevice
+        });
+        publishDeviceStatus(updatedDevice, existingDevice.status, 'api');
+
         res.json({ success: true, data: updatedDevice });
     } catch (error) {
         console.error('Update device error:', error);
@@ -154,17 +398,70 @@ router.put('/:id', validateDevice, async (req, res) => {
     }
 });
 
+// PATCH /api/devices/:id - Update only the fields sent (JSON Merge Patch)
+router.patch('/:id', requireDeviceAccess, acceptMergePatch(DEVICE_PATCH), validateDevicePatch, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { id } = req.params;
+
+        // Moving a device requires access to the target site as well
+        if (req.body.site_id !== undefined && (!ensureSiteAccess(req, res, req.body.site_id) || !await ensureActiveSite(res, req.body.site_id))) {
+            return;
+        }
+
+        const existingDevice = await db.fetchOne(`
+            SELECT d.*, s.name AS site_name 
+            FROM devices d 
+            LEFT JOIN sites s ON d.site_id = s.id 
+            WHERE d.id = ?
+        `, [id]);
+
+        const patch = patchAssignments(req.body, DEVICE_PATCH);
+        if (patch.fields.length > 0) {
+            await db.execute(
+                `UPDATE devices SET ${patch.assignments}, updated_at = NOW() WHERE id = ?`,
+                [...patch.params, id]
+            );
+        }
+
+        const updatedDevice = await db.fetchOne(`
+            SELECT d.*, s.name AS site_name 
+            FROM devices d 
+            LEFT JOIN sites s ON d.site_id = s.id 
+            WHERE d.id = ?
+        `, [id]);
+
+        if (patch.fields.length > 0) {
+            recordAudit(req, {
+                action: 'update', entity_type: 'device', entity_id: id, site_id: updatedDevice.site_id,
+                before: existingDevice, after: updatedDevice
+            });
+            publishDeviceStatus(updatedDevice, existingDevice.status, 'api');
+        }
+
+        res.json({ success: true, data: updatedDevice });
+    } catch (error) {
+        console.error('Patch device error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // PATCH /api/devices/:id/status - Update device status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const { firmware, current_ssid, current_clients, current_clients_list, wifi_mode, last_online } = req.body;
 
-        // Check if device exists
-        const existingDevice = await db.fetchOne("SELECT id FROM devices WHERE id = ?", [id]);
-        if (!existingDevice) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
+        const existingDevice = await db.fetchOne(`
+            SELECT d.*, s.name AS site_name 
+            FROM devices d 
+            LEFT JOIN sites s ON d.site_id = s.id 
+            WHERE d.id = ?
+        `, [id]);
 
         await db.execute(`
             UPDATE devices SET
@@ -184,6 +481,15 @@ router.patch('/:id/status', async (req, res) => {
             WHERE d.id = ?
         `, [id]);
 
+        // Devices report their status periodically with an API key; only admin changes (or an
+        // actual status change) belong in the audit trail
+        if (req.admin || existingDevice.status !== updatedDevice.status) {
+            recordAudit(req, {
+                action: 'update', entity_type: 'device', entity_id: id, site_id: updatedDevice.site_id,
+                before: existingDevice, after: updatedDevice
+            });
+        }
+
         res.json({ success: true, data: updatedDevice });
     } catch (error) {
         console.error('Update device status error:', error);
@@ -191,18 +497,18 @@ router.patch('/:id/status', async (req, res) => {
     }
 });
 
-// DELETE /api/devices/:id - Delete device
-router.delete('/:id', async (req, res) => {
+// DELETE /api/devices/:id - Delete device (soft delete, restorable until purged)
+router.delete('/:id', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Check if device exists
-        const existingDevice = await db.fetchOne("SELECT id FROM devices WHERE id = ?", [id]);
-        if (!existingDevice) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
+        const device = await db.fetchOne("SELECT * FROM devices WHERE id = ?", [id]);
+
+        await db.execute("UPDATE devices SET deleted_at = NOW() WHERE id = ?", [id]);
 
-        await db.execute("DELETE FROM devices WHERE id = ?", [id]);
+        recordAudit(req, {
+            action: 'delete', entity_type: 'device', entity_id: id, site_id: device.site_id, before: device
+        });
 
         res.json({ success: true, message: 'Device deleted successfully' });
     } catch (error) {
@@ -211,8 +517,49 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+// POST /api/devices/:id/restore - Restore a deleted device
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const device = await db.fetchOne(`
+            SELECT d.*, s.deleted_at AS site_deleted_at
+            FROM devices d
+            JOIN sites s ON d.site_id = s.id
+            WHERE d.id = ?
+        `, [id]);
+        if (!device || !canAccessSite(req, device.site_id)) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        if (!device.deleted_at) {
+            return res.status(409).json({ error: 'Device is not deleted' });
+        }
+        if (device.site_deleted_at) {
+            return res.status(409).json({ error: 'Restore the site of this device first' });
+        }
+
+        await db.execute("UPDATE devices SET deleted_at = NULL WHERE id = ?", [id]);
+
+        const restoredDevice = await db.fetchOne(`
+            SELECT d.*, s.name AS site_name 
+            FROM devices d 
+            LEFT JOIN sites s ON d.site_id = s.id 
+            WHERE d.id = ?
+        `, [id]);
+
+        recordAudit(req, {
+            action: 'restore', entity_type: 'device', entity_id: id, site_id: device.site_id, after: restoredDevice
+        });
+
+        res.json({ success: true, data: restoredDevice });
+    } catch (error) {
+        console.error('Restore device error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // GET /api/devices/:id/apps - Get device apps
-router.get('/:id/apps', async (req, res) => {
+router.get('/:id/apps', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const apps = await db.fetchAll("SELECT * FROM device_app WHERE device_id = ?", [id]);
@@ -224,7 +571,7 @@ router.get('/:id/apps', async (req, res) => {
 });
 
 // POST /api/devices/:id/apps - Add device app
-router.post('/:id/apps', async (req, res) => {
+router.post('/:id/apps', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const { app_package, app_name, version } = req.body;
@@ -238,6 +585,11 @@ router.post('/:id/apps', async (req, res) => {
             SELECT * FROM device_app WHERE device_id = ? AND app_package = ? ORDER BY install_time DESC LIMIT 1
         `, [id, app_package]);
 
+        recordAudit(req, {
+            action: 'create', entity_type: 'device_app', entity_id: newApp ? newApp.id : null,
+            site_id: req.device.site_id, after: newApp, metadata: { device_id: id }
+        });
+
         res.status(201).json({ success: true, data: newApp });
     } catch (error) {
         console.error('Add device app error:', error);
@@ -246,19 +598,16 @@ router.post('/:id/apps', async (req, res) => {
 });
 
 // GET /api/devices/:id/client-logs - Get device client logs
-router.get('/:id/client-logs', async (req, res) => {
+router.get('/:id/client-logs', requireDeviceAccess, validatePagination, async (req, res) => {
     try {
+        const page = readPage(req, res, '-connect_time,-id', { defaultLimit: 100 });
+        if (!page) {
+            return;
+        }
+
         const { id } = req.params;
-        const { limit = 100 } = req.query;
-        
-        const logs = await db.fetchAll(`
-            SELECT * FROM device_client_log 
-            WHERE device_id = ? 
-            ORDER BY connect_time DESC 
-            LIMIT ?
-        `, [id, parseInt(limit)]);
-        
-        res.json({ success: true, data: logs });
+        const result = await db.paginate("SELECT * FROM device_client_log WHERE device_id = ?", [id], page);
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get device client logs error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -266,7 +615,7 @@ router.get('/:id/client-logs', async (req, res) => {
 });
 
 // POST /api/devices/:id/client-logs - Add device client log
-router.post('/:id/client-logs', async (req, res) => {
+router.post('/:id/client-logs', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const { client_mac, client_name, connect_time, disconnect_time, used_app } = req.body;
@@ -288,7 +637,7 @@ router.post('/:id/client-logs', async (req, res) => {
 // ============================
 
 // GET /api/devices/:id/iot - Get device IoT mappings
-router.get('/:id/iot', async (req, res) => {
+router.get('/:id/iot', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const iotMappings = await db.fetchAll(`
@@ -305,7 +654,7 @@ router.get('/:id/iot', async (req, res) => {
 });
 
 // POST /api/devices/:id/iot - Add device IoT mapping
-router.post('/:id/iot', async (req, res) => {
+router.post('/:id/iot', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const { ieee_id, description, type, topic, status_json } = req.body;
@@ -320,6 +669,11 @@ router.post('/:id/iot', async (req, res) => {
         const newIot = await db.fetchOne(`
             SELECT * FROM device_iot WHERE id = ?
         `, [result.last_insert_id]);
+
+        recordAudit(req, {
+            action: 'create', entity_type: 'device_iot', entity_id: newIot.id,
+            site_id: req.device.site_id, after: newIot, metadata: { device_id: id }
+        });
         
         res.status(201).json({ success: true, data: newIot });
     } catch (error) {
@@ -329,11 +683,18 @@ router.post('/:id/iot', async (req, res) => {
 });
 
 // DELETE /api/devices/iot/:iotId - Delete device IoT mapping
-router.delete('/iot/:iotId', async (req, res) => {
+router.delete('/iot/:iotId', requireIotAccess, async (req, res) => {
     try {
         const { iotId } = req.params;
+
+        const iot = await db.fetchOne("SELECT * FROM device_iot WHERE id = ?", [iotId]);
         
         await db.execute("DELETE FROM device_iot WHERE id = ?", [iotId]);
+
+        recordAudit(req, {
+            action: 'delete', entity_type: 'device_iot', entity_id: iotId,
+            site_id: req.iot.site_id, before: iot, metadata: { device_id: iot.device_id }
+        });
         
         res.json({ success: true, message: 'IoT mapping deleted successfully' });
     } catch (error) {
@@ -343,16 +704,20 @@ router.delete('/iot/:iotId', async (req, res) => {
 });
 
 // POST /api/devices/iot/:iotId/status - Upsert IoT status
-router.post('/iot/:iotId/status', async (req, res) => {
+router.post('/iot/:iotId/status', requireIotAccess, async (req, res) => {
     try {
         const { iotId } = req.params;
         const { iot_id, status_key, status_value } = req.body;
+
+        if (iot_id !== undefined && String(iot_id) !== String(iotId)) {
+            return res.status(400).json({ error: 'iot_id does not match the URL' });
+        }
         
         await db.execute(`
             INSERT INTO device_iot_status (iot_id, status_key, status_value)
             VALUES (?, ?, ?)
             ON DUPLICATE KEY UPDATE status_value = ?, updated_at = NOW()
-        `, [iot_id, status_key, status_value, status_value]);
+        `, [iotId, status_key, status_value, status_value]);
         
         res.json({ success: true, message: 'IoT status updated successfully' });
     } catch (error) {
@@ -362,7 +727,7 @@ router.post('/iot/:iotId/status', async (req, res) => {
 });
 
 // GET /api/devices/iot/:iotId/status - Get IoT status
-router.get('/iot/:iotId/status', async (req, res) => {
+router.get('/iot/:iotId/status', requireIotAccess, async (req, res) => {
     try {
         const { iotId } = req.params;
         
@@ -384,10 +749,14 @@ router.get('/iot/:iotId/status', async (req, res) => {
 // ============================
 
 // POST /api/devices/:id/heartbeat - Upsert device heartbeat
-router.post('/:id/heartbeat', async (req, res) => {
+router.post('/:id/heartbeat', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const { device_id, last_seen, status } = req.body;
+
+        if (device_id !== undefined && String(device_id) !== String(id)) {
+            return res.status(400).json({ error: 'device_id does not match the URL' });
+        }
         
         const timestamp = last_seen || new Date().toISOString().slice(0, 19).replace('T', ' ');
         
@@ -395,7 +764,7 @@ router.post('/:id/heartbeat', async (req, res) => {
             INSERT INTO device_heartbeat (device_id, last_seen, status)
             VALUES (?, ?, ?)
             ON DUPLICATE KEY UPDATE last_seen = ?, status = ?
-        `, [device_id, timestamp, status || 'ONLINE', timestamp, status || 'ONLINE']);
+        `, [id, timestamp, status || 'ONLINE', timestamp, status || 'ONLINE']);
         
         res.json({ success: true, message: 'Heartbeat updated successfully' });
     } catch (error) {
@@ -405,7 +774,7 @@ router.post('/:id/heartbeat', async (req, res) => {
 });
 
 // GET /api/devices/:id/heartbeat - Get device heartbeat
-router.get('/:id/heartbeat', async (req, res) => {
+router.get('/:id/heartbeat', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -425,16 +794,20 @@ router.get('/:id/heartbeat', async (req, res) => {
 // ============================
 
 // POST /api/devices/:id/wifi-status - Upsert device WiFi status
-router.post('/:id/wifi-status', async (req, res) => {
+router.post('/:id/wifi-status', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const { device_id, ssid, clients, rx_rate, tx_rate, signal } = req.body;
+
+        if (device_id !== undefined && String(device_id) !== String(id)) {
+            return res.status(400).json({ error: 'device_id does not match the URL' });
+        }
         
         await db.execute(`
-            INSERT INTO device_wifi_status (device_id, ssid, clients, rx_rate, tx_rate, signal)
+            INSERT INTO device_wifi_status (device_id, ssid, clients, rx_rate, tx_rate, \`signal\`)
             VALUES (?, ?, ?, ?, ?, ?)
-            ON DUPLICATE KEY UPDATE ssid = ?, clients = ?, rx_rate = ?, tx_rate = ?, signal = ?, updated_at = NOW()
-        `, [device_id, ssid, clients, rx_rate, tx_rate, signal, ssid, clients, rx_rate, tx_rate, signal]);
+            ON DUPLICATE KEY UPDATE ssid = ?, clients = ?, rx_rate = ?, tx_rate = ?, \`signal\` = ?, updated_at = NOW()
+        `, [id, ssid, clients, rx_rate, tx_rate, signal, ssid, clients, rx_rate, tx_rate, signal]);
         
         res.json({ success: true, message: 'WiFi status updated successfully' });
     } catch (error) {
@@ -444,7 +817,7 @@ router.post('/:id/wifi-status', async (req, res) => {
 });
 
 // GET /api/devices/:id/wifi-status - Get device WiFi status
-router.get('/:id/wifi-status', async (req, res) => {
+router.get('/:id/wifi-status', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -460,17 +833,34 @@ router.get('/:id/wifi-status', async (req, res) => {
 });
 
 // PUT /api/devices/:id/wifi-profile - Update device WiFi profile
-router.put('/:id/wifi-profile', async (req, res) => {
+router.put('/:id/wifi-profile', requireDeviceAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const { device_id, profile_id } = req.body;
+
+        if (device_id !== undefined && String(device_id) !== String(id)) {
+            return res.status(400).json({ error: 'device_id does not match the URL' });
+        }
+
+        const previous = await db.fetchOne(`
+            SELECT sw.profile_id
+            FROM site_wifi sw
+            JOIN devices d ON sw.site_id = d.site_id AND sw.for_room = d.room
+            WHERE d.id = ?
+            LIMIT 1
+        `, [id]);
         
         await db.execute(`
             UPDATE site_wifi sw
             JOIN devices d ON sw.site_id = d.site_id AND sw.for_room = d.room
-            SET sw.profile_id = ?
+            SET sw.profile_id = ?, sw.version = sw.version + 1
             WHERE d.id = ?
-        `, [profile_id, device_id]);
+        `, [profile_id, id]);
+
+        recordAudit(req, {
+            action: 'update', entity_type: 'device_wifi_profile', entity_id: id,
+            site_id: req.device.site_id, before: previous, after: { profile_id }
+        });
         
         res.json({ success: true, message: 'WiFi profile updated successfully' });
     } catch (error) {
@@ -483,27 +873,112 @@ router.put('/:id/wifi-profile', async (req, res) => {
 //  Device Command Routes
 // ============================
 
-// POST /api/devices/command - Publish device command
-router.post('/command', async (req, res) => {
+// Record a sent command in the audit trail
+function auditCommand(req, command) {
+    recordAudit(req, {
+        action: 'command', entity_type: 'device_command', entity_id: command.id, site_id: command.site_id,
+        after: command, metadata: { device_id: command.device_id }
+    });
+}
+
+// POST /api/devices/command - Send a command to every device of a room (or of the whole site)
+router.post('/command', [body('site_id').isInt({ min: 1 }), ...validateCommand], async (req, res) => {
     try {
-        const { site_id, room, command, parameters } = req.body;
-        
-        // This would typically publish to MQTT or send to device
-        // For now, we'll just return success
-        const response = {
-            site_id: site_id,
-            room: room,
-            command: command,
-            parameters: parameters,
-            timestamp: new Date().toISOString(),
-            status: 'sent'
-        };
-        
-        res.json({ success: true, data: response });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { site_id, room, command, parameters, timeout } = req.body;
+
+        if (!ensureSiteAccess(req, res, site_id)) {
+            return;
+        }
+
+        let sql = "SELECT id, site_id FROM devices WHERE site_id = ? AND deleted_at IS NULL";
+        const params = [site_id];
+        if (room) {
+            sql += " AND room = ?";
+            params.push(room);
+        }
+        const devices = await db.fetchAll(`${sql} ORDER BY id`, params);
+        if (devices.length === 0) {
+            return res.status(404).json({ error: room ? 'No devices in this room' : 'No devices on this site' });
+        }
+
+        const commands = [];
+        for (const device of devices) {
+            const sent = await deviceCommands.sendCommand(device, {
+                command, parameters, timeout, createdBy: req.admin ? req.admin.id : null
+            });
+            auditCommand(req, sent);
+            commands.push(sent);
+        }
+
+        res.status(202).json({ success: true, data: commands });
     } catch (error) {
         console.error('Publish command error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// POST /api/devices/:id/commands - Send a command to a device (?wait=N waits up to N seconds for the result)
+// Answers 202 while the command has no final state yet, 200 once it has one.
+router.post('/:id/commands', requireDeviceAccess, validateCommand, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { command, parameters, timeout } = req.body;
+        let sent = await deviceCommands.sendCommand(req.device, {
+            command, parameters, timeout, createdBy: req.admin ? req.admin.id : null
+        });
+        auditCommand(req, sent);
+
+        if (req.query.wait) {
+            sent = await deviceCommands.waitForCommand(sent.id, req.query.wait);
+        }
+
+        const final = deviceCommands.FINAL_STATUSES.includes(sent.status);
+        res.status(final ? 200 : 202).json({ success: true, data: sent });
+    } catch (error) {
+        console.error('Send device command error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/devices/:id/commands - Command history of a device, newest first
+router.get('/:id/commands', requireDeviceAccess, validatePagination, async (req, res) => {
+    try {
+        const page = readPage(req, res, '-id', COMMAND_LIST);
+        if (!page) {
+            return;
+        }
+
+        const result = await db.paginate("SELECT * FROM device_command WHERE device_id = ?", [req.params.id], page);
+        result.data = result.data.map(deviceCommands.formatCommand);
+        sendPage(res, page, result);
+    } catch (error) {
+        console.error('Get device commands error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/devices/:id/commands/:commandId - Get a command and its current state
+router.get('/:id/commands/:commandId', requireDeviceAccess, async (req, res) => {
+    try {
+        const command = await deviceCommands.getCommand(req.params.commandId);
+        if (!command || String(command.device_id) !== String(req.params.id)) {
+            return res.status(404).json({ error: 'Command not found' });
+        }
+
+        res.json({ success: true, data: command });
+    } catch (error) {
+        console.error('Get device command error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,272 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { WebSocketServer } = require('ws');
+const tokens = require('../services/tokens');
+const events = require('../services/events');
+
+const router = express.Router();
+
+const STREAM_CONFIG = {
+    // Comment lines (SSE) and pings (WebSocket) keep idle connections open through proxies
+    keepAliveMs: 25 * 1000,
+    // Reconnect delay suggested to EventSource clients
+    retryMs: 5000,
+    // A client this far behind is disconnected and resumes with its last event ID
+    maxBufferedBytes: 1024 * 1024
+};
+
+// Upgrades are routed here by the server, see server.js
+const wss = new WebSocketServer({ noServer: true });
+
+// Values of a "a,b" query parameter or an array, or null when none are given
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(item => item !== '');
+}
+
+/**
+ * Event types and sites a client asked for
+ * Sites must be ones the caller may receive at least one event type for.
+ * @param {Object} access - From events.eventAccess
+ * @param {Object} filters - { types, sites } as lists or comma-separated strings (all when missing)
+ * @returns {Object} { subscription: { types, sites } } with Sets or null, or { error, status }
+ */
+function readSubscription(access, { types, sites }) {
+    const typeList = toList(types);
+    const unknown = (typeList || []).find(type => !Object.prototype.hasOwnProperty.call(events.EVENT_TYPES, type));
+    if (unknown !== undefined) {
+        return { error: `Unknown event type ${unknown}`, status: 400 };
+    }
+
+    const siteList = toList(sites);
+    if ((siteList || []).some(siteId => !/^\d+$/.test(siteId))) {
+        return { error: 'sites must be a list of site IDs', status: 400 };
+    }
+    const siteIds = siteList && siteList.map(siteId => parseInt(siteId));
+    const denied = (siteIds || []).find(siteId => !Object.values(access).some(allowed => (
+        allowed === null || (Array.isArray(allowed) && allowed.includes(siteId))
+    )));
+    if (denied !== undefined) {
+        return { error: 'Access to this site is not allowed', status: 403 };
+    }
+
+    return {
+        subscription: {
+            types: typeList && new Set(typeList),
+            sites: siteIds && new Set(siteIds)
+        }
+    };
+}
+
+// Plain form of a subscription, to echo back to clients
+function describeSubscription(subscription) {
+    return {
+        types: subscription.types ? [...subscription.types] : null,
+        sites: subscription.sites ? [...subscription.sites] : null
+    };
+}
+
+// When the caller's access token expires, or null for API keys
+function tokenExpiry(req) {
+    if (!req.admin) {
+        return null;
+    }
+    const claims = jwt.decode(tokens.getBearerToken(req));
+    return claims && claims.exp ? claims.exp * 1000 : null;
+}
+
+/**
+ * Connect a client to the live events
+ * Events missed since lastEventId are sent first. When some may be lost (after an API restart,
+ * or when the client was away longer than the buffer reaches) the client gets a stream.reset
+ * event instead and should reload its data. Streams of admins end when their access token
+ * expires, so a revoked session stops receiving events; clients reconnect with a fresh token.
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Object} options - { access, subscription, lastEventId, send(event), close() }
+ * @returns {Object} Client ({ subscription, disconnect() }); the subscription may be replaced
+ */
+function connectClient(req, { access, subscription, lastEventId, send, close }) {
+    const client = { subscription };
+    const deliver = (event) => {
+        if (events.canReceive(event, access, client.subscription)) {
+            send(event);
+        }
+    };
+
+    if (lastEventId) {
+        const missed = events.eventsSince(lastEventId);
+        if (missed.reset) {
+            send({
+                id: events.currentEventId(),
+                type: 'stream.reset',
+                site_id: null,
+                timestamp: new Date().toISOString(),
+                data: { reason: 'Events since the last event ID are no longer available, reload your data' }
+            });
+        } else {
+            missed.events.forEach(deliver);
+        }
+    }
+    const unsubscribe = events.subscribe(deliver);
+
+    const expiry = tokenExpiry(req);
+    const expiryTimer = expiry ? setTimeout(close, Math.max(expiry - Date.now(), 0)) : null;
+
+    client.disconnect = () => {
+        unsubscribe();
+        clearTimeout(expiryTimer);
+    };
+    return client;
+}
+
+// GET /api/events/status - Event buffer and connected clients
+router.get('/status', (req, res) => {
+    try {
+        res.json({ success: true, data: events.getEventStats() });
+    } catch (error) {
+        console.error('Get event stream status error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// GET /api/events - Live events as Server-Sent Events
+// ?types= and ?sites= narrow the stream; Last-Event-ID (or ?last_event_id=) resumes it.
+router.get('/', (req, res) => {
+    try {
+        const access = events.eventAccess(req);
+        const read = readSubscription(access, req.query);
+        if (read.error) {
+            return res.status(read.status).json({ success: false, error: read.error });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Tell nginx not to buffer the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${STREAM_CONFIG.retryMs}\n\n`);
+
+        const write = (text) => {
+            if (res.writableEnded) {
+                return;
+            }
+            res.write(text);
+            if (res.writableLength > STREAM_CONFIG.maxBufferedBytes) {
+                res.end();
+            }
+        };
+
+        const client = connectClient(req, {
+            access,
+            subscription: read.subscription,
+            lastEventId: req.get('Last-Event-ID') || req.query.last_event_id,
+            send: event => write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`),
+            close: () => res.end()
+        });
+        const keepAlive = setInterval(() => write(': keep-alive\n\n'), STREAM_CONFIG.keepAliveMs);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            client.disconnect();
+        });
+    } catch (error) {
+        console.error('Event stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    }
+});
+
+// Send one JSON message over a WebSocket, dropping clients that fall too far behind
+function sendJson(ws, message) {
+    ws.send(JSON.stringify(message));
+    if (ws.bufferedAmount > STREAM_CONFIG.maxBufferedBytes) {
+        ws.terminate();
+    }
+}
+
+// Stream events to an upgraded WebSocket
+// Clients change what they receive with { "action": "subscribe", "types": [...], "sites": [...] }.
+function streamToSocket(req, ws, access, subscription) {
+    const client = connectClient(req, {
+        access,
+        subscription,
+        lastEventId: req.query.last_event_id,
+        send: event => sendJson(ws, event),
+        close: () => ws.close(4001, 'Access token expired')
+    });
+
+    ws.on('message', (raw) => {
+        let message = null;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (e) {
+            // Answered below like any other invalid message
+        }
+        if (!message || message.action !== 'subscribe') {
+            return sendJson(ws, { type: 'error', error: 'Send { "action": "subscribe", "types": [...], "sites": [...] }' });
+        }
+
+        const read = readSubscription(access, message);
+        if (read.error) {
+            return sendJson(ws, { type: 'error', error: read.error });
+        }
+        client.subscription = read.subscription;
+        sendJson(ws, { type: 'subscribed', data: describeSubscription(read.subscription) });
+    });
+
+    // Clients that stop answering pings are dropped
+    let alive = true;
+    ws.on('pong', () => {
+        alive = true;
+    });
+    const keepAlive = setInterval(() => {
+        if (!alive) {
+            return ws.terminate();
+        }
+        alive = false;
+        ws.ping();
+    }, STREAM_CONFIG.keepAliveMs);
+
+    ws.on('error', (error) => {
+        console.error('Event socket error:', error.message);
+    });
+    ws.on('close', () => {
+        clearInterval(keepAlive);
+        client.disconnect();
+    });
+}
+
+// GET /api/events/ws - Live events over WebSocket (same query parameters as GET /api/events)
+router.get('/ws', (req, res) => {
+    try {
+        if (!req.upgradeHead) {
+            return res.status(426).json({ success: false, error: 'Connect with a WebSocket client' });
+        }
+
+        const access = events.eventAccess(req);
+        const read = readSubscription(access, req.query);
+        if (read.error) {
+            return res.status(read.status).json({ success: false, error: read.error });
+        }
+
+        // From here on the WebSocket server answers on the socket itself
+        const socket = req.socket;
+        res.detachSocket(socket);
+        wss.handleUpgrade(req, socket, req.upgradeHead, (ws) => {
+            streamToSocket(req, ws, access, read.subscription);
+        });
+    } catch (error) {
+        console.error('Event socket error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
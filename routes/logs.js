@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const mongodb = require('../config/mongodb');
+const { siteMongoFilter, ensureSiteAccess, requireSiteParam } = require('../middleware/siteAccess');
+const { AUDIT_COLLECTION } = require('../services/audit');
 
 // Middleware to check MongoDB availability
 const checkMongoDB = async (req, res, next) => {
@@ -41,6 +43,8 @@ router.get('/device/:deviceId', [
 
         // Build query
         const query = { device_id: deviceId };
+        const siteFilter = siteMongoFilter(req);
+        if (siteFilter) query.site_id = siteFilter;
         if (log_type) query.log_type = log_type;
         if (start_date || end_date) {
             query.timestamp = {};
@@ -102,6 +106,10 @@ router.post('/device', [
 
         const { device_id, site_id, log_type, message, level = 'info', metadata = {} } = req.body;
 
+        if (!ensureSiteAccess(req, res, site_id)) {
+            return;
+        }
+
         const logEntry = {
             device_id,
             site_id,
@@ -276,6 +284,8 @@ router.get('/performance/:deviceId', [
 
         // Build query
         const query = { device_id: deviceId };
+        const siteFilter = siteMongoFilter(req);
+        if (siteFilter) query.site_id = siteFilter;
         if (metric_type) query.metric_type = metric_type;
         if (start_date || end_date) {
             query.timestamp = {};
@@ -332,6 +342,10 @@ router.post('/performance', [
 
         const { device_id, site_id, metric_type, value, unit, metadata = {} } = req.body;
 
+        if (!ensureSiteAccess(req, res, site_id)) {
+            return;
+        }
+
         const performanceEntry = {
             device_id,
             site_id,
@@ -375,7 +389,7 @@ router.get('/analytics/site/:siteId', [
     query('metric_type').optional().isString().withMessage('Metric type must be a string'),
     query('start_date').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
     query('end_date').optional().isISO8601().withMessage('End date must be a valid ISO date')
-], checkMongoDB, async (req, res) => {
+], requireSiteParam('siteId'), checkMongoDB, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -436,6 +450,10 @@ router.post('/analytics', [
 
         const { site_id, metric_type, value, date, metadata = {} } = req.body;
 
+        if (!ensureSiteAccess(req, res, site_id)) {
+            return;
+        }
+
         const analyticsEntry = {
             site_id,
             metric_type,
@@ -467,6 +485,86 @@ router.post('/analytics', [
     }
 });
 
+// ==================== AUDIT TRAIL ====================
+
+/**
+ * GET /api/logs/audit
+ * Get audit trail entries with filtering
+ * Entries without a site (e.g. admin accounts) are only visible to super administrators.
+ */
+router.get('/audit', [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('admin_id').optional().isInt({ min: 1 }).withMessage('Admin ID must be a positive integer'),
+    query('site_id').optional().isInt({ min: 1 }).withMessage('Site ID must be a positive integer'),
+    query('entity_type').optional().isString().withMessage('Entity type must be a string'),
+    query('entity_id').optional().isString().withMessage('Entity ID must be a string'),
+    query('action').optional().isString().withMessage('Action must be a string'),
+    query('start_date').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+    query('end_date').optional().isISO8601().withMessage('End date must be a valid ISO date')
+], checkMongoDB, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { page = 1, limit = 20, admin_id, site_id, entity_type, entity_id, action, start_date, end_date } = req.query;
+
+        // Build query
+        const query = {};
+        const siteFilter = siteMongoFilter(req);
+        if (siteFilter) query.site_id = siteFilter;
+        if (site_id) {
+            if (!ensureSiteAccess(req, res, site_id)) {
+                return;
+            }
+            query.site_id = parseInt(site_id);
+        }
+        if (admin_id) query.admin_id = parseInt(admin_id);
+        if (entity_type) query.entity_type = entity_type;
+        if (entity_id) query.entity_id = entity_id;
+        if (action) query.action = action;
+        if (start_date || end_date) {
+            query.timestamp = {};
+            if (start_date) query.timestamp.$gte = new Date(start_date);
+            if (end_date) query.timestamp.$lte = new Date(end_date);
+        }
+
+        // Build options
+        const options = {
+            sort: { timestamp: -1 },
+            skip: (page - 1) * limit,
+            limit: parseInt(limit)
+        };
+
+        const result = await mongodb.findDocuments(AUDIT_COLLECTION, query, options);
+
+        if (result.degraded) {
+            return res.status(503).json({
+                success: false,
+                error: 'MongoDB unavailable',
+                degraded: true,
+                data: [],
+                message: 'Audit trail temporarily unavailable'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: result.data.length
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching audit trail:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ==================== MONGODB STATUS ====================
 
 /**
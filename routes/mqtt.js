@@ -1,18 +1,81 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
 const mqtt = require('../config/mqtt');
+const mqttTopics = require('../config/mqtt-topics');
+const mqttQueue = require('../config/mqtt-queue');
+const { getAccessibleSiteIds, canAccessSite, siteCondition, ensureSiteAccess } = require('../middleware/siteAccess');
+const { validatePagination, readPage, sendPage } = require('../middleware/pagination');
+const { recordAudit } = require('../services/audit');
+const { ingestMessage, getIngestionStatus } = require('../services/mqtt-ingest');
+const deviceCommands = require('../services/device-commands');
+
+// Filters, sort and field selection of GET /dead-letters
+const DEAD_LETTER_LIST = {
+    filterable: ['id', 'topic', 'site_id', 'received_at'],
+    sortable: ['id', 'topic', 'site_id', 'received_at'],
+    fields: ['id', 'topic', 'payload', 'error', 'site_id', 'received_at']
+};
 
 // Initialize MQTT connection when routes are loaded
 mqtt.connectMQTT().catch(error => {
     console.error('Failed to connect to MQTT broker:', error);
 });
 
+// Check access to the site a raw topic belongs to ("<prefix>/<site_id>/...")
+// Topics outside a site namespace are reserved for super admins.
+function ensureTopicAccess(req, res, topic) {
+    const segments = String(topic).split('/');
+    if (segments[0] === mqtt.getConfig().topics.prefix && /^\d+$/.test(segments[1] || '')) {
+        return ensureSiteAccess(req, res, segments[1]);
+    }
+    if (req.admin.isSuperAdmin) {
+        return true;
+    }
+    res.status(403).json({ success: false, error: 'Only super administrators can use topics outside a site' });
+    return false;
+}
+
+// Middleware: 404 unless the :id dead letter exists and its site is one of the caller's
+// Dead letters without a site are only visible to callers with access to every site.
+async function requireDeadLetterAccess(req, res, next) {
+    try {
+        const deadLetter = await db.fetchOne("SELECT * FROM mqtt_dead_letter WHERE id = ?", [req.params.id]);
+        const accessible = deadLetter && (deadLetter.site_id === null
+            ? getAccessibleSiteIds(req) === null
+            : canAccessSite(req, deadLetter.site_id));
+        if (!accessible) {
+            return res.status(404).json({ success: false, error: 'Dead letter not found' });
+        }
+        req.deadLetter = deadLetter;
+        next();
+    } catch (error) {
+        console.error('Load dead letter error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+}
+
+// Site ID of a "<prefix>/<site_id>/..." topic, or null
+function topicSiteId(topic) {
+    const segments = String(topic).split('/');
+    return /^\d+$/.test(segments[1] || '') ? parseInt(segments[1]) : null;
+}
+
+// Record a publish in the audit trail (the site is taken from the topic by default)
+function auditPublish(req, topic, payload, options, siteId = topicSiteId(topic)) {
+    recordAudit(req, {
+        action: 'publish', entity_type: 'mqtt_message', entity_id: topic, site_id: siteId,
+        after: { topic, payload, ...options }
+    });
+}
+
 // Get MQTT connection status
 router.get('/status', (req, res) => {
     try {
         const status = {
             connected: mqtt.isConnected(),
+            ingestion: getIngestionStatus(),
             timestamp: new Date().toISOString()
         };
         res.json({ success: true, data: status });
@@ -21,6 +84,21 @@ router.get('/status', (req, res) => {
     }
 });
 
+// GET /api/mqtt/queue - Messages waiting for the broker, oldest first
+// Messages without a site are only listed for callers with access to every site.
+router.get('/queue', (req, res) => {
+    try {
+        const allSites = getAccessibleSiteIds(req) === null;
+        const queue = mqttQueue.getQueueStatus(message => (
+            message.site_id === null ? allSites : canAccessSite(req, message.site_id)
+        ));
+        res.json({ success: true, data: { connected: Boolean(mqtt.isConnected()), ...queue } });
+    } catch (error) {
+        console.error('Get MQTT queue error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
 // Get MQTT configuration
 router.get('/config', (req, res) => {
     try {
@@ -44,6 +122,7 @@ router.post('/reload-config', (req, res) => {
     try {
         const success = mqtt.reloadConfig();
         if (success) {
+            recordAudit(req, { action: 'reload', entity_type: 'mqtt_config' });
             res.json({ success: true, message: 'Configuration reloaded successfully' });
         } else {
             res.status(500).json({ success: false, error: 'Failed to reload configuration' });
@@ -70,18 +149,27 @@ router.post('/publish', [
         }
 
         const { topic, message, qos = 0, retain = false } = req.body;
+
+        const checked = mqttTopics.checkPublishTopic(topic);
+        if (checked.error) {
+            return res.status(400).json({ success: false, error: checked.error });
+        }
+        if (!ensureTopicAccess(req, res, topic)) {
+            return;
+        }
         
         const options = {
             qos: parseInt(qos),
             retain: Boolean(retain)
         };
 
-        await mqtt.publishMessage(topic, message, options);
+        const { queued } = await mqtt.publishMessage(topic, message, { ...options, siteId: topicSiteId(topic) });
+        auditPublish(req, topic, message, options);
         
-        res.json({ 
+        res.status(queued ? 202 : 200).json({ 
             success: true, 
-            message: 'Message published successfully',
-            data: { topic, message, options }
+            message: queued ? 'Broker unreachable, message queued' : 'Message published successfully',
+            data: { topic, message, options, queued }
         });
     } catch (error) {
         console.error('MQTT Publish error:', error);
@@ -107,6 +195,10 @@ router.post('/subscribe', [
         }
 
         const { topic, qos = 0 } = req.body;
+
+        if (!ensureTopicAccess(req, res, topic)) {
+            return;
+        }
         
         // For now, we'll just acknowledge the subscription
         // In a real implementation, you might want to store subscriptions
@@ -126,10 +218,80 @@ router.post('/subscribe', [
     }
 });
 
-// Send device command via MQTT
+// GET /api/mqtt/dead-letters - Status messages the ingestion service could not store, newest first
+router.get('/dead-letters', validatePagination, async (req, res) => {
+    try {
+        const page = readPage(req, res, '-id', DEAD_LETTER_LIST);
+        if (!page) {
+            return;
+        }
+
+        const scope = siteCondition(req, 'site_id');
+        const result = await db.paginate(`SELECT * FROM mqtt_dead_letter WHERE ${scope.clause}`, scope.params, page);
+        sendPage(res, page, result);
+    } catch (error) {
+        console.error('Get dead letters error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// POST /api/mqtt/dead-letters/:id/replay - Ingest a dead letter again (e.g. after adding the missing device)
+// A stored message is removed from the dead letters; a rejected one keeps the new error.
+router.post('/dead-letters/:id/replay', requireDeadLetterAccess, async (req, res) => {
+    try {
+        const { id, topic, payload } = req.deadLetter;
+
+        let message;
+        try {
+            message = JSON.parse(payload);
+        } catch (e) {
+            message = payload;
+        }
+
+        // Replies go to their command, everything else is a status message
+        const result = mqttTopics.parseTopic('device.reply', topic)
+            ? await deviceCommands.applyReply(topic, message)
+            : await ingestMessage(topic, message);
+        if (result.error) {
+            await db.execute("UPDATE mqtt_dead_letter SET error = ? WHERE id = ?", [result.error, id]);
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        await db.execute("DELETE FROM mqtt_dead_letter WHERE id = ?", [id]);
+        recordAudit(req, {
+            action: 'replay', entity_type: 'mqtt_dead_letter', entity_id: id,
+            site_id: req.deadLetter.site_id, before: req.deadLetter, metadata: result
+        });
+
+        res.json({ success: true, message: 'Message stored', data: result });
+    } catch (error) {
+        console.error('Replay dead letter error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/mqtt/dead-letters/:id - Discard a dead letter
+router.delete('/dead-letters/:id', requireDeadLetterAccess, async (req, res) => {
+    try {
+        await db.execute("DELETE FROM mqtt_dead_letter WHERE id = ?", [req.params.id]);
+
+        recordAudit(req, {
+            action: 'delete', entity_type: 'mqtt_dead_letter', entity_id: req.params.id,
+            site_id: req.deadLetter.site_id, before: req.deadLetter
+        });
+
+        res.json({ success: true, message: 'Dead letter deleted' });
+    } catch (error) {
+        console.error('Delete dead letter error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Send device command via MQTT (tracked like POST /api/devices/:id/commands)
 router.post('/device/command', [
-    body('device_id').notEmpty().withMessage('Device ID is required'),
-    body('command').notEmpty().withMessage('Command is required'),
+    body('device_id').isInt({ min: 1 }).withMessage('Device ID is required'),
+    body('command').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Command is required'),
+    body('parameters').optional({ values: 'null' }).isObject().withMessage('Parameters must be an object'),
     body('site_id').optional()
 ], async (req, res) => {
     try {
@@ -141,25 +303,35 @@ router.post('/device/command', [
             });
         }
 
-        const { device_id, command, site_id } = req.body;
-        
-        // Create MQTT topic for device command
-        const topic = site_id 
-            ? `hotel/${site_id}/device/${device_id}/command`
-            : `hotel/device/${device_id}/command`;
-        
-        const message = {
-            command: command,
-            timestamp: new Date().toISOString(),
-            source: 'keos-api'
-        };
+        const { device_id, site_id, command, parameters } = req.body;
 
-        await mqtt.publishMessage(topic, message, { qos: 1 });
+        const device = await db.fetchOne(
+            "SELECT id, site_id FROM devices WHERE id = ? AND deleted_at IS NULL",
+            [device_id]
+        );
+        if (!device || (site_id && String(device.site_id) !== String(site_id))) {
+            return res.status(404).json({ success: false, error: 'Device not found' });
+        }
+
+        if (!ensureSiteAccess(req, res, device.site_id)) {
+            return;
+        }
+
+        const sent = await deviceCommands.sendCommand(device, {
+            command, parameters, createdBy: req.admin ? req.admin.id : null
+        });
+        recordAudit(req, {
+            action: 'command', entity_type: 'device_command', entity_id: sent.id, site_id: sent.site_id,
+            after: sent, metadata: { device_id: sent.device_id }
+        });
         
-        res.json({ 
+        res.status(deviceCommands.FINAL_STATUSES.includes(sent.status) ? 200 : 202).json({ 
             success: true, 
-            message: 'Device command sent successfully',
-            data: { device_id, command, topic }
+            message: {
+                failed: 'Device command could not be sent',
+                queued: 'Broker unreachable, device command queued'
+            }[sent.status] || 'Device command sent successfully',
+            data: sent
         });
     } catch (error) {
         console.error('Device command error:', error);
@@ -187,8 +359,11 @@ router.post('/wifi/config', [
         }
 
         const { site_id, room, ssid, password, security = 'WPA2' } = req.body;
+
+        if (!ensureSiteAccess(req, res, site_id)) {
+            return;
+        }
         
-        const topic = `hotel/${site_id}/wifi/${room}/config`;
         const message = {
             ssid: ssid,
             password: password,
@@ -197,12 +372,16 @@ router.post('/wifi/config', [
             source: 'keos-api'
         };
 
-        await mqtt.publishMessage(topic, message, { qos: 1, retain: true });
+        const published = await mqttTopics.publishTo('wifi.config', { site_id, room }, message);
+        if (published.error) {
+            return res.status(400).json({ success: false, error: published.error });
+        }
+        auditPublish(req, published.topic, message, published.options, site_id);
         
-        res.json({ 
+        res.status(published.queued ? 202 : 200).json({ 
             success: true, 
-            message: 'WiFi configuration sent successfully',
-            data: { site_id, room, topic }
+            message: published.queued ? 'Broker unreachable, WiFi configuration queued' : 'WiFi configuration sent successfully',
+            data: { site_id, room, topic: published.topic, queued: published.queued }
         });
     } catch (error) {
         console.error('WiFi config error:', error);
@@ -230,8 +409,11 @@ router.post('/notification', [
         }
 
         const { site_id, type, message, target = 'all' } = req.body;
+
+        if (!ensureSiteAccess(req, res, site_id)) {
+            return;
+        }
         
-        const topic = `hotel/${site_id}/notification/${target}`;
         const notification = {
             type: type,
             message: message,
@@ -239,12 +421,16 @@ router.post('/notification', [
             source: 'keos-api'
         };
 
-        await mqtt.publishMessage(topic, notification, { qos: 1 });
+        const published = await mqttTopics.publishTo('notification.system', { site_id, target }, notification);
+        if (published.error) {
+            return res.status(400).json({ success: false, error: published.error });
+        }
+        auditPublish(req, published.topic, notification, published.options, site_id);
         
-        res.json({ 
+        res.status(published.queued ? 202 : 200).json({ 
             success: true, 
-            message: 'Notification sent successfully',
-            data: { site_id, type, target, topic }
+            message: published.queued ? 'Broker unreachable, notification queued' : 'Notification sent successfully',
+            data: { site_id, type, target, topic: published.topic, queued: published.queued }
         });
     } catch (error) {
         console.error('Notification error:', error);
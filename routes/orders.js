@@ -1,6 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
+const { recordAudit } = require('../services/audit');
+const { publishEvent } = require('../services/events');
+const { canAccessSite, siteCondition, ensureSiteAccess, requireSiteParam } = require('../middleware/siteAccess');
+const { validatePagination, readPage, sendPage } = require('../middleware/pagination');
+const { ensureActiveSite } = require('../middleware/softDelete');
 
 const router = express.Router();
 
@@ -8,8 +13,7 @@ const router = express.Router();
 const validateOrder = [
     body('site_id').isInt({ min: 1 }),
     body('room').notEmpty().trim(),
-    body('guest_name').notEmpty().trim(),
-    body('created_by').isInt({ min: 1 })
+    body('guest_name').notEmpty().trim()
 ];
 
 const validateOrderItem = [
@@ -20,32 +24,62 @@ const validateOrderItem = [
     body('note').optional().trim()
 ];
 
+// Columns of the order list clients may filter on, sort by and select
+const ORDER_LIST = {
+    defaultLimit: 10,
+    filterable: ['id', 'site_id', 'room', 'guest_name', 'created_by', 'status', 'created_at'],
+    sortable: ['id', 'room', 'guest_name', 'status', 'created_at'],
+    fields: ['id', 'site_id', 'room', 'guest_name', 'created_by', 'staff', 'status', 'created_at']
+};
+
+// Middleware: 404 unless the :orderId order belongs to one of the caller's (live) sites
+async function requireOrderAccess(req, res, next) {
+    try {
+        const order = await db.fetchOne(`
+            SELECT o.id, o.site_id FROM product_order o
+            JOIN sites s ON o.site_id = s.id
+            WHERE o.id = ? AND s.deleted_at IS NULL
+        `, [req.params.orderId]);
+        if (!order || !canAccessSite(req, order.site_id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        req.order = order;
+        next();
+    } catch (error) {
+        console.error('Load order error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
 // GET /api/orders - Get all orders
-router.get('/', async (req, res) => {
+router.get('/', validatePagination, async (req, res) => {
     try {
-        const { site_id, limit = 10 } = req.query;
+        const page = readPage(req, res, '-created_at,-id', ORDER_LIST);
+        if (!page) {
+            return;
+        }
+
+        const { site_id } = req.query;
+        const scope = siteCondition(req, 'o.site_id');
         let sql = `
             SELECT o.*, a.name as staff
             FROM product_order o 
+            JOIN sites s ON o.site_id = s.id
             LEFT JOIN admins a ON o.created_by = a.id
+            WHERE s.deleted_at IS NULL AND ${scope.clause}
         `;
-        let params = [];
+        let params = [...scope.params];
         
         if (site_id) {
-            sql += " WHERE o.site_id = ?";
+            if (!ensureSiteAccess(req, res, site_id)) {
+                return;
+            }
+            sql += " AND o.site_id = ?";
             params.push(site_id);
         }
         
-        sql += " ORDER BY o.created_at DESC";
-        
-        if (limit) {
-            sql += " LIMIT ?";
-            params.push(parseInt(limit));
-        }
-        
-        const orders = await db.fetchAll(sql, params);
-        
-        res.json({ success: true, data: orders });
+        const result = await db.paginate(sql, params, page);
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get all orders error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -58,13 +92,15 @@ router.get('/:id', async (req, res) => {
         const { id } = req.params;
         const { site_id } = req.query;
         
+        const scope = siteCondition(req, 'o.site_id');
         let sql = `
             SELECT o.*, a.name as staff
             FROM product_order o 
+            JOIN sites s ON o.site_id = s.id
             LEFT JOIN admins a ON o.created_by = a.id
-            WHERE o.id = ?
+            WHERE o.id = ? AND s.deleted_at IS NULL AND ${scope.clause}
         `;
-        let params = [id];
+        let params = [id, ...scope.params];
         
         if (site_id) {
             sql += " AND o.site_id = ?";
@@ -92,12 +128,17 @@ router.post('/', validateOrder, async (req, res) => {
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { site_id, room, guest_name, created_by } = req.body;
+        const { site_id, room, guest_name } = req.body;
 
+        if (!ensureSiteAccess(req, res, site_id) || !await ensureActiveSite(res, site_id)) {
+            return;
+        }
+
+        // Orders are attributed to the signed-in admin; orders placed with an API key have no creator
         const result = await db.execute(`
             INSERT INTO product_order (site_id, room, guest_name, created_by)
             VALUES (?, ?, ?, ?)
-        `, [site_id, room, guest_name, created_by]);
+        `, [site_id, room, guest_name, req.admin ? req.admin.id : null]);
 
         const newOrder = await db.fetchOne(`
             SELECT o.*, a.name as staff
@@ -106,6 +147,9 @@ router.post('/', validateOrder, async (req, res) => {
             WHERE o.id = ?
         `, [result.last_insert_id]);
 
+        recordAudit(req, { action: 'create', entity_type: 'order', entity_id: newOrder.id, site_id, after: newOrder });
+        publishEvent('order.created', newOrder.site_id, newOrder);
+
         res.status(201).json({ success: true, data: newOrder });
     } catch (error) {
         console.error('Create order error:', error);
@@ -118,12 +162,24 @@ router.put('/:id/status', async (req, res) => {
     try {
         const { id } = req.params;
         const { status, site_id } = req.body;
+        const scope = siteCondition(req, 'o.site_id');
 
-        let sql = "UPDATE product_order SET status = ? WHERE id = ?";
-        let params = [status, id];
+        const existingOrder = await db.fetchOne(`
+            SELECT o.* FROM product_order o
+            JOIN sites s ON o.site_id = s.id
+            WHERE o.id = ? AND s.deleted_at IS NULL AND ${scope.clause}
+        `, [id, ...scope.params]);
+
+        let sql = `
+            UPDATE product_order o
+            JOIN sites s ON o.site_id = s.id
+            SET o.status = ?
+            WHERE o.id = ? AND s.deleted_at IS NULL AND ${scope.clause}
+        `;
+        let params = [status, id, ...scope.params];
         
         if (site_id) {
-            sql += " AND site_id = ?";
+            sql += " AND o.site_id = ?";
             params.push(site_id);
         }
 
@@ -132,14 +188,25 @@ router.put('/:id/status', async (req, res) => {
         const updatedOrder = await db.fetchOne(`
             SELECT o.*, a.name as staff
             FROM product_order o 
+            JOIN sites s ON o.site_id = s.id
             LEFT JOIN admins a ON o.created_by = a.id
-            WHERE o.id = ?
-        `, [id]);
+            WHERE o.id = ? AND s.deleted_at IS NULL AND ${scope.clause}
+        `, [id, ...scope.params]);
 
         if (!updatedOrder) {
             return res.status(404).json({ error: 'Order not found' });
         }
 
+        recordAudit(req, {
+            action: 'update', entity_type: 'order', entity_id: id, site_id: updatedOrder.site_id,
+            before: existingOrder && { status: existingOrder.status },
+            after: { status: updatedOrder.status }
+        });
+        publishEvent('order.updated', updatedOrder.site_id, {
+            order_id: updatedOrder.id, change: 'status',
+            previous_status: existingOrder ? existingOrder.status : null, order: updatedOrder
+        });
+
         res.json({ success: true, data: updatedOrder });
     } catch (error) {
         console.error('Update order status error:', error);
@@ -153,15 +220,31 @@ router.delete('/:id', async (req, res) => {
         const { id } = req.params;
         const { site_id } = req.query;
 
-        let sql = "DELETE FROM product_order WHERE id = ?";
-        let params = [id];
+        const scope = siteCondition(req, 'o.site_id');
+        let where = `o.id = ? AND s.deleted_at IS NULL AND ${scope.clause}`;
+        let params = [id, ...scope.params];
         
         if (site_id) {
-            sql += " AND site_id = ?";
+            where += " AND o.site_id = ?";
             params.push(site_id);
         }
 
-        await db.execute(sql, params);
+        const order = await db.fetchOne(`
+            SELECT o.* FROM product_order o
+            JOIN sites s ON o.site_id = s.id
+            WHERE ${where}
+        `, params);
+
+        await db.execute(`
+            DELETE o FROM product_order o
+            JOIN sites s ON o.site_id = s.id
+            WHERE ${where}
+        `, params);
+
+        if (order) {
+            recordAudit(req, { action: 'delete', entity_type: 'order', entity_id: id, site_id: order.site_id, before: order });
+            publishEvent('order.deleted', order.site_id, { order_id: order.id });
+        }
 
         res.json({ success: true, message: 'Order deleted successfully' });
     } catch (error) {
@@ -175,7 +258,7 @@ router.delete('/:id', async (req, res) => {
 // ============================
 
 // GET /api/orders/:orderId/items - Get order items
-router.get('/:orderId/items', async (req, res) => {
+router.get('/:orderId/items', requireOrderAccess, async (req, res) => {
     try {
         const { orderId } = req.params;
         
@@ -195,7 +278,7 @@ router.get('/:orderId/items', async (req, res) => {
 });
 
 // POST /api/orders/:orderId/items - Add order item
-router.post('/:orderId/items', validateOrderItem, async (req, res) => {
+router.post('/:orderId/items', requireOrderAccess, validateOrderItem, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -205,12 +288,6 @@ router.post('/:orderId/items', validateOrderItem, async (req, res) => {
         const { orderId } = req.params;
         const { product_id, qty, price, note = '' } = req.body;
 
-        // Verify order exists
-        const order = await db.fetchOne("SELECT id FROM product_order WHERE id = ?", [orderId]);
-        if (!order) {
-            return res.status(404).json({ error: 'Order not found' });
-        }
-
         const result = await db.execute(`
             INSERT INTO product_order_item (product_order_id, product_id, qty, price, note)
             VALUES (?, ?, ?, ?, ?)
@@ -223,6 +300,14 @@ router.post('/:orderId/items', validateOrderItem, async (req, res) => {
             WHERE oi.id = ?
         `, [result.last_insert_id]);
 
+        recordAudit(req, {
+            action: 'create', entity_type: 'order_item', entity_id: newItem.id, site_id: req.order.site_id,
+            after: newItem, metadata: { order_id: orderId }
+        });
+        publishEvent('order.updated', req.order.site_id, {
+            order_id: req.order.id, change: 'item_added', item: newItem
+        });
+
         res.status(201).json({ success: true, data: newItem });
     } catch (error) {
         console.error('Add order item error:', error);
@@ -231,7 +316,7 @@ router.post('/:orderId/items', validateOrderItem, async (req, res) => {
 });
 
 // PUT /api/orders/:orderId/items/:itemId - Update order item
-router.put('/:orderId/items/:itemId', validateOrderItem, async (req, res) => {
+router.put('/:orderId/items/:itemId', requireOrderAccess, validateOrderItem, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -241,6 +326,13 @@ router.put('/:orderId/items/:itemId', validateOrderItem, async (req, res) => {
         const { orderId, itemId } = req.params;
         const { product_id, qty, price, note = '' } = req.body;
 
+        const existingItem = await db.fetchOne(`
+            SELECT oi.*, p.name as product_name, p.unit
+            FROM product_order_item oi
+            LEFT JOIN product p ON oi.product_id = p.id
+            WHERE oi.id = ? AND oi.product_order_id = ?
+        `, [itemId, orderId]);
+
         await db.execute(`
             UPDATE product_order_item 
             SET product_id = ?, qty = ?, price = ?, note = ?
@@ -258,6 +350,14 @@ router.put('/:orderId/items/:itemId', validateOrderItem, async (req, res) => {
             return res.status(404).json({ error: 'Order item not found' });
         }
 
+        recordAudit(req, {
+            action: 'update', entity_type: 'order_item', entity_id: itemId, site_id: req.order.site_id,
+            before: existingItem, after: updatedItem, metadata: { order_id: orderId }
+        });
+        publishEvent('order.updated', req.order.site_id, {
+            order_id: req.order.id, change: 'item_updated', item: updatedItem
+        });
+
         res.json({ success: true, data: updatedItem });
     } catch (error) {
         console.error('Update order item error:', error);
@@ -266,15 +366,30 @@ router.put('/:orderId/items/:itemId', validateOrderItem, async (req, res) => {
 });
 
 // DELETE /api/orders/:orderId/items/:itemId - Delete order item
-router.delete('/:orderId/items/:itemId', async (req, res) => {
+router.delete('/:orderId/items/:itemId', requireOrderAccess, async (req, res) => {
     try {
         const { orderId, itemId } = req.params;
 
+        const item = await db.fetchOne(
+            "SELECT * FROM product_order_item WHERE id = ? AND product_order_id = ?",
+            [itemId, orderId]
+        );
+
         await db.execute(`
             DELETE FROM product_order_item 
             WHERE id = ? AND product_order_id = ?
         `, [itemId, orderId]);
 
+        if (item) {
+            recordAudit(req, {
+                action: 'delete', entity_type: 'order_item', entity_id: itemId, site_id: req.order.site_id,
+                before: item, metadata: { order_id: orderId }
+            });
+            publishEvent('order.updated', req.order.site_id, {
+                order_id: req.order.id, change: 'item_removed', item
+            });
+        }
+
         res.json({ success: true, message: 'Order item deleted successfully' });
     } catch (error) {
         console.error('Delete order item error:', error);
@@ -283,7 +398,7 @@ router.delete('/:orderId/items/:itemId', async (req, res) => {
 });
 
 // GET /api/orders/recent/:siteId - Get recent orders for site
-router.get('/recent/:siteId', async (req, res) => {
+router.get('/recent/:siteId', requireSiteParam('siteId'), async (req, res) => {
     try {
         const { siteId } = req.params;
         const { limit = 10 } = req.query;
@@ -291,8 +406,9 @@ router.get('/recent/:siteId', async (req, res) => {
         const orders = await db.fetchAll(`
             SELECT o.*, a.name as staff
             FROM product_order o 
+            JOIN sites s ON o.site_id = s.id
             LEFT JOIN admins a ON o.created_by = a.id
-            WHERE o.site_id = ?
+            WHERE o.site_id = ? AND s.deleted_at IS NULL
             ORDER BY o.created_at DESC 
             LIMIT ?
         `, [siteId, parseInt(limit)]);
@@ -1,6 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
+const { recordAudit } = require('../services/audit');
+const { siteCondition, ensureSiteAccess, requireSiteParam } = require('../middleware/siteAccess');
+const { validatePagination, readPage, sendPage } = require('../middleware/pagination');
+const { allowDeleted, notDeleted, ensureActiveSite } = require('../middleware/softDelete');
+const { setETag, checkIfMatch, sendPreconditionFailed } = require('../middleware/etag');
+const { asIs, asFlag, acceptMergePatch, patchAssignments } = require('../middleware/mergePatch');
 
 const router = express.Router();
 
@@ -18,38 +24,75 @@ const validateProduct = [
     body('active').optional().isBoolean()
 ];
 
+// Fields PATCH may change; null clears the optional ones
+const PRODUCT_PATCH = {
+    product_category_id: asIs, name: asIs, description: asIs, price: asIs, unit: asIs, image_url: asIs,
+    track_stock: asFlag, is_service: asFlag, require_serial: asFlag, active: asFlag
+};
+
+const validateProductPatch = [
+    body('product_category_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('name').optional().notEmpty().trim(),
+    body(['description', 'unit', 'image_url']).optional({ values: 'null' }).trim(),
+    body('price').optional().isFloat({ min: 0 }).toFloat(),
+    body(['track_stock', 'is_service', 'require_serial', 'active']).optional().isBoolean().toBoolean(true)
+];
+
 const validateCategory = [
     body('name').notEmpty().trim(),
     body('type').optional().isIn(['AMENITY', 'SERVICE', 'FOOD', 'OTHER']),
     body('active').optional().isBoolean()
 ];
 
+// Columns of the product list clients may filter on, sort by and select
+const PRODUCT_LIST = {
+    filterable: [
+        'id', 'site_id', 'product_category_id', 'category_type', 'name', 'price', 'unit',
+        'track_stock', 'is_service', 'require_serial', 'active', 'deleted_at'
+    ],
+    sortable: ['id', 'name', 'price', 'category_name', 'created_at', 'updated_at'],
+    fields: [
+        'id', 'site_id', 'product_category_id', 'category_name', 'category_type', 'name', 'description',
+        'price', 'unit', 'image_url', 'track_stock', 'is_service', 'require_serial', 'active', 'created_at', 'updated_at',
+        'deleted_at', 'version'
+    ]
+};
+
 // ============================
 // PRODUCT CATEGORY ROUTES
 // ============================
 
 // GET /api/products/categories - Get all product categories
-router.get('/categories', async (req, res) => {
+router.get('/categories', validatePagination, async (req, res) => {
     try {
+        const page = readPage(req, res, 'name,id');
+        if (!page) {
+            return;
+        }
+
         const { site_id, active_only } = req.query;
-        let sql = "SELECT * FROM product_category";
-        let params = [];
+        const scope = siteCondition(req, 'c.site_id');
+        let sql = `
+            SELECT c.* FROM product_category c
+            JOIN sites s ON c.site_id = s.id
+            WHERE s.deleted_at IS NULL AND ${scope.clause}
+        `;
+        let params = [...scope.params];
         
         if (site_id) {
-            sql += " WHERE site_id = ?";
-            params.push(site_id);
-            
-            if (active_only === 'true') {
-                sql += " AND active = 1";
+            if (!ensureSiteAccess(req, res, site_id)) {
+                return;
             }
-        } else if (active_only === 'true') {
-            sql += " WHERE active = 1";
+            sql += " AND c.site_id = ?";
+            params.push(site_id);
         }
-        
-        sql += " ORDER BY name ASC";
-        const categories = await db.fetchAll(sql, params);
-        
-        res.json({ success: true, data: categories });
+
+        if (active_only === 'true') {
+            sql += " AND c.active = 1";
+        }
+
+        const result = await db.paginate(sql, params, page);
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get product categories error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -62,11 +105,16 @@ router.get('/categories/:id', async (req, res) => {
         const { id } = req.params;
         const { site_id } = req.query;
         
-        let sql = "SELECT * FROM product_category WHERE id = ?";
-        let params = [id];
+        const scope = siteCondition(req, 'c.site_id');
+        let sql = `
+            SELECT c.* FROM product_category c
+            JOIN sites s ON c.site_id = s.id
+            WHERE c.id = ? AND s.deleted_at IS NULL AND ${scope.clause}
+        `;
+        let params = [id, ...scope.params];
         
         if (site_id) {
-            sql += " AND site_id = ?";
+            sql += " AND c.site_id = ?";
             params.push(site_id);
         }
         
@@ -93,12 +141,20 @@ router.post('/categories', validateCategory, async (req, res) => {
 
         const { name, type = 'AMENITY', active = true, site_id } = req.body;
 
+        if (!ensureSiteAccess(req, res, site_id) || !await ensureActiveSite(res, site_id)) {
+            return;
+        }
+
         const result = await db.execute(`
             INSERT INTO product_category (site_id, name, type, active)
             VALUES (?, ?, ?, ?)
         `, [site_id, name, type, active ? 1 : 0]);
 
         const newCategory = await db.fetchOne("SELECT * FROM product_category WHERE id = ?", [result.last_insert_id]);
+
+        recordAudit(req, {
+            action: 'create', entity_type: 'product_category', entity_id: newCategory.id, site_id, after: newCategory
+        });
         
         res.status(201).json({ success: true, data: newCategory });
     } catch (error) {
@@ -118,17 +174,34 @@ router.put('/categories/:id', validateCategory, async (req, res) => {
         const { id } = req.params;
         const { name, type = 'AMENITY', active = true, site_id } = req.body;
 
+        if (!ensureSiteAccess(req, res, site_id) || !await ensureActiveSite(res, site_id)) {
+            return;
+        }
+
+        const existingCategory = await db.fetchOne(
+            "SELECT * FROM product_category WHERE id = ? AND site_id = ?",
+            [id, site_id]
+        );
+
         await db.execute(`
             UPDATE product_category 
             SET name = ?, type = ?, active = ?
             WHERE id = ? AND site_id = ?
         `, [name, type, active ? 1 : 0, id, site_id]);
 
-        const updatedCategory = await db.fetchOne("SELECT * FROM product_category WHERE id = ?", [id]);
+        const updatedCategory = await db.fetchOne(
+            "SELECT * FROM product_category WHERE id = ? AND site_id = ?",
+            [id, site_id]
+        );
         
         if (!updatedCategory) {
             return res.status(404).json({ error: 'Product category not found' });
         }
+
+        recordAudit(req, {
+            action: 'update', entity_type: 'product_category', entity_id: id, site_id,
+            before: existingCategory, after: updatedCategory
+        });
         
         res.json({ success: true, data: updatedCategory });
     } catch (error) {
@@ -143,15 +216,33 @@ router.delete('/categories/:id', async (req, res) => {
         const { id } = req.params;
         const { site_id } = req.query;
 
-        let sql = "DELETE FROM product_category WHERE id = ?";
-        let params = [id];
+        const scope = siteCondition(req, 'c.site_id');
+        let where = `c.id = ? AND s.deleted_at IS NULL AND ${scope.clause}`;
+        let params = [id, ...scope.params];
         
         if (site_id) {
-            sql += " AND site_id = ?";
+            where += " AND c.site_id = ?";
             params.push(site_id);
         }
 
-        await db.execute(sql, params);
+        const category = await db.fetchOne(`
+            SELECT c.* FROM product_category c
+            JOIN sites s ON c.site_id = s.id
+            WHERE ${where}
+        `, params);
+
+        await db.execute(`
+            DELETE c FROM product_category c
+            JOIN sites s ON c.site_id = s.id
+            WHERE ${where}
+        `, params);
+
+        if (category) {
+            recordAudit(req, {
+                action: 'delete', entity_type: 'product_category', entity_id: id, site_id: category.site_id,
+                before: category
+            });
+        }
 
         res.json({ success: true, message: 'Product category deleted successfully' });
     } catch (error) {
@@ -161,23 +252,30 @@ router.delete('/categories/:id', async (req, res) => {
 });
 
 // GET /api/products/categories/search/:siteId - Search categories
-router.get('/categories/search/:siteId', async (req, res) => {
+router.get('/categories/search/:siteId', requireSiteParam('siteId'), validatePagination, async (req, res) => {
     try {
+        const page = readPage(req, res, 'name,id');
+        if (!page) {
+            return;
+        }
+
         const { siteId } = req.params;
         const { q = '' } = req.query;
         
-        let sql = "SELECT id, name FROM product_category WHERE site_id = ? AND active = 1";
+        let sql = `
+            SELECT c.id, c.name FROM product_category c
+            JOIN sites s ON c.site_id = s.id
+            WHERE c.site_id = ? AND c.active = 1 AND s.deleted_at IS NULL
+        `;
         let params = [siteId];
         
         if (q !== '') {
-            sql += " AND name LIKE ?";
+            sql += " AND c.name LIKE ?";
             params.push(`%${q}%`);
         }
-        
-        sql += " ORDER BY name ASC";
-        const categories = await db.fetchAll(sql, params);
-        
-        res.json({ success: true, data: categories });
+
+        const result = await db.paginate(sql, params, page);
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Search product categories error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -189,31 +287,37 @@ router.get('/categories/search/:siteId', async (req, res) => {
 // ============================
 
 // GET /api/products - Get all products
-router.get('/', async (req, res) => {
+router.get('/', allowDeleted('products:write'), validatePagination, async (req, res) => {
     try {
+        const page = readPage(req, res, 'name,id', PRODUCT_LIST);
+        if (!page) {
+            return;
+        }
+
         const { site_id, active_only } = req.query;
+        const scope = siteCondition(req, 'p.site_id');
         let sql = `
             SELECT p.*, c.name as category_name, c.type as category_type
             FROM product p
             LEFT JOIN product_category c ON p.product_category_id = c.id
+            WHERE ${scope.clause} AND ${notDeleted(req, 'p.deleted_at')}
         `;
-        let params = [];
+        let params = [...scope.params];
         
         if (site_id) {
-            sql += " WHERE p.site_id = ?";
-            params.push(site_id);
-            
-            if (active_only === 'true') {
-                sql += " AND p.active = 1";
+            if (!ensureSiteAccess(req, res, site_id)) {
+                return;
             }
-        } else if (active_only === 'true') {
-            sql += " WHERE p.active = 1";
+            sql += " AND p.site_id = ?";
+            params.push(site_id);
         }
-        
-        sql += " ORDER BY p.name ASC";
-        const products = await db.fetchAll(sql, params);
-        
-        res.json({ success: true, data: products });
+
+        if (active_only === 'true') {
+            sql += " AND p.active = 1";
+        }
+
+        const result = await db.paginate(sql, params, page);
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get all products error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -221,18 +325,19 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/products/:id - Get product by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', allowDeleted('products:write'), async (req, res) => {
     try {
         const { id } = req.params;
         const { site_id } = req.query;
         
+        const scope = siteCondition(req, 'p.site_id');
         let sql = `
             SELECT p.*, c.name as category_name, c.type as category_type
             FROM product p
             LEFT JOIN product_category c ON p.product_category_id = c.id
-            WHERE p.id = ?
+            WHERE p.id = ? AND ${scope.clause} AND ${notDeleted(req, 'p.deleted_at')}
         `;
-        let params = [id];
+        let params = [id, ...scope.params];
         
         if (site_id) {
             sql += " AND p.site_id = ?";
@@ -245,6 +350,7 @@ router.get('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Product not found' });
         }
         
+        setETag(res, product);
         res.json({ success: true, data: product });
     } catch (error) {
         console.error('Get product by ID error:', error);
@@ -262,6 +368,10 @@ router.post('/', validateProduct, async (req, res) => {
 
         const data = req.body;
 
+        if (!ensureSiteAccess(req, res, data.site_id) || !await ensureActiveSite(res, data.site_id)) {
+            return;
+        }
+
         const result = await db.execute(`
             INSERT INTO product
                 (site_id, product_category_id, name, description, price, unit, image_url, track_stock, is_service, require_serial, active)
@@ -280,6 +390,10 @@ router.post('/', validateProduct, async (req, res) => {
             WHERE p.id = ?
         `, [result.last_insert_id]);
 
+        recordAudit(req, {
+            action: 'create', entity_type: 'product', entity_id: newProduct.id, site_id: data.site_id, after: newProduct
+        });
+
         res.status(201).json({ success: true, data: newProduct });
     } catch (error) {
         console.error('Create product error:', error);
@@ -298,17 +412,97 @@ router.put('/:id', validateProduct, async (req, res) => {
         const { id } = req.params;
         const data = req.body;
 
-        await db.execute(`
+        if (!ensureSiteAccess(req, res, data.site_id)) {
+            return;
+        }
+
+        const existingProduct = await db.fetchOne(`
+            SELECT p.*, c.name as category_name, c.type as category_type
+            FROM product p
+            LEFT JOIN product_category c ON p.product_category_id = c.id
+            WHERE p.id = ? AND p.site_id = ? AND p.deleted_at IS NULL
+        `, [id, data.site_id]);
+
+        if (!existingProduct) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        if (!checkIfMatch(req, res, existingProduct)) {
+            return;
+        }
+
+        // Only the version read above is updated, so a concurrent write is never overwritten
+        const result = await db.execute(`
             UPDATE product SET
                 product_category_id = ?, name = ?, description = ?, price = ?, unit = ?,
                 image_url = ?, track_stock = ?, is_service = ?, require_serial = ?, active = ?,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = ? AND site_id = ?
+                updated_at = CURRENT_TIMESTAMP, version = version + 1
+            WHERE id = ? AND site_id = ? AND deleted_at IS NULL AND version = ?
         `, [
             data.product_category_id, data.name, data.description || '', data.price, data.unit || '',
             data.image_url || '', data.track_stock ? 1 : 0, data.is_service ? 1 : 0,
-            data.require_serial ? 1 : 0, data.active !== undefined ? (data.active ? 1 : 0) : 1, id, data.site_id
+            data.require_serial ? 1 : 0, data.active !== undefined ? (data.active ? 1 : 0) : 1, id, data.site_id,
+            existingProduct.version
         ]);
+        if (result.affected_rows === 0) {
+            return sendPreconditionFailed(res, await db.fetchOne("SELECT id, version FROM product WHERE id = ?", [id]));
+        }
+
+        const updatedProduct = await db.fetchOne(`
+            SELECT p.*, c.name as category_name, c.type as category_type
+            FROM product p
+            LEFT JOIN product_category c ON p.product_category_id = c.id
+            WHERE p.id = ? AND p.site_id = ? AND p.deleted_at IS NULL
+        `, [id, data.site_id]);
+
+        recordAudit(req, {
+            action: 'update', entity_type: 'product', entity_id: id, site_id: data.site_id,
+            before: existingProduct, after: updatedProduct
+        });
+
+        setETag(res, updatedProduct);
+        res.json({ success: true, data: updatedProduct });
+    } catch (error) {
+        console.error('Update product error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PATCH /api/products/:id - Update only the fields sent (JSON Merge Patch), honouring If-Match
+router.patch('/:id', acceptMergePatch(PRODUCT_PATCH), validateProductPatch, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { id } = req.params;
+
+        const scope = siteCondition(req, 'p.site_id');
+        const existingProduct = await db.fetchOne(`
+            SELECT p.*, c.name as category_name, c.type as category_type
+            FROM product p
+            LEFT JOIN product_category c ON p.product_category_id = c.id
+            WHERE p.id = ? AND p.deleted_at IS NULL AND ${scope.clause}
+        `, [id, ...scope.params]);
+
+        if (!existingProduct) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        if (!checkIfMatch(req, res, existingProduct)) {
+            return;
+        }
+
+        const patch = patchAssignments(req.body, PRODUCT_PATCH);
+        if (patch.fields.length > 0) {
+            // Only the version read above is updated, so a concurrent write is never overwritten
+            const result = await db.execute(`
+                UPDATE product SET ${patch.assignments}, updated_at = CURRENT_TIMESTAMP, version = version + 1
+                WHERE id = ? AND deleted_at IS NULL AND version = ?
+            `, [...patch.params, id, existingProduct.version]);
+            if (result.affected_rows === 0) {
+                return sendPreconditionFailed(res, await db.fetchOne("SELECT id, version FROM product WHERE id = ?", [id]));
+            }
+        }
 
         const updatedProduct = await db.fetchOne(`
             SELECT p.*, c.name as category_name, c.type as category_type
@@ -317,32 +511,46 @@ router.put('/:id', validateProduct, async (req, res) => {
             WHERE p.id = ?
         `, [id]);
 
-        if (!updatedProduct) {
-            return res.status(404).json({ error: 'Product not found' });
+        if (patch.fields.length > 0) {
+            recordAudit(req, {
+                action: 'update', entity_type: 'product', entity_id: id, site_id: updatedProduct.site_id,
+                before: existingProduct, after: updatedProduct
+            });
         }
 
+        setETag(res, updatedProduct);
         res.json({ success: true, data: updatedProduct });
     } catch (error) {
-        console.error('Update product error:', error);
+        console.error('Patch product error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// DELETE /api/products/:id - Delete product
+// DELETE /api/products/:id - Delete product (soft delete, restorable until purged)
+// Order items keep referring to the product, so order history still shows its name
 router.delete('/:id', async (req, res) => {
     try {
         const { id } = req.params;
         const { site_id } = req.query;
 
-        let sql = "DELETE FROM product WHERE id = ?";
-        let params = [id];
+        const scope = siteCondition(req, 'site_id');
+        let where = `id = ? AND deleted_at IS NULL AND ${scope.clause}`;
+        let params = [id, ...scope.params];
         
         if (site_id) {
-            sql += " AND site_id = ?";
+            where += " AND site_id = ?";
             params.push(site_id);
         }
 
-        await db.execute(sql, params);
+        const product = await db.fetchOne(`SELECT * FROM product WHERE ${where}`, params);
+
+        await db.execute(`UPDATE product SET deleted_at = NOW(), version = version + 1 WHERE ${where}`, params);
+
+        if (product) {
+            recordAudit(req, {
+                action: 'delete', entity_type: 'product', entity_id: id, site_id: product.site_id, before: product
+            });
+        }
 
         res.json({ success: true, message: 'Product deleted successfully' });
     } catch (error) {
@@ -351,4 +559,46 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+// POST /api/products/:id/restore - Restore a deleted product
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const scope = siteCondition(req, 'p.site_id');
+        const product = await db.fetchOne(`
+            SELECT p.*, s.deleted_at AS site_deleted_at
+            FROM product p
+            JOIN sites s ON p.site_id = s.id
+            WHERE p.id = ? AND ${scope.clause}
+        `, [id, ...scope.params]);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        if (!product.deleted_at) {
+            return res.status(409).json({ error: 'Product is not deleted' });
+        }
+        if (product.site_deleted_at) {
+            return res.status(409).json({ error: 'Restore the site of this product first' });
+        }
+
+        await db.execute("UPDATE product SET deleted_at = NULL, version = version + 1 WHERE id = ?", [id]);
+
+        const restoredProduct = await db.fetchOne(`
+            SELECT p.*, c.name as category_name, c.type as category_type
+            FROM product p
+            LEFT JOIN product_category c ON p.product_category_id = c.id
+            WHERE p.id = ?
+        `, [id]);
+
+        recordAudit(req, {
+            action: 'restore', entity_type: 'product', entity_id: id, site_id: product.site_id, after: restoredProduct
+        });
+
+        res.json({ success: true, data: restoredProduct });
+    } catch (error) {
+        console.error('Restore product error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,173 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const roles = require('../services/roles');
+const { recordAudit } = require('../services/audit');
+const { hasPermission } = require('../middleware/auth');
+const { permissionsMissingOnSites } = require('../middleware/siteAccess');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// Validation middleware
+const validateRole = [
+    body('name').notEmpty().trim().isLength({ max: 100 }),
+    body('description').optional({ values: 'null' }).trim().isLength({ max: 255 }),
+    body('permissions').optional().isArray(),
+    body('permissions.*').isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission')
+];
+
+const validateRoleUpdate = [
+    body('name').optional().notEmpty().trim().isLength({ max: 100 }),
+    body('description').optional({ values: 'null' }).trim().isLength({ max: 255 }),
+    body('permissions').optional().isArray(),
+    body('permissions.*').isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission')
+];
+
+// Admins can only put permissions they hold themselves into a role. A role grants on the sites
+// it is assigned on, so those are checked per site; a new or unused role is only checked once it
+// is assigned to an admin on a site.
+async function ensureCanGrant(req, res, permissions = [], roleId = null) {
+    const siteIds = roleId ? await roles.getRoleSiteIds(roleId) : [];
+    const missing = siteIds.length > 0
+        ? permissionsMissingOnSites(req, permissions, siteIds)
+        : permissions.filter(permission => !hasPermission(req.admin, permission));
+    if (missing.length > 0) {
+        res.status(403).json({ success: false, error: 'Cannot grant permissions you do not hold', permissions: missing });
+        return false;
+    }
+    return true;
+}
+
+// Middleware: load the :id role into req.role
+async function loadRole(req, res, next) {
+    try {
+        const role = await roles.getRole(req.params.id);
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        req.role = role;
+        next();
+    } catch (error) {
+        console.error('Load role error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// Middleware: system roles are read-only
+function rejectSystemRole(req, res, next) {
+    if (req.role.is_system) {
+        return res.status(403).json({ success: false, error: 'System roles cannot be changed' });
+    }
+    next();
+}
+
+// GET /api/roles - Get all roles with their permissions
+router.get('/', async (req, res) => {
+    try {
+        const data = await roles.listRoles();
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/roles/permissions - Permission keys that can be granted
+router.get('/permissions', (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+    });
+});
+
+// GET /api/roles/:id - Get role by ID
+router.get('/:id', loadRole, (req, res) => {
+    res.json({ success: true, data: req.role });
+});
+
+// POST /api/roles - Create role
+router.post('/', validateRole, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, description = null, permissions = [] } = req.body;
+
+        if (!await ensureCanGrant(req, res, permissions)) {
+            return;
+        }
+
+        if (await roles.isNameTaken(name)) {
+            return res.status(409).json({ error: 'A role with this name already exists' });
+        }
+
+        const role = await roles.createRole({ name, description, permissions });
+
+        recordAudit(req, { action: 'create', entity_type: 'role', entity_id: role.id, after: role });
+
+        res.status(201).json({ success: true, data: role });
+    } catch (error) {
+        console.error('Create role error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/roles/:id - Update role
+router.put('/:id', loadRole, rejectSystemRole, validateRoleUpdate, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, description, permissions } = req.body;
+
+        if (permissions) {
+            // Only changes to the permission set need to be grantable by the caller
+            const added = permissions.filter(permission => !req.role.permissions.includes(permission));
+            const removed = req.role.permissions.filter(permission => !permissions.includes(permission));
+            if (!await ensureCanGrant(req, res, [...added, ...removed], req.role.id)) {
+                return;
+            }
+        }
+
+        if (name !== undefined && await roles.isNameTaken(name, req.role.id)) {
+            return res.status(409).json({ error: 'A role with this name already exists' });
+        }
+
+        const role = await roles.updateRole(req.role, { name, description, permissions });
+
+        recordAudit(req, { action: 'update', entity_type: 'role', entity_id: role.id, before: req.role, after: role });
+
+        res.json({ success: true, data: role });
+    } catch (error) {
+        console.error('Update role error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/roles/:id - Delete role (only when no admin is assigned to it)
+router.delete('/:id', loadRole, rejectSystemRole, async (req, res) => {
+    try {
+        const assignmentCount = await roles.countAssignments(req.role.id);
+        if (assignmentCount > 0) {
+            return res.status(409).json({
+                error: 'Role is still assigned to admins',
+                assignment_count: assignmentCount
+            });
+        }
+
+        await roles.deleteRole(req.role.id);
+
+        recordAudit(req, { action: 'delete', entity_type: 'role', entity_id: req.role.id, before: req.role });
+
+        res.json({ success: true, message: 'Role deleted successfully' });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
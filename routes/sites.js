@@ -1,9 +1,19 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
+const roles = require('../services/roles');
+const seeder = require('../services/seeder');
+const { recordAudit } = require('../services/audit');
+const { siteCondition, requireSiteParam } = require('../middleware/siteAccess');
+const { validatePagination, readPage, sendPage } = require('../middleware/pagination');
+const { allowDeleted, notDeleted } = require('../middleware/softDelete');
+const { asIs, asFlag, acceptMergePatch, patchAssignments } = require('../middleware/mergePatch');
 
 const router = express.Router();
 
+// HH:MM:SS
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/;
+
 // Validation middleware
 const validateSite = [
     body('name').notEmpty().trim(),
@@ -12,19 +22,57 @@ const validateSite = [
     body('email').optional().isEmail().normalizeEmail(),
     body('manager_name').optional().trim(),
     body('timezone').optional().trim(),
-    body('checkin_time').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/),
-    body('checkout_time').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/),
+    body('checkin_time').optional().matches(TIME_PATTERN),
+    body('checkout_time').optional().matches(TIME_PATTERN),
     body('currency').optional().trim(),
     body('num_rooms').optional().isInt({ min: 0 }),
     body('default_price').optional().isFloat({ min: 0 }),
     body('enable_alert').optional().isBoolean()
 ];
 
+// Fields PATCH may change; null clears the optional ones
+const SITE_PATCH = {
+    name: asIs, address: asIs, phone: asIs, email: asIs, manager_name: asIs, contact_person: asIs,
+    website: asIs, timezone: asIs, checkin_time: asIs, checkout_time: asIs, currency: asIs,
+    num_rooms: asIs, default_price: asIs, enable_alert: asFlag
+};
+
+const validateSitePatch = [
+    body('name').optional().notEmpty().trim(),
+    body(['address', 'phone', 'manager_name', 'contact_person', 'website']).optional({ values: 'null' }).trim(),
+    body('email').optional({ values: 'null' }).isEmail().normalizeEmail(),
+    body('timezone').optional().notEmpty().trim(),
+    body(['checkin_time', 'checkout_time']).optional({ values: 'null' }).matches(TIME_PATTERN),
+    body('currency').optional().notEmpty().trim(),
+    body('num_rooms').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+    body('default_price').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+    body('enable_alert').optional().isBoolean().toBoolean(true)
+];
+
+// Columns of the site list clients may filter on, sort by and select
+const SITE_LIST = {
+    filterable: ['id', 'name', 'timezone', 'currency', 'num_rooms', 'enable_alert', 'created_by', 'created_at', 'deleted_at'],
+    sortable: ['id', 'name', 'num_rooms', 'default_price', 'created_at', 'updated_at'],
+    fields: [
+        'id', 'name', 'address', 'phone', 'email', 'manager_name', 'contact_person', 'website', 'timezone',
+        'checkin_time', 'checkout_time', 'currency', 'num_rooms', 'default_price', 'enable_alert',
+        'created_by', 'created_at', 'updated_at', 'deleted_at'
+    ]
+};
+
 // GET /api/sites - Get all sites
-router.get('/', async (req, res) => {
+router.get('/', allowDeleted('sites:write'), validatePagination, async (req, res) => {
     try {
-        const sites = await db.fetchAll("SELECT * FROM sites ORDER BY name ASC");
-        res.json({ success: true, data: sites });
+        const page = readPage(req, res, 'name,id', SITE_LIST);
+        if (!page) {
+            return;
+        }
+
+        const scope = siteCondition(req, 'id');
+        const result = await db.paginate(
+            `SELECT * FROM sites WHERE ${scope.clause} AND ${notDeleted(req, 'deleted_at')}`, scope.params, page
+        );
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get all sites error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -32,18 +80,48 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/sites/profiles - Get all site profiles
-router.get('/profiles', async (req, res) => {
+router.get('/profiles', validatePagination, async (req, res) => {
     try {
-        const profiles = await db.fetchAll("SELECT id, name FROM site_profile ORDER BY name ASC");
-        res.json({ success: true, data: profiles });
+        const page = readPage(req, res, 'name,id');
+        if (!page) {
+            return;
+        }
+
+        const result = await db.paginate("SELECT id, name FROM site_profile", [], page);
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get site profiles error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// GET /api/sites/with-device-count - Get sites with device count
+// Registered before /:id, which would otherwise match it
+router.get('/with-device-count', validatePagination, async (req, res) => {
+    try {
+        const page = readPage(req, res, 'id');
+        if (!page) {
+            return;
+        }
+
+        const scope = siteCondition(req, 's.id');
+        const result = await db.paginate(`
+            SELECT s.id, s.name, COUNT(d.id) AS device_count
+            FROM sites s
+            LEFT JOIN devices d ON d.site_id = s.id AND d.deleted_at IS NULL
+            WHERE s.deleted_at IS NULL AND ${scope.clause}
+            GROUP BY s.id, s.name
+        `, scope.params, page);
+
+        sendPage(res, page, result);
+    } catch (error) {
+        console.error('Get sites with device count error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // GET /api/sites/:id/settings - Get site settings
-router.get('/:id/settings', async (req, res) => {
+router.get('/:id/settings', requireSiteParam('id'), async (req, res) => {
     try {
         const { id } = req.params;
         const settings = await db.fetchAll(`
@@ -60,10 +138,10 @@ router.get('/:id/settings', async (req, res) => {
 });
 
 // GET /api/sites/:id - Get site by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireSiteParam('id'), allowDeleted('sites:write'), async (req, res) => {
     try {
         const { id } = req.params;
-        const site = await db.fetchOne("SELECT * FROM sites WHERE id = ?", [id]);
+        const site = await db.fetchOne(`SELECT * FROM sites WHERE id = ? AND ${notDeleted(req, 'deleted_at')}`, [id]);
         
         if (!site) {
             return res.status(404).json({ error: 'Site not found' });
@@ -77,7 +155,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // PUT /api/sites/:id - Update site
-router.put('/:id', validateSite, async (req, res) => {
+router.put('/:id', requireSiteParam('id'), validateSite, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -88,7 +166,7 @@ router.put('/:id', validateSite, async (req, res) => {
         const data = req.body;
 
         // Check if site exists
-        const existingSite = await db.fetchOne("SELECT id FROM sites WHERE id = ?", [id]);
+        const existingSite = await db.fetchOne("SELECT * FROM sites WHERE id = ? AND deleted_at IS NULL", [id]);
         if (!existingSite) {
             return res.status(404).json({ error: 'Site not found' });
         }
@@ -126,6 +204,11 @@ router.put('/:id', validateSite, async (req, res) => {
 
         // Get updated site
         const updatedSite = await db.fetchOne("SELECT * FROM sites WHERE id = ?", [id]);
+
+        recordAudit(req, {
+            action: 'update', entity_type: 'site', entity_id: id, site_id: id,
+            before: existingSite, after: updatedSite
+        });
         
         res.json({ success: true, data: updatedSite });
     } catch (error) {
@@ -134,51 +217,152 @@ router.put('/:id', validateSite, async (req, res) => {
     }
 });
 
-// GET /api/sites/with-device-count - Get sites with device count
-router.get('/with-device-count', async (req, res) => {
+// PATCH /api/sites/:id - Update only the fields sent (JSON Merge Patch)
+router.patch('/:id', requireSiteParam('id'), acceptMergePatch(SITE_PATCH), validateSitePatch, async (req, res) => {
     try {
-        const sites = await db.fetchAll(`
-            SELECT s.id, s.name, COUNT(d.id) AS device_count
-            FROM sites s
-            LEFT JOIN devices d ON d.site_id = s.id
-            GROUP BY s.id, s.name
-            ORDER BY s.id
-        `);
-        
-        res.json({ success: true, data: sites });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { id } = req.params;
+
+        const existingSite = await db.fetchOne("SELECT * FROM sites WHERE id = ? AND deleted_at IS NULL", [id]);
+        if (!existingSite) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        const patch = patchAssignments(req.body, SITE_PATCH);
+        if (patch.fields.length > 0) {
+            await db.execute(`UPDATE sites SET ${patch.assignments} WHERE id = ?`, [...patch.params, id]);
+        }
+
+        const updatedSite = await db.fetchOne("SELECT * FROM sites WHERE id = ?", [id]);
+
+        if (patch.fields.length > 0) {
+            recordAudit(req, {
+                action: 'update', entity_type: 'site', entity_id: id, site_id: id,
+                before: existingSite, after: updatedSite
+            });
+        }
+
+        res.json({ success: true, data: updatedSite });
     } catch (error) {
-        console.error('Get sites with device count error:', error);
+        console.error('Patch site error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/sites/:id - Delete site (soft delete, restorable until purged)
+// The site's devices and products are deleted with it and share its deleted_at,
+// which is how a restore finds them again.
+router.delete('/:id', requireSiteParam('id'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const site = await db.fetchOne("SELECT * FROM sites WHERE id = ? AND deleted_at IS NULL", [id]);
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.execute("UPDATE sites SET deleted_at = NOW() WHERE id = ?", [id]);
+            await tx.execute(`
+                UPDATE devices
+                SET deleted_at = (SELECT deleted_at FROM sites WHERE id = ?)
+                WHERE site_id = ? AND deleted_at IS NULL
+            `, [id, id]);
+            await tx.execute(`
+                UPDATE product
+                SET deleted_at = (SELECT deleted_at FROM sites WHERE id = ?), version = version + 1
+                WHERE site_id = ? AND deleted_at IS NULL
+            `, [id, id]);
+        });
+
+        recordAudit(req, {
+            action: 'delete', entity_type: 'site', entity_id: id, site_id: id, before: site
+        });
+
+        res.json({ success: true, message: 'Site deleted successfully' });
+    } catch (error) {
+        console.error('Delete site error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/sites/:id/restore - Restore a deleted site with the devices and products deleted along with it
+router.post('/:id/restore', requireSiteParam('id'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const site = await db.fetchOne("SELECT * FROM sites WHERE id = ?", [id]);
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+        if (!site.deleted_at) {
+            return res.status(409).json({ error: 'Site is not deleted' });
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.execute(`
+                UPDATE devices
+                SET deleted_at = NULL
+                WHERE site_id = ? AND deleted_at = (SELECT deleted_at FROM sites WHERE id = ?)
+            `, [id, id]);
+            await tx.execute(`
+                UPDATE product
+                SET deleted_at = NULL, version = version + 1
+                WHERE site_id = ? AND deleted_at = (SELECT deleted_at FROM sites WHERE id = ?)
+            `, [id, id]);
+            await tx.execute("UPDATE sites SET deleted_at = NULL WHERE id = ?", [id]);
+        });
+
+        const restoredSite = await db.fetchOne("SELECT * FROM sites WHERE id = ?", [id]);
+
+        recordAudit(req, {
+            action: 'restore', entity_type: 'site', entity_id: id, site_id: id, after: restoredSite
+        });
+
+        res.json({ success: true, data: restoredSite });
+    } catch (error) {
+        console.error('Restore site error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // GET /api/sites/for-admin/:adminId - Get sites for specific admin
-router.get('/for-admin/:adminId', async (req, res) => {
+router.get('/for-admin/:adminId', validatePagination, async (req, res) => {
     try {
+        const page = readPage(req, res, 'name,id');
+        if (!page) {
+            return;
+        }
+
         const { adminId } = req.params;
         
         // Check if super admin
-        const isSuper = await db.fetchOne(
-            "SELECT COUNT(*) AS count FROM admin_site WHERE admin_id = ? AND role = 'Super Administrator'",
-            [adminId]
-        );
+        const isSuper = await roles.isSuperAdmin(adminId);
+
+        // Only sites the caller may see themselves are listed
+        const scope = siteCondition(req, 's.id');
 
-        let sites;
-        if (isSuper && isSuper.count > 0) {
+        let result;
+        if (isSuper) {
             // Super admin gets all sites
-            sites = await db.fetchAll("SELECT id, name FROM sites ORDER BY name ASC");
+            result = await db.paginate(
+                `SELECT s.id, s.name FROM sites s WHERE s.deleted_at IS NULL AND ${scope.clause}`, scope.params, page
+            );
         } else {
             // Regular admin gets assigned sites
-            sites = await db.fetchAll(`
+            result = await db.paginate(`
                 SELECT s.id, s.name
                 FROM admin_site a
                 JOIN sites s ON a.site_id = s.id
-                WHERE a.admin_id = ?
-                ORDER BY s.name ASC
-            `, [adminId]);
+                WHERE a.admin_id = ? AND s.deleted_at IS NULL AND ${scope.clause}
+            `, [adminId, ...scope.params], page);
         }
-        
-        res.json({ success: true, data: sites });
+
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get sites for admin error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -186,40 +370,44 @@ router.get('/for-admin/:adminId', async (req, res) => {
 });
 
 // GET /api/sites/for-admin/:adminId/with-device-count - Get sites for admin with device count
-router.get('/for-admin/:adminId/with-device-count', async (req, res) => {
+router.get('/for-admin/:adminId/with-device-count', validatePagination, async (req, res) => {
     try {
+        const page = readPage(req, res, 'name,id');
+        if (!page) {
+            return;
+        }
+
         const { adminId } = req.params;
         
         // Check if super admin
-        const isSuper = await db.fetchOne(
-            "SELECT COUNT(*) AS count FROM admin_site WHERE admin_id = ? AND role = 'Super Administrator'",
-            [adminId]
-        );
+        const isSuper = await roles.isSuperAdmin(adminId);
+
+        // Only sites the caller may see themselves are listed
+        const scope = siteCondition(req, 's.id');
 
-        let sites;
-        if (isSuper && isSuper.count > 0) {
+        let result;
+        if (isSuper) {
             // Super admin gets all sites with device count
-            sites = await db.fetchAll(`
+            result = await db.paginate(`
                 SELECT s.id, s.name, COUNT(d.id) AS device_count
                 FROM sites s
-                LEFT JOIN devices d ON d.site_id = s.id
+                LEFT JOIN devices d ON d.site_id = s.id AND d.deleted_at IS NULL
+                WHERE s.deleted_at IS NULL AND ${scope.clause}
                 GROUP BY s.id, s.name
-                ORDER BY s.name ASC
-            `);
+            `, scope.params, page);
         } else {
             // Regular admin gets assigned sites with device count
-            sites = await db.fetchAll(`
+            result = await db.paginate(`
                 SELECT s.id, s.name, COUNT(d.id) AS device_count
                 FROM admin_site a
                 JOIN sites s ON a.site_id = s.id
-                LEFT JOIN devices d ON d.site_id = s.id
-                WHERE a.admin_id = ?
+                LEFT JOIN devices d ON d.site_id = s.id AND d.deleted_at IS NULL
+                WHERE a.admin_id = ? AND s.deleted_at IS NULL AND ${scope.clause}
                 GROUP BY s.id, s.name
-                ORDER BY s.name ASC
-            `, [adminId]);
+            `, [adminId, ...scope.params], page);
         }
-        
-        res.json({ success: true, data: sites });
+
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get sites for admin with device count error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -232,26 +420,13 @@ router.post('/ensure-default', async (req, res) => {
         const result = await db.fetchOne("SELECT COUNT(*) as count FROM sites");
         
         if (result.count == 0) {
-            await db.execute(`
-                INSERT INTO sites (
-                    name, address, phone, email, manager_name, timezone,
-                    checkin_time, checkout_time, currency, num_rooms,
-                    default_price, enable_alert
-                ) VALUES (
-                    'MainBranch',
-                    '123 Main St, City',
-                    '0123456789',
-                    'hotel@example.com',
-                    'Manager Name',
-                    'Asia/Bangkok',
-                    '14:00:00',
-                    '12:00:00',
-                    'THB',
-                    50,
-                    1200.00,
-                    1
-                )
-            `);
+            // The default site is defined by the "default" seed set
+            await seeder.runSeeds('default');
+
+            const site = await db.fetchOne("SELECT * FROM sites ORDER BY id ASC LIMIT 1");
+            recordAudit(req, {
+                action: 'create', entity_type: 'site', entity_id: site.id, site_id: site.id, after: site
+            });
             
             res.json({ success: true, message: 'Default site created' });
         } else {
@@ -1,6 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
+const { recordAudit } = require('../services/audit');
+const { canAccessSite, siteCondition, ensureSiteAccess, requireSiteParam } = require('../middleware/siteAccess');
+const { validatePagination, readPage, sendPage } = require('../middleware/pagination');
+const { setETag, checkIfMatch, sendPreconditionFailed } = require('../middleware/etag');
+const { asIs, asFlag, acceptMergePatch, patchAssignments } = require('../middleware/mergePatch');
+const { readImportRows, planImport, importReport, sendExport } = require('../middleware/bulk');
+const { ensureActiveSite } = require('../middleware/softDelete');
 
 const router = express.Router();
 
@@ -17,6 +24,36 @@ const validateWifi = [
     body('wifi_band').optional().trim()
 ];
 
+// Fields PATCH may change; null clears the optional ones
+const WIFI_PATCH = {
+    site_id: asIs, profile_id: asIs, ssid: asIs, password: asIs, policy_mode: asIs, for_room: asIs,
+    security: asIs, enabled: asFlag, ap_group_id: asIs, wifi_band: asIs
+};
+
+const validateWifiPatch = [
+    body('site_id').optional().isInt({ min: 1 }).toInt(),
+    body('profile_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body(['ssid', 'password', 'policy_mode', 'for_room']).optional().notEmpty().trim(),
+    body(['security', 'ap_group_id', 'wifi_band']).optional({ values: 'null' }).trim(),
+    body('enabled').optional().isBoolean().toBoolean(true)
+];
+
+// Columns of Wi-Fi configuration lists clients may filter on, sort by and select
+const WIFI_LIST = {
+    filterable: ['id', 'site_id', 'profile_id', 'ssid', 'policy_mode', 'for_room', 'security', 'enabled', 'ap_group_id', 'wifi_band'],
+    sortable: ['id', 'site_id', 'ssid', 'for_room', 'created_at'],
+    fields: [
+        'id', 'site_id', 'profile_id', 'ssid', 'password', 'policy_mode', 'for_room', 'security',
+        'enabled', 'ap_group_id', 'wifi_band', 'created_at', 'version'
+    ]
+};
+
+// Columns of Wi-Fi import and export files (the fields of validateWifi and the profile)
+const WIFI_IMPORT_COLUMNS = [
+    'site_id', 'for_room', 'profile_id', 'ssid', 'password', 'policy_mode',
+    'security', 'enabled', 'ap_group_id', 'wifi_band'
+];
+
 // Helper function to ensure default profile exists
 async function ensureDefaultProfile() {
     const row = await db.fetchOne("SELECT id FROM site_profile LIMIT 1");
@@ -30,30 +67,200 @@ async function ensureDefaultProfile() {
     return result ? result.id : 1;
 }
 
+// A site has at most one configuration per room (unique site_id, for_room); answers 409 otherwise
+async function ensureRoomAvailable(res, siteId, room, exceptId = null) {
+    const existing = await db.fetchOne(
+        "SELECT id FROM site_wifi WHERE site_id = ? AND for_room = ? AND id <> ?",
+        [siteId, room, exceptId || 0]
+    );
+    if (existing) {
+        res.status(409).json({ error: 'A WiFi configuration for this room already exists on this site', id: existing.id });
+        return false;
+    }
+    return true;
+}
+
+// Middleware: 404 unless the :id WiFi configuration belongs to one of the caller's (live) sites
+async function requireWifiAccess(req, res, next) {
+    try {
+        const wifi = await db.fetchOne(`
+            SELECT w.id, w.site_id FROM site_wifi w
+            JOIN sites s ON w.site_id = s.id
+            WHERE w.id = ? AND s.deleted_at IS NULL
+        `, [req.params.id]);
+        if (!wifi || !canAccessSite(req, wifi.site_id)) {
+            return res.status(404).json({ error: 'WiFi configuration not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Load WiFi error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
 // GET /api/wifi - Get all WiFi configurations
-router.get('/', async (req, res) => {
+router.get('/', validatePagination, async (req, res) => {
     try {
+        const page = readPage(req, res, 'id', WIFI_LIST);
+        if (!page) {
+            return;
+        }
+
         const { site_id } = req.query;
-        let sql = "SELECT * FROM site_wifi";
-        let params = [];
+        const scope = siteCondition(req, 'w.site_id');
+        let sql = `
+            SELECT w.* FROM site_wifi w
+            JOIN sites s ON w.site_id = s.id
+            WHERE s.deleted_at IS NULL AND ${scope.clause}
+        `;
+        let params = [...scope.params];
         
         if (site_id) {
-            sql += " WHERE site_id = ?";
+            if (!ensureSiteAccess(req, res, site_id)) {
+                return;
+            }
+            sql += " AND w.site_id = ?";
             params.push(site_id);
         }
         
-        sql += " ORDER BY id ASC";
-        const wifiConfigs = await db.fetchAll(sql, params);
-        
-        res.json({ success: true, data: wifiConfigs });
+        const result = await db.paginate(sql, params, page);
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get all WiFi error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// GET /api/wifi/profiles - Get all WiFi profiles
+// Registered before /:id, which would otherwise match it
+router.get('/profiles', validatePagination, async (req, res) => {
+    try {
+        const page = readPage(req, res, 'name,id');
+        if (!page) {
+            return;
+        }
+
+        const result = await db.paginate("SELECT * FROM site_profile", [], page);
+        sendPage(res, page, result);
+    } catch (error) {
+        console.error('Get WiFi profiles error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/wifi/export - Download Wi-Fi configurations as CSV (default) or JSON, in the import format
+// Registered before /:id, which would otherwise match it
+router.get('/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or json' });
+        }
+
+        const scope = siteCondition(req, 'w.site_id');
+        let sql = `
+            SELECT ${WIFI_IMPORT_COLUMNS.map(column => `w.${column}`).join(', ')}
+            FROM site_wifi w
+            JOIN sites s ON w.site_id = s.id
+            WHERE s.deleted_at IS NULL AND ${scope.clause}
+        `;
+        const params = [...scope.params];
+
+        if (req.query.site_id) {
+            if (!ensureSiteAccess(req, res, req.query.site_id)) {
+                return;
+            }
+            sql += " AND w.site_id = ?";
+            params.push(req.query.site_id);
+        }
+
+        const configurations = await db.fetchAll(`${sql} ORDER BY w.site_id, w.for_room, w.id`, params);
+        sendExport(res, 'wifi', WIFI_IMPORT_COLUMNS, configurations, format);
+    } catch (error) {
+        console.error('Export WiFi error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/wifi/import - Create or update room Wi-Fi configurations from a CSV or JSON file (?dry_run=true to preview)
+// A row updates the configuration with the same site_id and for_room, if there is one.
+router.post('/import', async (req, res) => {
+    try {
+        const input = readImportRows(req, WIFI_IMPORT_COLUMNS);
+        if (input.error) {
+            return res.status(input.status).json({ error: input.error });
+        }
+
+        const plan = await planImport(req, input.rows, {
+            validators: validateWifi,
+            keyName: 'for_room',
+            keyOf: data => `${parseInt(data.site_id)}:${data.for_room.toLowerCase()}`,
+            findExisting: async (keys) => {
+                const siteIds = [...new Set(keys.map(key => parseInt(key)))];
+                const configurations = await db.fetchAll(`
+                    SELECT id, site_id, for_room FROM site_wifi
+                    WHERE site_id IN (${siteIds.map(() => '?').join(', ')})
+                `, siteIds);
+                return new Map(configurations.map(wifi => [`${wifi.site_id}:${wifi.for_room.toLowerCase()}`, wifi]));
+            }
+        });
+
+        const dryRun = req.query.dry_run === 'true';
+        const report = importReport(plan, dryRun);
+        if (dryRun || !report.success) {
+            return res.status(dryRun ? 200 : 400).json(report);
+        }
+
+        // Unknown or missing profiles fall back to the default profile, as for single configurations
+        const profileIds = (await db.fetchAll("SELECT id FROM site_profile")).map(profile => profile.id);
+        const needsDefault = plan.some(item => !profileIds.includes(parseInt(item.data.profile_id)));
+        const defaultProfileId = needsDefault ? await ensureDefaultProfile() : null;
+
+        await db.transaction(async (tx) => {
+            for (const item of plan) {
+                const data = item.data;
+                const enabled = data.enabled !== undefined ? (['true', '1'].includes(String(data.enabled)) ? 1 : 0) : 1;
+                const values = [
+                    data.site_id, profileIds.includes(parseInt(data.profile_id)) ? data.profile_id : defaultProfileId,
+                    data.ssid, data.password, data.policy_mode, data.for_room, data.security || 'WPA2',
+                    enabled, data.ap_group_id || null, data.wifi_band || 'both'
+                ];
+
+                if (item.action === 'update') {
+                    await tx.execute(`
+                        UPDATE site_wifi SET
+                            site_id = ?, profile_id = ?, ssid = ?, password = ?, policy_mode = ?,
+                            for_room = ?, security = ?, enabled = ?, ap_group_id = ?, wifi_band = ?,
+                            version = version + 1
+                        WHERE id = ?
+                    `, [...values, item.id]);
+                } else {
+                    const result = await tx.execute(`
+                        INSERT INTO site_wifi
+                            (site_id, profile_id, ssid, password, policy_mode, for_room, security, enabled, ap_group_id, wifi_band)
+                        VALUES
+                            (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `, values);
+                    item.id = result.last_insert_id;
+                }
+            }
+        });
+
+        const imported = importReport(plan, false);
+        recordAudit(req, {
+            action: 'import', entity_type: 'wifi', entity_id: null,
+            metadata: { ...imported.summary, wifi_ids: plan.map(item => item.id) }
+        });
+
+        res.json(imported);
+    } catch (error) {
+        console.error('Import WiFi error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // GET /api/wifi/:id - Get WiFi by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireWifiAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const wifi = await db.fetchOne("SELECT * FROM site_wifi WHERE id = ?", [id]);
@@ -62,6 +269,7 @@ router.get('/:id', async (req, res) => {
             return res.status(404).json({ error: 'WiFi configuration not found' });
         }
         
+        setETag(res, wifi);
         res.json({ success: true, data: wifi });
     } catch (error) {
         console.error('Get WiFi by ID error:', error);
@@ -70,18 +278,20 @@ router.get('/:id', async (req, res) => {
 });
 
 // GET /api/wifi/by-room/:siteId/:room - Get WiFi by room
-router.get('/by-room/:siteId/:room', async (req, res) => {
+router.get('/by-room/:siteId/:room', requireSiteParam('siteId'), async (req, res) => {
     try {
         const { siteId, room } = req.params;
         const wifi = await db.fetchOne(`
-            SELECT * FROM site_wifi 
-            WHERE site_id = ? AND for_room = ?
+            SELECT w.* FROM site_wifi w
+            JOIN sites s ON w.site_id = s.id
+            WHERE w.site_id = ? AND w.for_room = ? AND s.deleted_at IS NULL
         `, [siteId, room]);
         
         if (!wifi) {
             return res.status(404).json({ error: 'WiFi configuration not found for this room' });
         }
         
+        setETag(res, wifi);
         res.json({ success: true, data: wifi });
     } catch (error) {
         console.error('Get WiFi by room error:', error);
@@ -90,16 +300,20 @@ router.get('/by-room/:siteId/:room', async (req, res) => {
 });
 
 // GET /api/wifi/by-site/:siteId - Get all WiFi for site
-router.get('/by-site/:siteId', async (req, res) => {
+router.get('/by-site/:siteId', requireSiteParam('siteId'), validatePagination, async (req, res) => {
     try {
+        const page = readPage(req, res, 'id', WIFI_LIST);
+        if (!page) {
+            return;
+        }
+
         const { siteId } = req.params;
-        const wifiConfigs = await db.fetchAll(`
-            SELECT * FROM site_wifi 
-            WHERE site_id = ? 
-            ORDER BY id ASC
-        `, [siteId]);
-        
-        res.json({ success: true, data: wifiConfigs });
+        const result = await db.paginate(`
+            SELECT w.* FROM site_wifi w
+            JOIN sites s ON w.site_id = s.id
+            WHERE w.site_id = ? AND s.deleted_at IS NULL
+        `, [siteId], page);
+        sendPage(res, page, result);
     } catch (error) {
         console.error('Get WiFi by site error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -115,6 +329,14 @@ router.post('/', validateWifi, async (req, res) => {
         }
 
         const data = req.body;
+
+        if (!ensureSiteAccess(req, res, data.site_id) || !await ensureActiveSite(res, data.site_id)) {
+            return;
+        }
+
+        if (!await ensureRoomAvailable(res, data.site_id, data.for_room)) {
+            return;
+        }
         
         // Ensure default profile exists
         let profileId = data.profile_id;
@@ -139,6 +361,10 @@ router.post('/', validateWifi, async (req, res) => {
         ]);
 
         const newWifi = await db.fetchOne("SELECT * FROM site_wifi WHERE id = ?", [result.last_insert_id]);
+
+        recordAudit(req, {
+            action: 'create', entity_type: 'wifi', entity_id: newWifi.id, site_id: newWifi.site_id, after: newWifi
+        });
         
         res.status(201).json({ success: true, data: newWifi });
     } catch (error) {
@@ -148,7 +374,7 @@ router.post('/', validateWifi, async (req, res) => {
 });
 
 // PUT /api/wifi/:id - Update WiFi configuration
-router.put('/:id', validateWifi, async (req, res) => {
+router.put('/:id', requireWifiAccess, validateWifi, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -158,10 +384,18 @@ router.put('/:id', validateWifi, async (req, res) => {
         const { id } = req.params;
         const data = req.body;
 
-        // Check if WiFi exists
-        const existingWifi = await db.fetchOne("SELECT id FROM site_wifi WHERE id = ?", [id]);
-        if (!existingWifi) {
-            return res.status(404).json({ error: 'WiFi configuration not found' });
+        // Moving a configuration requires access to the target site as well
+        if (!ensureSiteAccess(req, res, data.site_id) || !await ensureActiveSite(res, data.site_id)) {
+            return;
+        }
+
+        const existingWifi = await db.fetchOne("SELECT * FROM site_wifi WHERE id = ?", [id]);
+        if (!checkIfMatch(req, res, existingWifi)) {
+            return;
+        }
+
+        if (!await ensureRoomAvailable(res, data.site_id, data.for_room, id)) {
+            return;
         }
 
         // Ensure default profile exists
@@ -175,19 +409,30 @@ router.put('/:id', validateWifi, async (req, res) => {
             }
         }
 
-        await db.execute(`
+        // Only the version read above is updated, so a concurrent write is never overwritten
+        const result = await db.execute(`
             UPDATE site_wifi SET
                 site_id = ?, profile_id = ?, ssid = ?, password = ?, policy_mode = ?,
-                for_room = ?, security = ?, enabled = ?, ap_group_id = ?, wifi_band = ?
-            WHERE id = ?
+                for_room = ?, security = ?, enabled = ?, ap_group_id = ?, wifi_band = ?,
+                version = version + 1
+            WHERE id = ? AND version = ?
         `, [
             data.site_id, profileId, data.ssid, data.password, data.policy_mode,
             data.for_room, data.security || 'WPA2', data.enabled !== undefined ? (data.enabled ? 1 : 0) : 1,
-            data.ap_group_id || null, data.wifi_band || 'both', id
+            data.ap_group_id || null, data.wifi_band || 'both', id, existingWifi.version
         ]);
+        if (result.affected_rows === 0) {
+            return sendPreconditionFailed(res, await db.fetchOne("SELECT id, version FROM site_wifi WHERE id = ?", [id]));
+        }
 
         const updatedWifi = await db.fetchOne("SELECT * FROM site_wifi WHERE id = ?", [id]);
+
+        recordAudit(req, {
+            action: 'update', entity_type: 'wifi', entity_id: id, site_id: updatedWifi.site_id,
+            before: existingWifi, after: updatedWifi
+        });
         
+        setETag(res, updatedWifi);
         res.json({ success: true, data: updatedWifi });
     } catch (error) {
         console.error('Update WiFi error:', error);
@@ -195,33 +440,86 @@ router.put('/:id', validateWifi, async (req, res) => {
     }
 });
 
-// DELETE /api/wifi/:id - Delete WiFi configuration
-router.delete('/:id', async (req, res) => {
+// PATCH /api/wifi/:id - Update only the fields sent (JSON Merge Patch), honouring If-Match
+router.patch('/:id', requireWifiAccess, acceptMergePatch(WIFI_PATCH), validateWifiPatch, async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         const { id } = req.params;
+        const data = req.body;
 
-        // Check if WiFi exists
-        const existingWifi = await db.fetchOne("SELECT id FROM site_wifi WHERE id = ?", [id]);
-        if (!existingWifi) {
-            return res.status(404).json({ error: 'WiFi configuration not found' });
+        // Moving a configuration requires access to the target site as well
+        if (data.site_id !== undefined && (!ensureSiteAccess(req, res, data.site_id) || !await ensureActiveSite(res, data.site_id))) {
+            return;
         }
 
-        await db.execute("DELETE FROM site_wifi WHERE id = ?", [id]);
+        if (data.profile_id) {
+            const profile = await db.fetchOne("SELECT id FROM site_profile WHERE id = ?", [data.profile_id]);
+            if (!profile) {
+                return res.status(400).json({ error: 'WiFi profile not found' });
+            }
+        }
 
-        res.json({ success: true, message: 'WiFi configuration deleted successfully' });
+        const existingWifi = await db.fetchOne("SELECT * FROM site_wifi WHERE id = ?", [id]);
+        if (!checkIfMatch(req, res, existingWifi)) {
+            return;
+        }
+
+        if ((data.site_id !== undefined || data.for_room !== undefined) && !await ensureRoomAvailable(
+            res,
+            data.site_id !== undefined ? data.site_id : existingWifi.site_id,
+            data.for_room !== undefined ? data.for_room : existingWifi.for_room,
+            id
+        )) {
+            return;
+        }
+
+        const patch = patchAssignments(data, WIFI_PATCH);
+        if (patch.fields.length > 0) {
+            // Only the version read above is updated, so a concurrent write is never overwritten
+            const result = await db.execute(`
+                UPDATE site_wifi SET ${patch.assignments}, version = version + 1
+                WHERE id = ? AND version = ?
+            `, [...patch.params, id, existingWifi.version]);
+            if (result.affected_rows === 0) {
+                return sendPreconditionFailed(res, await db.fetchOne("SELECT id, version FROM site_wifi WHERE id = ?", [id]));
+            }
+        }
+
+        const updatedWifi = await db.fetchOne("SELECT * FROM site_wifi WHERE id = ?", [id]);
+
+        if (patch.fields.length > 0) {
+            recordAudit(req, {
+                action: 'update', entity_type: 'wifi', entity_id: id, site_id: updatedWifi.site_id,
+                before: existingWifi, after: updatedWifi
+            });
+        }
+
+        setETag(res, updatedWifi);
+        res.json({ success: true, data: updatedWifi });
     } catch (error) {
-        console.error('Delete WiFi error:', error);
+        console.error('Patch WiFi error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// GET /api/wifi/profiles - Get all WiFi profiles
-router.get('/profiles', async (req, res) => {
+// DELETE /api/wifi/:id - Delete WiFi configuration
+router.delete('/:id', requireWifiAccess, async (req, res) => {
     try {
-        const profiles = await db.fetchAll("SELECT * FROM site_profile ORDER BY name ASC");
-        res.json({ success: true, data: profiles });
+        const { id } = req.params;
+
+        const wifi = await db.fetchOne("SELECT * FROM site_wifi WHERE id = ?", [id]);
+
+        await db.execute("DELETE FROM site_wifi WHERE id = ?", [id]);
+
+        recordAudit(req, { action: 'delete', entity_type: 'wifi', entity_id: id, site_id: wifi.site_id, before: wifi });
+
+        res.json({ success: true, message: 'WiFi configuration deleted successfully' });
     } catch (error) {
-        console.error('Get WiFi profiles error:', error);
+        console.error('Delete WiFi error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -237,6 +535,8 @@ router.post('/profiles', async (req, res) => {
         `, [name, ssid_template, password_rule, security, JSON.stringify(settings || {})]);
 
         const newProfile = await db.fetchOne("SELECT * FROM site_profile WHERE id = ?", [result.last_insert_id]);
+
+        recordAudit(req, { action: 'create', entity_type: 'wifi_profile', entity_id: newProfile.id, after: newProfile });
         
         res.status(201).json({ success: true, data: newProfile });
     } catch (error) {
@@ -251,6 +551,8 @@ router.put('/profiles/:id', async (req, res) => {
         const { id } = req.params;
         const { name, ssid_template, password_rule, security, settings } = req.body;
 
+        const existingProfile = await db.fetchOne("SELECT * FROM site_profile WHERE id = ?", [id]);
+
         await db.execute(`
             UPDATE site_profile 
             SET name = ?, ssid_template = ?, password_rule = ?, security = ?, settings = ?
@@ -258,6 +560,11 @@ router.put('/profiles/:id', async (req, res) => {
         `, [name, ssid_template, password_rule, security, JSON.stringify(settings || {}), id]);
 
         const updatedProfile = await db.fetchOne("SELECT * FROM site_profile WHERE id = ?", [id]);
+
+        recordAudit(req, {
+            action: 'update', entity_type: 'wifi_profile', entity_id: id,
+            before: existingProfile, after: updatedProfile
+        });
         
         res.json({ success: true, data: updatedProfile });
     } catch (error) {
@@ -271,8 +578,14 @@ router.delete('/profiles/:id', async (req, res) => {
     try {
         const { id } = req.params;
 
+        const profile = await db.fetchOne("SELECT * FROM site_profile WHERE id = ?", [id]);
+
         await db.execute("DELETE FROM site_profile WHERE id = ?", [id]);
 
+        if (profile) {
+            recordAudit(req, { action: 'delete', entity_type: 'wifi_profile', entity_id: id, before: profile });
+        }
+
         res.json({ success: true, message: 'WiFi profile deleted successfully' });
     } catch (error) {
         console.error('Delete WiFi profile error:', error);
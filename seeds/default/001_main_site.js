@@ -0,0 +1,32 @@
+// Default site created by POST /api/sites/ensure-default on an empty database
+
+const MAIN_SITE = {
+    name: 'MainBranch',
+    address: '123 Main St, City',
+    phone: '0123456789',
+    email: 'hotel@example.com',
+    manager_name: 'Manager Name',
+    timezone: 'Asia/Bangkok',
+    checkin_time: '14:00:00',
+    checkout_time: '12:00:00',
+    currency: 'THB',
+    num_rooms: 50,
+    default_price: 1200.00,
+    enable_alert: 1
+};
+
+async function seed(db) {
+    const existing = await db.fetchOne("SELECT id FROM sites WHERE name = ?", [MAIN_SITE.name]);
+    if (existing) {
+        return { site_id: existing.id, created: false };
+    }
+
+    const columns = Object.keys(MAIN_SITE);
+    const result = await db.execute(
+        `INSERT INTO sites (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        Object.values(MAIN_SITE)
+    );
+    return { site_id: result.last_insert_id, created: true };
+}
+
+module.exports = { MAIN_SITE, seed };
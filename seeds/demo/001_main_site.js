@@ -0,0 +1,2 @@
+// The demo hotel is the default site with rooms, devices and a product catalog
+module.exports = require('../default/001_main_site');
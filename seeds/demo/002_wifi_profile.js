@@ -0,0 +1,30 @@
+// Wi-Fi profile and guest network of the demo hotel
+
+async function seed(db) {
+    const site = await db.fetchOne("SELECT id FROM sites WHERE name = 'MainBranch'");
+
+    let profile = await db.fetchOne("SELECT id FROM site_profile WHERE name = 'Default Profile'");
+    if (!profile) {
+        const result = await db.execute(`
+            INSERT INTO site_profile (name, ssid_template, password_rule, security, settings)
+            VALUES ('Default Profile', 'Room-{{room}}', 'fixed', 'WPA2', '{}')
+        `);
+        profile = { id: result.last_insert_id };
+    }
+
+    const wifi = await db.fetchOne(
+        "SELECT id FROM site_wifi WHERE site_id = ? AND for_room = 'all'",
+        [site.id]
+    );
+    if (!wifi) {
+        await db.execute(`
+            INSERT INTO site_wifi
+                (site_id, profile_id, ssid, password, policy_mode, for_room, security, enabled, ap_group_id, wifi_band)
+            VALUES (?, ?, 'MainBranch-Guest', 'welcome123', 'fixed', 'all', 'WPA2', 1, NULL, 'both')
+        `, [site.id, profile.id]);
+    }
+
+    return { profile_id: profile.id, wifi_created: !wifi };
+}
+
+module.exports = { seed };
@@ -0,0 +1,28 @@
+// One in-room tablet for each of the first demo rooms
+
+const ROOMS = ['101', '102', '103', '201', '202'];
+
+async function seed(db) {
+    const site = await db.fetchOne("SELECT id FROM sites WHERE name = 'MainBranch'");
+    let created = 0;
+
+    for (const room of ROOMS) {
+        const existing = await db.fetchOne(
+            "SELECT id FROM devices WHERE site_id = ? AND room = ?",
+            [site.id, room]
+        );
+        if (existing) {
+            continue;
+        }
+
+        await db.execute(`
+            INSERT INTO devices (name, site_id, room, status, created_at)
+            VALUES (?, ?, ?, 'offline', NOW())
+        `, [`Room ${room} Tablet`, site.id, room]);
+        created++;
+    }
+
+    return { created };
+}
+
+module.exports = { seed };
@@ -0,0 +1,53 @@
+// Small room service catalog
+
+const CATALOG = {
+    'Food & Drinks': [
+        { name: 'Club Sandwich', price: 180, unit: 'plate' },
+        { name: 'Mineral Water', price: 30, unit: 'bottle' }
+    ],
+    'Services': [
+        { name: 'Laundry (per kg)', price: 120, unit: 'kg', is_service: 1 },
+        { name: 'Airport Transfer', price: 900, unit: 'trip', is_service: 1 }
+    ]
+};
+
+async function seed(db) {
+    const site = await db.fetchOne("SELECT id FROM sites WHERE name = 'MainBranch'");
+    let created = 0;
+
+    for (const [categoryName, products] of Object.entries(CATALOG)) {
+        let category = await db.fetchOne(
+            "SELECT id FROM product_category WHERE site_id = ? AND name = ?",
+            [site.id, categoryName]
+        );
+        if (!category) {
+            const result = await db.execute(`
+                INSERT INTO product_category (site_id, name, type, active)
+                VALUES (?, ?, ?, 1)
+            `, [site.id, categoryName, products.some(p => p.is_service) ? 'SERVICE' : 'FOOD']);
+            category = { id: result.last_insert_id };
+        }
+
+        for (const product of products) {
+            const existing = await db.fetchOne(
+                "SELECT id FROM product WHERE site_id = ? AND name = ?",
+                [site.id, product.name]
+            );
+            if (existing) {
+                continue;
+            }
+
+            await db.execute(`
+                INSERT INTO product
+                    (site_id, product_category_id, name, description, price, unit, image_url, track_stock, is_service, require_serial, active)
+                VALUES
+                    (?, ?, ?, NULL, ?, ?, NULL, 0, ?, 0, 1)
+            `, [site.id, category.id, product.name, product.price, product.unit, product.is_service || 0]);
+            created++;
+        }
+    }
+
+    return { created };
+}
+
+module.exports = { seed };
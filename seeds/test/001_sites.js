@@ -0,0 +1,25 @@
+// Two sites so tests can check site scoping
+
+const TEST_SITES = ['Test Hotel A', 'Test Hotel B'];
+
+async function seed(db) {
+    const siteIds = [];
+
+    for (const name of TEST_SITES) {
+        const existing = await db.fetchOne("SELECT id FROM sites WHERE name = ?", [name]);
+        if (existing) {
+            siteIds.push(existing.id);
+            continue;
+        }
+
+        const result = await db.execute(`
+            INSERT INTO sites (name, timezone, checkin_time, checkout_time, currency, num_rooms, default_price, enable_alert)
+            VALUES (?, 'Asia/Bangkok', '14:00:00', '12:00:00', 'THB', 10, 1000.00, 0)
+        `, [name]);
+        siteIds.push(result.last_insert_id);
+    }
+
+    return { site_ids: siteIds };
+}
+
+module.exports = { TEST_SITES, seed };
@@ -0,0 +1,41 @@
+// A super administrator and a front desk admin limited to Test Hotel A
+// Both use TEST_ADMIN_PASSWORD (default 'test-password').
+
+const bcrypt = require('bcryptjs');
+
+const PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'test-password';
+
+const TEST_ADMINS = [
+    { email: 'super@test.keos.local', name: 'Test Super Admin', role: 'Super Administrator', sites: ['Test Hotel A', 'Test Hotel B'] },
+    { email: 'frontdesk@test.keos.local', name: 'Test Front Desk', role: 'Front Desk', sites: ['Test Hotel A'] }
+];
+
+async function seed(db) {
+    const hash = await bcrypt.hash(PASSWORD, 10);
+    let created = 0;
+
+    for (const fixture of TEST_ADMINS) {
+        let admin = await db.fetchOne("SELECT id FROM admins WHERE email = ?", [fixture.email]);
+        if (!admin) {
+            const result = await db.execute(
+                "INSERT INTO admins (name, email, password_hash, verified) VALUES (?, ?, ?, 1)",
+                [fixture.name, fixture.email, hash]
+            );
+            admin = { id: result.last_insert_id };
+            created++;
+        }
+
+        const role = await db.fetchOne("SELECT id, name FROM role WHERE name = ?", [fixture.role]);
+        for (const siteName of fixture.sites) {
+            const site = await db.fetchOne("SELECT id FROM sites WHERE name = ?", [siteName]);
+            await db.execute(`
+                INSERT IGNORE INTO admin_site (admin_id, site_id, role, role_id, allow_devices_adoption)
+                VALUES (?, ?, ?, ?, 0)
+            `, [admin.id, site.id, fixture.role, role ? role.id : null]);
+        }
+    }
+
+    return { created };
+}
+
+module.exports = { TEST_ADMINS, seed };
@@ -0,0 +1,23 @@
+// One device per test site
+
+async function seed(db) {
+    let created = 0;
+
+    for (const siteName of ['Test Hotel A', 'Test Hotel B']) {
+        const site = await db.fetchOne("SELECT id FROM sites WHERE name = ?", [siteName]);
+        const existing = await db.fetchOne("SELECT id FROM devices WHERE site_id = ? AND room = '101'", [site.id]);
+        if (existing) {
+            continue;
+        }
+
+        await db.execute(`
+            INSERT INTO devices (name, site_id, room, mac_address, status, created_at)
+            VALUES (?, ?, '101', ?, 'offline', NOW())
+        `, [`${siteName} Room 101`, site.id, `02:00:00:00:00:0${site.id % 10}`]);
+        created++;
+    }
+
+    return { created };
+}
+
+module.exports = { seed };
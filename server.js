@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -9,6 +10,15 @@ const { body, validationResult } = require('express-validator');
 const db = require('./config/database');
 const mongodb = require('./config/mongodb');
 
+// Import authentication middleware
+const { authenticate, acceptQueryToken, authorize } = require('./middleware/auth');
+
+// Import background jobs
+const { startPurgeJob } = require('./services/purge');
+const { startMqttIngestion } = require('./services/mqtt-ingest');
+const { startDeviceCommands } = require('./services/device-commands');
+const { startHeartbeatMonitor } = require('./services/heartbeat-monitor');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const siteRoutes = require('./routes/sites');
@@ -19,6 +29,9 @@ const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const mqttRoutes = require('./routes/mqtt');
 const logsRoutes = require('./routes/logs');
+const apiKeyRoutes = require('./routes/api-keys');
+const roleRoutes = require('./routes/roles');
+const eventRoutes = require('./routes/events');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -50,9 +63,12 @@ app.use(cors({
         'Accept',
         'Authorization',
         'X-Admin-ID',
-        'X-API-Key'
+        'X-API-Key',
+        'If-Match',
+        'If-None-Match',
+        'Last-Event-ID'
     ],
-    exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
+    exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'ETag'],
     maxAge: 86400 // 24 hours
 }));
 
@@ -72,7 +88,8 @@ app.use((req, res, next) => {
     }
     
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Admin-ID, X-API-Key');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Admin-ID, X-API-Key, Last-Event-ID, If-Match, If-None-Match');
+    res.header('Access-Control-Expose-Headers', 'X-Total-Count, X-Page-Count, ETag');
     res.header('Access-Control-Allow-Credentials', 'true');
     res.header('Access-Control-Max-Age', '86400');
     
@@ -92,24 +109,37 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.text({ type: 'text/csv', limit: '10mb' }));
+
+// Access tokens sent in the query string (event streams) are kept out of the logs
+function redactUrl(url) {
+    return url.replace(/([?&]access_token=)[^&]*/g, '$1[REDACTED]');
+}
 
 // Logging middleware
+morgan.token('url', req => redactUrl(req.originalUrl || req.url));
 app.use(morgan('combined'));
 
 // Debug middleware to log all requests
 app.use((req, res, next) => {
-    console.log(`🔍 Request: ${req.method} ${req.url} from ${req.ip} (${req.headers['user-agent'] || 'No User-Agent'})`);
+    console.log(`🔍 Request: ${req.method} ${redactUrl(req.url)} from ${req.ip} (${req.headers['user-agent'] || 'No User-Agent'})`);
     next();
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+    // A ping also brings the status back to connected once the database is reachable again
+    const mariadbUp = await db.ping().catch(() => false);
+    // The endpoint is public, so the last database error (user and host names) stays in the server log
+    const { last_error, ...pool } = db.getPoolStats();
+
     res.json({ 
         status: 'OK', 
         timestamp: new Date().toISOString(),
-        mariadb: db.isConnected() ? 'connected' : 'disconnected',
+        mariadb: mariadbUp ? 'connected' : 'disconnected',
+        mariadb_pool: pool,
         mongodb: mongodb.isMongoDBConnected() ? 'connected' : 'disconnected'
     });
 });
@@ -130,16 +160,19 @@ app.get('/cors-test', (req, res) => {
     });
 });
 
-// API routes
+// API routes (everything except /api/auth requires a token or API key and the permission mapped in config/permissions.js)
 app.use('/api/auth', authRoutes);
-app.use('/api/sites', siteRoutes);
-app.use('/api/devices', deviceRoutes);
-app.use('/api/admins', adminRoutes);
-app.use('/api/wifi', wifiRoutes);
-app.use('/api/products', productRoutes);
-app.use('/api/orders', orderRoutes);
-app.use('/api/mqtt', mqttRoutes);
-app.use('/api/logs', logsRoutes);
+app.use('/api/sites', authenticate, authorize('sites'), siteRoutes);
+app.use('/api/devices', authenticate, authorize('devices'), deviceRoutes);
+app.use('/api/admins', authenticate, authorize('admins'), adminRoutes);
+app.use('/api/wifi', authenticate, authorize('wifi'), wifiRoutes);
+app.use('/api/products', authenticate, authorize('products'), productRoutes);
+app.use('/api/orders', authenticate, authorize('orders'), orderRoutes);
+app.use('/api/mqtt', authenticate, authorize('mqtt'), mqttRoutes);
+app.use('/api/logs', authenticate, authorize('logs'), logsRoutes);
+app.use('/api/api-keys', authenticate, authorize('apiKeys'), apiKeyRoutes);
+app.use('/api/roles', authenticate, authorize('roles'), roleRoutes);
+app.use('/api/events', acceptQueryToken, authenticate, authorize('events'), eventRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -156,7 +189,7 @@ app.use('*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', async () => {
+const server = app.listen(PORT, '0.0.0.0', async () => {
     console.log(`🚀 Keos API Server running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
     
@@ -167,6 +200,28 @@ app.listen(PORT, '0.0.0.0', async () => {
     } catch (error) {
         console.log('⚠️ MongoDB connection failed - system will run in degraded mode');
     }
+
+    // Permanently remove soft-deleted rows past their retention period
+    startPurgeJob();
+
+    // Store device status messages published over MQTT
+    startMqttIngestion();
+
+    // Track replies to device commands and time out unanswered ones
+    startDeviceCommands();
+
+    // Report devices whose heartbeat stopped on the event stream
+    startHeartbeatMonitor();
+});
+
+// WebSocket upgrades (GET /api/events/ws) go through the app like any other request, so they are
+// authenticated and authorized the same way; a refused upgrade gets a plain HTTP response
+server.on('upgrade', (req, socket, head) => {
+    const res = new http.ServerResponse(req);
+    res.assignSocket(socket);
+    res.on('finish', () => socket.end());
+    req.upgradeHead = head;
+    app(req, res);
 });
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const mailer = require('./mailer');
+const { JWT_CONFIG } = require('./tokens');
+
+// Invitation and password reset configuration
+const ACCOUNT_TOKEN_CONFIG = {
+    portalUrl: (process.env.PORTAL_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+    inviteTtlHours: parseInt(process.env.INVITE_TOKEN_TTL_HOURS || '72'),
+    resetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60')
+};
+
+const TOKEN_PURPOSES = {
+    INVITE: 'invite',
+    PASSWORD_RESET: 'password_reset'
+};
+
+/**
+ * Issue a signed, expiring, single-use account token
+ * Earlier unused tokens of the same purpose are revoked.
+ * @param {number} adminId - Admin the token is for
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @param {number|null} createdBy - Admin who requested it, if any
+ * @returns {Promise<string>} Signed token
+ */
+async function issueToken(adminId, purpose, ttlSeconds, createdBy = null) {
+    const tokenId = crypto.randomUUID();
+
+    await db.execute(`
+        UPDATE admin_account_token SET revoked_at = NOW()
+        WHERE admin_id = ? AND purpose = ? AND used_at IS NULL AND revoked_at IS NULL
+    `, [adminId, purpose]);
+
+    await db.execute(`
+        INSERT INTO admin_account_token (id, admin_id, purpose, created_by, expires_at)
+        VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+    `, [tokenId, adminId, purpose, createdBy, ttlSeconds]);
+
+    return jwt.sign(
+        { sub: String(adminId), type: 'account', purpose },
+        JWT_CONFIG.secret,
+        { expiresIn: ttlSeconds, issuer: JWT_CONFIG.issuer, jwtid: tokenId }
+    );
+}
+
+/**
+ * Verify an account token without consuming it
+ * @param {string} token - Signed token
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} { adminId, tokenId } or null if invalid, used or expired
+ */
+async function verifyToken(token, purpose) {
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_CONFIG.secret, { issuer: JWT_CONFIG.issuer });
+    } catch (error) {
+        return null;
+    }
+
+    if (payload.type !== 'account' || payload.purpose !== purpose || !payload.jti) {
+        return null;
+    }
+
+    const row = await db.fetchOne(`
+        SELECT t.id, t.admin_id FROM admin_account_token t
+        JOIN admins a ON a.id = t.admin_id AND a.deleted_at IS NULL
+        WHERE t.id = ? AND t.admin_id = ? AND t.purpose = ?
+          AND t.used_at IS NULL AND t.revoked_at IS NULL AND t.expires_at > NOW()
+        LIMIT 1
+    `, [payload.jti, payload.sub, purpose]);
+
+    return row ? { adminId: row.admin_id, tokenId: row.id } : null;
+}
+
+/**
+ * Verify and consume an account token (single use)
+ * @param {string} token - Signed token
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<number|null>} Admin ID, or null if the token is invalid or already used
+ */
+async function consumeToken(token, purpose) {
+    const verified = await verifyToken(token, purpose);
+    if (!verified) {
+        return null;
+    }
+
+    // Only one concurrent redemption can win
+    const result = await db.execute(`
+        UPDATE admin_account_token SET used_at = NOW()
+        WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+    `, [verified.tokenId]);
+
+    return result.affected_rows > 0 ? verified.adminId : null;
+}
+
+/**
+ * Whether a token of a purpose was issued to an admin within the last seconds
+ * @param {number} adminId - Admin ID
+ * @param {string} purpose - Token purpose
+ * @param {number} seconds - Look-back window
+ * @returns {Promise<boolean>} Whether a recent token exists
+ */
+async function hasRecentToken(adminId, purpose, seconds) {
+    const row = await db.fetchOne(`
+        SELECT id FROM admin_account_token
+        WHERE admin_id = ? AND purpose = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
+        LIMIT 1
+    `, [adminId, purpose, seconds]);
+    return Boolean(row);
+}
+
+/**
+ * Email an invitation to set a password and activate the account
+ * @param {Object} admin - Admin (id, email, name)
+ * @param {Object|null} invitedBy - Inviting admin (id, name)
+ */
+async function sendInvitation(admin, invitedBy = null) {
+    const ttlSeconds = ACCOUNT_TOKEN_CONFIG.inviteTtlHours * 3600;
+    const token = await issueToken(admin.id, TOKEN_PURPOSES.INVITE, ttlSeconds, invitedBy ? invitedBy.id : null);
+    const link = `${ACCOUNT_TOKEN_CONFIG.portalUrl}/accept-invite?token=${encodeURIComponent(token)}`;
+
+    await mailer.sendMail({
+        to: admin.email,
+        subject: 'You have been invited to the KEOS portal',
+        text: [
+            `Hello ${admin.name},`,
+            '',
+            `${invitedBy ? invitedBy.name : 'An administrator'} invited you to the KEOS portal.`,
+            `Set your password here (valid for ${ACCOUNT_TOKEN_CONFIG.inviteTtlHours} hours):`,
+            link
+        ].join('\n')
+    });
+}
+
+/**
+ * Email a password reset link
+ * @param {Object} admin - Admin (id, email, name)
+ */
+async function sendPasswordReset(admin) {
+    const ttlSeconds = ACCOUNT_TOKEN_CONFIG.resetTtlMinutes * 60;
+    const token = await issueToken(admin.id, TOKEN_PURPOSES.PASSWORD_RESET, ttlSeconds);
+    const link = `${ACCOUNT_TOKEN_CONFIG.portalUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await mailer.sendMail({
+        to: admin.email,
+        subject: 'Reset your KEOS portal password',
+        text: [
+            `Hello ${admin.name},`,
+            '',
+            `Reset your password here (valid for ${ACCOUNT_TOKEN_CONFIG.resetTtlMinutes} minutes):`,
+            link,
+            '',
+            'If you did not request a password reset you can ignore this email.'
+        ].join('\n')
+    });
+}
+
+module.exports = {
+    ACCOUNT_TOKEN_CONFIG,
+    TOKEN_PURPOSES,
+    issueToken,
+    verifyToken,
+    consumeToken,
+    hasRecentToken,
+    sendInvitation,
+    sendPasswordReset
+};
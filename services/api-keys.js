@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+
+// API keys look like "keos_<prefix>_<secret>"; the prefix is stored in clear for lookup,
+// the secret only as a bcrypt hash.
+const KEY_PATTERN = /^keos_([0-9a-f]{12})_([A-Za-z0-9_-]{32})$/;
+
+// Verified keys are cached briefly to avoid a bcrypt compare on every device request
+const CACHE_TTL_MS = 60 * 1000;
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const verifiedCache = new Map();
+const lastUsedWrites = new Map();
+
+/**
+ * Generate a new plain API key
+ * @returns {Object} { key, prefix, secret }
+ */
+function generateApiKey() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    return { key: `keos_${prefix}_${secret}`, prefix, secret };
+}
+
+/**
+ * Parse the allowed_endpoints column
+ * @param {string} value - JSON array
+ * @returns {Array<string>} Endpoint patterns
+ */
+function parseEndpoints(value) {
+    try {
+        const endpoints = JSON.parse(value || '[]');
+        return Array.isArray(endpoints) ? endpoints : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Shape an api_key row for API responses (never exposes the hash)
+ * @param {Object} row - api_key row
+ * @returns {Object} Public representation
+ */
+function toPublicKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        key_prefix: row.key_prefix,
+        site_id: row.site_id,
+        allowed_endpoints: parseEndpoints(row.allowed_endpoints),
+        created_by: row.created_by,
+        created_at: row.created_at,
+        rotated_at: row.rotated_at,
+        expires_at: row.expires_at,
+        last_used_at: row.last_used_at,
+        last_used_ip: row.last_used_ip,
+        revoked_at: row.revoked_at
+    };
+}
+
+/**
+ * Create an API key
+ * @param {Object} data - name, site_id, allowed_endpoints, expires_at, created_by
+ * @returns {Promise<Object>} Public key data plus the plain key (shown once)
+ */
+async function createApiKey(data) {
+    const generated = generateApiKey();
+    const hash = await bcrypt.hash(generated.secret, 10);
+
+    const result = await db.execute(`
+        INSERT INTO api_key (name, key_prefix, key_hash, site_id, allowed_endpoints, created_by, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        data.name, generated.prefix, hash, data.site_id,
+        JSON.stringify(data.allowed_endpoints), data.created_by || null, data.expires_at || null
+    ]);
+
+    const row = await db.fetchOne("SELECT * FROM api_key WHERE id = ?", [result.last_insert_id]);
+    return { ...toPublicKey(row), key: generated.key };
+}
+
+/**
+ * Replace the secret of an API key, invalidating the old one immediately
+ * @param {number} id - API key ID
+ * @param {Object} options - Optional new expires_at
+ * @returns {Promise<Object>} Public key data plus the new plain key
+ */
+async function rotateApiKey(id, options = {}) {
+    const generated = generateApiKey();
+    const hash = await bcrypt.hash(generated.secret, 10);
+
+    let sql = "UPDATE api_key SET key_prefix = ?, key_hash = ?, rotated_at = NOW()";
+    const params = [generated.prefix, hash];
+
+    if (options.expires_at !== undefined) {
+        sql += ", expires_at = ?";
+        params.push(options.expires_at);
+    }
+
+    sql += " WHERE id = ? AND revoked_at IS NULL";
+    params.push(id);
+
+    await db.execute(sql, params);
+    forgetKey(id);
+
+    const row = await db.fetchOne("SELECT * FROM api_key WHERE id = ?", [id]);
+    return { ...toPublicKey(row), key: generated.key };
+}
+
+/**
+ * Revoke an API key
+ * @param {number} id - API key ID
+ * @returns {Promise<boolean>} Whether the key was revoked
+ */
+async function revokeApiKey(id) {
+    const result = await db.execute(
+        "UPDATE api_key SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+        [id]
+    );
+    forgetKey(id);
+    return result.affected_rows > 0;
+}
+
+// Drop cached verifications of a key
+function forgetKey(id) {
+    for (const [hash, entry] of verifiedCache) {
+        if (entry.key.id === parseInt(id)) {
+            verifiedCache.delete(hash);
+        }
+    }
+}
+
+// Record last use, at most once per interval per key
+async function touchKey(id, ip) {
+    const now = Date.now();
+    if (now - (lastUsedWrites.get(id) || 0) < LAST_USED_INTERVAL_MS) {
+        return;
+    }
+    lastUsedWrites.set(id, now);
+
+    try {
+        await db.execute(
+            "UPDATE api_key SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?",
+            [ip || null, id]
+        );
+    } catch (error) {
+        console.error('Failed to record API key usage:', error.message);
+    }
+}
+
+/**
+ * Verify a plain API key
+ * @param {string} plainKey - Value of the X-API-Key header
+ * @param {string} ip - Caller IP for last-used tracking
+ * @returns {Promise<Object|null>} Key (id, name, site_id, allowed_endpoints) or null if invalid
+ */
+async function verifyApiKey(plainKey, ip) {
+    const match = KEY_PATTERN.exec(plainKey || '');
+    if (!match) {
+        return null;
+    }
+
+    const cacheKey = crypto.createHash('sha256').update(plainKey).digest('hex');
+    const cached = verifiedCache.get(cacheKey);
+    if (cached && cached.until > Date.now() && (!cached.key.expires_at || cached.key.expires_at > new Date())) {
+        touchKey(cached.key.id, ip);
+        return cached.key;
+    }
+    verifiedCache.delete(cacheKey);
+
+    const row = await db.fetchOne(`
+        SELECT * FROM api_key
+        WHERE key_prefix = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+        LIMIT 1
+    `, [match[1]]);
+
+    if (!row || !await bcrypt.compare(match[2], row.key_hash)) {
+        return null;
+    }
+
+    const key = {
+        id: row.id,
+        name: row.name,
+        site_id: row.site_id,
+        allowed_endpoints: parseEndpoints(row.allowed_endpoints),
+        expires_at: row.expires_at ? new Date(row.expires_at) : null
+    };
+
+    verifiedCache.set(cacheKey, { key, until: Date.now() + CACHE_TTL_MS });
+    touchKey(key.id, ip);
+
+    return key;
+}
+
+module.exports = {
+    toPublicKey,
+    createApiKey,
+    rotateApiKey,
+    revokeApiKey,
+    verifyApiKey
+};
@@ -0,0 +1,131 @@
+const mongodb = require('../config/mongodb');
+
+const AUDIT_COLLECTION = 'audit_trails';
+
+// Fields that never end up in the audit trail
+const REDACTED_FIELDS = [
+    'password', 'password_hash', 'totp_secret', 'key_hash', 'refresh_token',
+    'refresh_token_hash', 'previous_token_hash', 'token', 'secret', 'code', 'recovery_code'
+];
+const REDACTED_VALUE = '[REDACTED]';
+
+// Bookkeeping columns that change on every write and would only add noise to diffs
+const IGNORED_DIFF_FIELDS = ['updated_at'];
+
+/**
+ * Replace sensitive fields in a snapshot, recursively
+ * @param {*} value - Row, request body or payload
+ * @returns {*} Copy safe to store
+ */
+function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+        return value;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+        key,
+        REDACTED_FIELDS.includes(key.toLowerCase()) ? REDACTED_VALUE : redact(field)
+    ]));
+}
+
+// Compare two values as they would be serialized
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object|null} before - State before the change
+ * @param {Object|null} after - State after the change
+ * @returns {Object} { field: { from, to } } for every changed field
+ */
+function diff(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+        if (IGNORED_DIFF_FIELDS.includes(key)) {
+            continue;
+        }
+        const from = before ? before[key] : undefined;
+        const to = after ? after[key] : undefined;
+        if (!isSameValue(from, to)) {
+            changes[key] = { from: from ?? null, to: to ?? null };
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Describe who performed a request
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Object|null} Actor
+ */
+function getActor(req) {
+    if (req.admin) {
+        return {
+            type: 'admin',
+            id: req.admin.id,
+            email: req.admin.email,
+            name: req.admin.name,
+            session_id: req.admin.session_id || null
+        };
+    }
+    if (req.apiKey) {
+        return { type: 'api_key', id: req.apiKey.id, name: req.apiKey.name };
+    }
+    return null;
+}
+
+/**
+ * Record a mutation in the audit trail
+ * Never throws: when MongoDB is unavailable the entry is written to the console instead.
+ * @param {Object} req - Express request of the mutation
+ * @param {Object} entry - action, entity_type, entity_id, site_id, before, after, metadata
+ * @returns {Promise<boolean>} Whether the entry was stored
+ */
+async function recordAudit(req, entry) {
+    const before = entry.before || null;
+    const after = entry.after || null;
+    const actor = getActor(req);
+
+    const document = {
+        timestamp: new Date(),
+        action: entry.action,
+        entity_type: entry.entity_type,
+        entity_id: entry.entity_id !== undefined && entry.entity_id !== null ? String(entry.entity_id) : null,
+        site_id: entry.site_id !== undefined && entry.site_id !== null ? parseInt(entry.site_id) : null,
+        admin_id: actor && actor.type === 'admin' ? actor.id : null,
+        actor,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent') || null,
+        request: { method: req.method, path: req.originalUrl.split('?')[0] },
+        // Diffed before redaction so changed secrets still show up (as [REDACTED])
+        changes: redact(diff(before, after)),
+        before: redact(before),
+        after: redact(after),
+        metadata: entry.metadata ? redact(entry.metadata) : {}
+    };
+
+    try {
+        const result = await mongodb.insertDocument(AUDIT_COLLECTION, document);
+        if (result.success) {
+            return true;
+        }
+        console.warn('⚠️ Audit entry not stored in MongoDB:', JSON.stringify(document));
+    } catch (error) {
+        console.error('Audit trail error:', error.message, JSON.stringify(document));
+    }
+    return false;
+}
+
+module.exports = {
+    AUDIT_COLLECTION,
+    redact,
+    diff,
+    recordAudit
+};
@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const mqtt = require('../config/mqtt');
+const mqttTopics = require('../config/mqtt-topics');
+const { deadLetter } = require('./mqtt-ingest');
+
+// Commands are stored in device_command and published to the device's command topic with a
+// correlation ID and the topic to reply on. Devices answer on their reply topic with
+// { correlation_id, status: "acknowledged" | "succeeded" | "failed", result, error };
+// commands without a final answer before expires_at are timed out by a periodic sweep.
+// While the broker is unreachable a command stays queued in the outbound queue
+// (config/mqtt-queue.js) and becomes sent once it is replayed, unless it expired first.
+const COMMAND_CONFIG = {
+    defaultTimeoutSeconds: parseInt(process.env.DEVICE_COMMAND_TIMEOUT_SECONDS || '60'),
+    maxTimeoutSeconds: 3600,
+    // Longest a request may wait for the result (?wait=)
+    maxWaitSeconds: 30,
+    sweepIntervalMs: 5000,
+    pollIntervalMs: 500
+};
+
+// States a command may enter from each state; succeeded, failed and timed_out are final
+const COMMAND_TRANSITIONS = {
+    sent: ['queued'],
+    // A fast device may answer before the publish is confirmed, so replies are accepted while queued
+    acknowledged: ['queued', 'sent'],
+    succeeded: ['queued', 'sent', 'acknowledged'],
+    failed: ['queued', 'sent', 'acknowledged'],
+    timed_out: ['queued', 'sent', 'acknowledged']
+};
+
+const FINAL_STATUSES = ['succeeded', 'failed', 'timed_out'];
+
+// Timestamp column set when a command enters a state
+const STATUS_TIMESTAMPS = {
+    sent: 'sent_at',
+    acknowledged: 'acknowledged_at',
+    succeeded: 'completed_at',
+    failed: 'completed_at',
+    timed_out: 'completed_at'
+};
+
+// Schema of device replies
+const validateReply = [
+    body('correlation_id').isUUID(),
+    body('status').isIn(['acknowledged', 'succeeded', 'failed']),
+    body('error').optional({ values: 'null' }).isString().isLength({ max: 1000 })
+];
+
+// Parse a JSON column, keeping text that is not JSON
+function parseJson(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Command row as sent to API clients
+ * @param {Object} command - device_command row
+ * @returns {Object} Row with parameters and result parsed
+ */
+function formatCommand(command) {
+    const formatted = { ...command };
+    for (const column of ['parameters', 'result']) {
+        if (column in formatted) {
+            formatted[column] = parseJson(formatted[column]);
+        }
+    }
+    return formatted;
+}
+
+/**
+ * Move a command to another state, if its current state allows it
+ * @param {number} id - Command ID
+ * @param {string} status - New state
+ * @param {Object} fields - { result, error } to store along
+ * @returns {Promise<boolean>} Whether the command changed state
+ */
+async function transitionCommand(id, status, fields = {}) {
+    const assignments = ['status = ?', `${STATUS_TIMESTAMPS[status]} = NOW()`];
+    const params = [status];
+    if (fields.result !== undefined) {
+        assignments.push('result = ?');
+        params.push(JSON.stringify(fields.result));
+    }
+    if (fields.error !== undefined) {
+        assignments.push('error = ?');
+        params.push(fields.error);
+    }
+
+    const from = COMMAND_TRANSITIONS[status];
+    const result = await db.execute(`
+        UPDATE device_command SET ${assignments.join(', ')}
+        WHERE id = ? AND status IN (${from.map(() => '?').join(', ')})
+    `, [...params, id, ...from]);
+    return result.affected_rows > 0;
+}
+
+/**
+ * Store a command for a device and publish it
+ * A command that can neither be published nor queued fails right away with the reason.
+ * @param {Object} device - Device row (id, site_id)
+ * @param {Object} options - { command, parameters, timeout (seconds), createdBy }
+ * @returns {Promise<Object>} Stored command (formatted)
+ */
+async function sendCommand(device, { command, parameters = null, timeout = COMMAND_CONFIG.defaultTimeoutSeconds, createdBy = null }) {
+    const correlationId = crypto.randomUUID();
+    const params = { site_id: device.site_id, device_id: device.id };
+
+    const inserted = await db.execute(`
+        INSERT INTO device_command
+            (correlation_id, device_id, site_id, command, parameters, created_by, expires_at)
+        VALUES
+            (?, ?, ?, ?, ?, ?, NOW() + INTERVAL ? SECOND)
+    `, [
+        correlationId, device.id, device.site_id, command,
+        parameters === null ? null : JSON.stringify(parameters), createdBy, timeout
+    ]);
+    const id = inserted.last_insert_id;
+
+    const replyTo = mqttTopics.buildTopic('device.reply', params);
+    const message = {
+        command,
+        parameters,
+        correlation_id: correlationId,
+        reply_to: replyTo.topic || null,
+        timestamp: new Date().toISOString(),
+        source: 'keos-api'
+    };
+
+    try {
+        // A queued command expires from the outbound queue together with the command itself
+        const published = await mqttTopics.publishTo('device.command', params, message, {
+            ttl: timeout, meta: { command_id: id }
+        });
+        if (published.error) {
+            await transitionCommand(id, 'failed', { error: published.error });
+        } else if (!published.queued) {
+            await transitionCommand(id, 'sent');
+        }
+    } catch (error) {
+        await transitionCommand(id, 'failed', { error: `Could not publish: ${error.message}` });
+    }
+
+    return getCommand(id);
+}
+
+/**
+ * Load a command
+ * @param {number} id - Command ID
+ * @returns {Promise<Object|null>} Formatted command, or null
+ */
+async function getCommand(id) {
+    const command = await db.fetchOne("SELECT * FROM device_command WHERE id = ?", [id]);
+    return command ? formatCommand(command) : null;
+}
+
+/**
+ * Wait until a command reaches a final state
+ * The database is polled, so replies handled by another API instance count as well.
+ * @param {number} id - Command ID
+ * @param {number} waitSeconds - Longest time to wait
+ * @returns {Promise<Object|null>} Command as it is when final or when the wait ends
+ */
+async function waitForCommand(id, waitSeconds) {
+    const deadline = Date.now() + Math.min(waitSeconds, COMMAND_CONFIG.maxWaitSeconds) * 1000;
+
+    let command = await getCommand(id);
+    while (command && !FINAL_STATUSES.includes(command.status) && Date.now() < deadline) {
+        const delay = Math.min(COMMAND_CONFIG.pollIntervalMs, deadline - Date.now());
+        await new Promise(resolve => setTimeout(resolve, delay));
+        command = await getCommand(id);
+    }
+    return command;
+}
+
+/**
+ * Apply a device reply to its command
+ * @param {string} topic - Reply topic the message arrived on
+ * @param {*} message - Parsed payload
+ * @returns {Promise<Object>} { command_id, status } or { error } when the reply is rejected
+ */
+async function applyReply(topic, message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return { error: 'Payload must be a JSON object' };
+    }
+
+    const replyReq = { body: { ...message } };
+    for (const validator of validateReply) {
+        await validator.run(replyReq);
+    }
+    const errors = validationResult(replyReq).array();
+    if (errors.length > 0) {
+        return { error: errors.map(error => `${error.path}: ${error.msg}`).join('; ') };
+    }
+
+    const { correlation_id, status, result, error } = replyReq.body;
+    const target = mqttTopics.parseTopic('device.reply', topic) || {};
+    const command = await db.fetchOne(
+        "SELECT id, device_id, site_id, status FROM device_command WHERE correlation_id = ?",
+        [correlation_id]
+    );
+    if (!command || String(command.device_id) !== target.device_id || String(command.site_id) !== target.site_id) {
+        return { error: `No command ${correlation_id} for this device` };
+    }
+
+    const changed = await transitionCommand(command.id, status, { result, error });
+    if (!changed) {
+        // Late or repeated replies are expected (e.g. after a timeout) and leave the command as it is
+        console.warn(`⚠️ Ignored ${status} reply for command ${command.id}, which is ${command.status}`);
+    }
+    return { command_id: command.id, status: changed ? status : command.status };
+}
+
+// Site ID of a reply topic, when it is numeric
+function replySiteId(topic) {
+    const target = mqttTopics.parseTopic('device.reply', topic);
+    return target && /^\d+$/.test(target.site_id) ? parseInt(target.site_id) : null;
+}
+
+// Apply one received reply, dead-lettering it when it is rejected
+async function handleReply(topic, message) {
+    let applied;
+    try {
+        applied = await applyReply(topic, message);
+    } catch (error) {
+        console.error('Device command reply error:', error);
+        applied = { error: `Could not store reply: ${error.message}` };
+    }
+    if (!applied.error) {
+        return;
+    }
+
+    try {
+        await deadLetter(topic, message, applied.error, replySiteId(topic));
+        console.warn(`⚠️ MQTT reply on ${topic} dead-lettered: ${applied.error}`);
+    } catch (error) {
+        console.error('MQTT dead letter error:', error);
+    }
+}
+
+/**
+ * Time out commands past their expiry without a final answer
+ * @returns {Promise<number>} Number of commands timed out
+ */
+async function timeOutExpiredCommands() {
+    const result = await db.execute(`
+        UPDATE device_command
+        SET status = 'timed_out', completed_at = NOW(), error = 'No answer from the device in time'
+        WHERE status IN ('queued', 'sent', 'acknowledged') AND expires_at < NOW()
+    `);
+    return result.affected_rows;
+}
+
+// Replies are applied one at a time, in the order they arrive
+let processing = Promise.resolve();
+
+// Mark a command sent once the outbound queue has published it
+async function handleQueuedPublish(message) {
+    if (!message.meta || !message.meta.command_id) {
+        return;
+    }
+    try {
+        await transitionCommand(message.meta.command_id, 'sent');
+    } catch (error) {
+        console.error('Device command sent error:', error);
+    }
+}
+mqtt.onQueuedPublish(handleQueuedPublish);
+
+/**
+ * Subscribe to device replies once the broker is reachable, and start the timeout sweep
+ * @returns {Object} Interval handle of the sweep
+ */
+function startDeviceCommands() {
+    mqtt.whenConnected(async () => {
+        const filter = mqttTopics.topicFilter('device.reply');
+        if (!filter) {
+            console.warn('⚠️ No topic template configured for device.reply, commands will time out');
+            return;
+        }
+        try {
+            await mqtt.subscribeToTopic(filter, (message, topic) => {
+                processing = processing.then(() => handleReply(topic, message));
+            }, { qos: mqttTopics.publishOptions('device.reply').qos });
+        } catch (error) {
+            console.error('Device command reply subscribe error:', error);
+        }
+    });
+
+    const timer = setInterval(async () => {
+        try {
+            await timeOutExpiredCommands();
+        } catch (error) {
+            console.error('Device command timeout error:', error.message);
+        }
+    }, COMMAND_CONFIG.sweepIntervalMs);
+    // Never keep the process alive just for the sweep
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    COMMAND_CONFIG,
+    COMMAND_TRANSITIONS,
+    FINAL_STATUSES,
+    formatCommand,
+    sendCommand,
+    getCommand,
+    waitForCommand,
+    applyReply,
+    timeOutExpiredCommands,
+    startDeviceCommands
+};
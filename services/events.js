@@ -0,0 +1,174 @@
+const { getAccessibleSiteIds } = require('../middleware/siteAccess');
+const { hasPermission } = require('../middleware/auth');
+
+// Live events for dashboards, streamed by routes/events.js over SSE and WebSocket.
+// Recent events are kept in memory so clients can resume after a reconnect; IDs are
+// "<stream>-<sequence>", where the stream part changes with every API start.
+const EVENTS_CONFIG = {
+    bufferSize: parseInt(process.env.EVENT_STREAM_BUFFER_SIZE || '1000')
+};
+
+// Event types, with the permission needed to receive them on the event's site
+const EVENT_TYPES = {
+    'device.status': 'devices:read',
+    'device.heartbeat_lost': 'devices:read',
+    'order.created': 'orders:read',
+    'order.updated': 'orders:read',
+    'order.deleted': 'orders:read',
+    'mqtt.status': 'mqtt:read'
+};
+
+const STREAM_ID = Date.now().toString(36);
+
+const buffer = [];
+const listeners = new Set();
+let sequence = 0;
+
+/**
+ * Publish an event to every connected client allowed to see it
+ * @param {string} type - One of EVENT_TYPES
+ * @param {number|null} siteId - Site the event belongs to
+ * @param {Object} data - Event payload
+ * @returns {Object} The event ({ id, type, site_id, timestamp, data })
+ */
+function publishEvent(type, siteId, data) {
+    sequence++;
+    const event = {
+        id: `${STREAM_ID}-${sequence}`,
+        type,
+        site_id: siteId === null || siteId === undefined ? null : parseInt(siteId),
+        timestamp: new Date().toISOString(),
+        data
+    };
+
+    buffer.push(event);
+    if (buffer.length > EVENTS_CONFIG.bufferSize) {
+        buffer.shift();
+    }
+    for (const listener of listeners) {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('Event listener error:', error);
+        }
+    }
+    return event;
+}
+
+/**
+ * Publish a device.status event when a device's status changed
+ * @param {Object} device - Device row after the change (id, site_id, name, room, status)
+ * @param {string|null} previousStatus - Status before the change
+ * @param {string} source - What changed it ("api", "import", "mqtt")
+ */
+function publishDeviceStatus(device, previousStatus, source) {
+    if (!device || device.status === previousStatus) {
+        return;
+    }
+    publishEvent('device.status', device.site_id, {
+        device_id: device.id,
+        name: device.name,
+        room: device.room,
+        status: device.status,
+        previous_status: previousStatus,
+        source
+    });
+}
+
+/**
+ * Listen to published events
+ * @param {Function} listener - (event) => void
+ * @returns {Function} Stops listening
+ */
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Buffered events after the one a client saw last
+ * @param {string} lastEventId - ID of the last event the client received
+ * @returns {Object} { events }, or { reset: true } when events in between may be missing
+ *   (the API restarted or the client was away longer than the buffer reaches)
+ */
+function eventsSince(lastEventId) {
+    const match = String(lastEventId).match(/^(\w+)-(\d+)$/);
+    if (!match || match[1] !== STREAM_ID) {
+        return { reset: true };
+    }
+
+    const seen = parseInt(match[2]);
+    const oldest = buffer.length > 0 ? parseInt(buffer[0].id.split('-')[1]) : sequence + 1;
+    if (seen > sequence || seen < oldest - 1) {
+        return { reset: true };
+    }
+    return { events: buffer.filter(event => parseInt(event.id.split('-')[1]) > seen) };
+}
+
+/**
+ * Which sites a caller may receive each event type for
+ * API keys receive every type on their own site.
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Object} { type: false | null (every site) | Array<number> }
+ */
+function eventAccess(req) {
+    const access = {};
+    for (const [type, permission] of Object.entries(EVENT_TYPES)) {
+        access[type] = req.admin && !hasPermission(req.admin, permission)
+            ? false
+            : getAccessibleSiteIds({ admin: req.admin, apiKey: req.apiKey, requiredPermission: permission });
+    }
+    return access;
+}
+
+/**
+ * Check an event against a caller's access and subscription
+ * Events without a site only go to callers who see every site and did not pick sites.
+ * @param {Object} event - Published event
+ * @param {Object} access - From eventAccess
+ * @param {Object} subscription - { types, sites }, each a Set or null for all
+ * @returns {boolean} Whether the caller receives the event
+ */
+function canReceive(event, access, subscription) {
+    const sites = access[event.type];
+    if (sites === false || sites === undefined) {
+        return false;
+    }
+    if (subscription.types && !subscription.types.has(event.type)) {
+        return false;
+    }
+    if (event.site_id === null) {
+        return sites === null && !subscription.sites;
+    }
+    return (sites === null || sites.includes(event.site_id)) &&
+        (!subscription.sites || subscription.sites.has(event.site_id));
+}
+
+// ID of the latest event, for clients to resume from after a stream.reset
+function currentEventId() {
+    return `${STREAM_ID}-${sequence}`;
+}
+
+// Buffer and client counts for GET /api/events/status
+function getEventStats() {
+    return {
+        stream_id: STREAM_ID,
+        last_event_id: currentEventId(),
+        buffered: buffer.length,
+        buffer_size: EVENTS_CONFIG.bufferSize,
+        clients: listeners.size
+    };
+}
+
+module.exports = {
+    EVENTS_CONFIG,
+    EVENT_TYPES,
+    publishEvent,
+    publishDeviceStatus,
+    subscribe,
+    eventsSince,
+    eventAccess,
+    canReceive,
+    currentEventId,
+    getEventStats
+};
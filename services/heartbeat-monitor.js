@@ -0,0 +1,81 @@
+const db = require('../config/database');
+const { publishEvent } = require('./events');
+
+// A device whose last heartbeat is older than lostAfterSeconds is reported once on the event
+// stream (device.heartbeat_lost). Each check covers the heartbeats that crossed the limit since
+// the previous one, so devices that were already silent when the API started are not reported.
+const HEARTBEAT_CONFIG = {
+    lostAfterSeconds: parseInt(process.env.HEARTBEAT_LOST_AFTER_SECONDS || '300'),
+    checkIntervalMs: 30 * 1000
+};
+
+// Heartbeats are stored as UTC DATETIME values (see POST /api/devices/:id/heartbeat)
+function toDateTime(time) {
+    return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Heartbeats older than this were reported by an earlier check
+let checkedUntil = null;
+
+/**
+ * Report devices whose heartbeat went silent since the previous check
+ * @returns {Promise<number>} Number of devices reported
+ */
+async function reportLostHeartbeats() {
+    const cutoff = toDateTime(Date.now() - HEARTBEAT_CONFIG.lostAfterSeconds * 1000);
+    const from = checkedUntil || cutoff;
+
+    const lost = await db.fetchAll(`
+        SELECT h.device_id, h.last_seen, h.status AS heartbeat_status, d.site_id, d.name, d.room, d.status
+        FROM device_heartbeat h
+        JOIN devices d ON h.device_id = d.id
+        WHERE d.deleted_at IS NULL AND h.last_seen >= ? AND h.last_seen < ?
+        ORDER BY h.last_seen ASC
+    `, [from, cutoff]);
+    checkedUntil = cutoff;
+
+    for (const device of lost) {
+        publishEvent('device.heartbeat_lost', device.site_id, {
+            device_id: device.device_id,
+            name: device.name,
+            room: device.room,
+            status: device.status,
+            heartbeat_status: device.heartbeat_status,
+            last_seen: device.last_seen,
+            lost_after_seconds: HEARTBEAT_CONFIG.lostAfterSeconds
+        });
+    }
+    return lost.length;
+}
+
+/**
+ * Check heartbeats periodically
+ * @returns {Object|null} Interval handle, or null when the monitor is disabled
+ */
+function startHeartbeatMonitor() {
+    if (!HEARTBEAT_CONFIG.lostAfterSeconds || HEARTBEAT_CONFIG.lostAfterSeconds <= 0) {
+        console.log('ℹ️ Heartbeat monitor disabled (HEARTBEAT_LOST_AFTER_SECONDS=0)');
+        return null;
+    }
+
+    checkedUntil = toDateTime(Date.now() - HEARTBEAT_CONFIG.lostAfterSeconds * 1000);
+    const timer = setInterval(async () => {
+        try {
+            const reported = await reportLostHeartbeats();
+            if (reported > 0) {
+                console.log(`💔 ${reported} device heartbeat(s) lost`);
+            }
+        } catch (error) {
+            console.error('Heartbeat monitor error:', error.message);
+        }
+    }, HEARTBEAT_CONFIG.checkIntervalMs);
+    // Never keep the process alive just for the monitor
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    HEARTBEAT_CONFIG,
+    reportLostHeartbeats,
+    startHeartbeatMonitor
+};
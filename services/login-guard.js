@@ -0,0 +1,211 @@
+const db = require('../config/database');
+
+// Login brute-force protection configuration
+const LOGIN_GUARD_CONFIG = {
+    maxAccountFailures: parseInt(process.env.LOGIN_MAX_FAILURES || '5'),
+    maxIpFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES || '20'),
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15'),
+    failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15'),
+    freeAttempts: 2,
+    maxDelaySeconds: 30
+};
+
+// Failed attempts per client IP: ip -> { failures, firstFailureAt, blockedUntil, lastFailureAt }
+const ipFailures = new Map();
+const IP_SWEEP_THRESHOLD = 10000;
+
+/**
+ * Delay enforced after a number of consecutive failures
+ * The first attempts are free, then the delay doubles up to maxDelaySeconds.
+ * @param {number} failures - Consecutive failed attempts
+ * @returns {number} Delay in seconds before the next attempt
+ */
+function delayForFailures(failures) {
+    if (failures <= LOGIN_GUARD_CONFIG.freeAttempts) {
+        return 0;
+    }
+    const exponent = failures - LOGIN_GUARD_CONFIG.freeAttempts;
+    return Math.min(2 ** exponent, LOGIN_GUARD_CONFIG.maxDelaySeconds);
+}
+
+// Current failure entry of an IP, dropping it once the window has passed
+function getIpEntry(ip, now = Date.now()) {
+    const entry = ipFailures.get(ip);
+    if (!entry) {
+        return null;
+    }
+
+    const windowMs = LOGIN_GUARD_CONFIG.failureWindowMinutes * 60 * 1000;
+    if (entry.blockedUntil <= now && now - entry.firstFailureAt > windowMs) {
+        ipFailures.delete(ip);
+        return null;
+    }
+    return entry;
+}
+
+// Forget expired IP entries so the map cannot grow without bound
+function sweepIpFailures() {
+    const now = Date.now();
+    for (const ip of ipFailures.keys()) {
+        getIpEntry(ip, now);
+    }
+}
+
+/**
+ * Check whether a client IP may attempt a login
+ * @param {string} ip - Client IP
+ * @returns {Object} { allowed, retryAfter } with retryAfter in seconds
+ */
+function checkIp(ip) {
+    const now = Date.now();
+    const entry = getIpEntry(ip, now);
+    if (!entry) {
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    if (entry.blockedUntil > now) {
+        return { allowed: false, retryAfter: Math.ceil((entry.blockedUntil - now) / 1000) };
+    }
+
+    const nextAttemptAt = entry.lastFailureAt + delayForFailures(entry.failures) * 1000;
+    if (nextAttemptAt > now) {
+        return { allowed: false, retryAfter: Math.ceil((nextAttemptAt - now) / 1000) };
+    }
+
+    return { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * Record a failed login from a client IP
+ * @param {string} ip - Client IP
+ */
+function recordIpFailure(ip) {
+    const now = Date.now();
+    const entry = getIpEntry(ip, now) || { failures: 0, firstFailureAt: now, blockedUntil: 0 };
+
+    entry.failures += 1;
+    entry.lastFailureAt = now;
+    if (entry.failures >= LOGIN_GUARD_CONFIG.maxIpFailures) {
+        entry.blockedUntil = now + LOGIN_GUARD_CONFIG.lockoutMinutes * 60 * 1000;
+    }
+
+    ipFailures.set(ip, entry);
+
+    if (ipFailures.size > IP_SWEEP_THRESHOLD) {
+        sweepIpFailures();
+    }
+}
+
+/**
+ * Check whether an admin account may attempt a login
+ * Time differences are computed in the database so they do not depend on the connection time zone.
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<Object>} { allowed, locked, retryAfter } with retryAfter in seconds
+ */
+async function checkAccount(adminId) {
+    const row = await db.fetchOne(`
+        SELECT failed_login_count,
+               TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS lock_remaining,
+               TIMESTAMPDIFF(SECOND, last_failed_login, NOW()) AS since_last_failure
+        FROM admins
+        WHERE id = ?
+    `, [adminId]);
+
+    if (!row) {
+        return { allowed: true, locked: false, retryAfter: 0 };
+    }
+
+    if (row.lock_remaining !== null && row.lock_remaining > 0) {
+        return { allowed: false, locked: true, retryAfter: row.lock_remaining };
+    }
+
+    const sinceLastFailure = row.since_last_failure;
+    if (sinceLastFailure === null || sinceLastFailure > LOGIN_GUARD_CONFIG.failureWindowMinutes * 60) {
+        return { allowed: true, locked: false, retryAfter: 0 };
+    }
+
+    const delay = delayForFailures(row.failed_login_count);
+    if (sinceLastFailure < delay) {
+        return { allowed: false, locked: false, retryAfter: delay - sinceLastFailure };
+    }
+
+    return { allowed: true, locked: false, retryAfter: 0 };
+}
+
+/**
+ * Record a failed login for an admin account, locking it after too many failures
+ * The counter restarts when the previous failure is outside the window or a lock has expired.
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<Object>} { failures, locked }
+ */
+async function recordAccountFailure(adminId) {
+    // Assignments run left to right, so locked_until sees the new failed_login_count
+    await db.execute(`
+        UPDATE admins SET
+            failed_login_count = IF(
+                last_failed_login IS NULL
+                    OR last_failed_login < NOW() - INTERVAL ? MINUTE
+                    OR (locked_until IS NOT NULL AND locked_until <= NOW()),
+                1,
+                failed_login_count + 1
+            ),
+            locked_until = IF(failed_login_count >= ?, NOW() + INTERVAL ? MINUTE, NULL),
+            last_failed_login = NOW()
+        WHERE id = ?
+    `, [
+        LOGIN_GUARD_CONFIG.failureWindowMinutes,
+        LOGIN_GUARD_CONFIG.maxAccountFailures,
+        LOGIN_GUARD_CONFIG.lockoutMinutes,
+        adminId
+    ]);
+
+    const row = await db.fetchOne(
+        "SELECT failed_login_count, locked_until FROM admins WHERE id = ?",
+        [adminId]
+    );
+
+    return {
+        failures: row ? row.failed_login_count : 0,
+        locked: Boolean(row && row.locked_until)
+    };
+}
+
+/**
+ * Record a successful login: reset the failure counter and update last_login / login_count
+ * @param {number} adminId - Admin ID
+ */
+async function recordSuccess(adminId) {
+    await db.execute(`
+        UPDATE admins SET
+            last_login = NOW(),
+            login_count = COALESCE(login_count, 0) + 1,
+            failed_login_count = 0,
+            last_failed_login = NULL,
+            locked_until = NULL
+        WHERE id = ?
+    `, [adminId]);
+}
+
+/**
+ * Lift a lockout and clear the failure counter of an admin account
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<boolean>} Whether the admin exists
+ */
+async function unlockAccount(adminId) {
+    const result = await db.execute(`
+        UPDATE admins SET failed_login_count = 0, last_failed_login = NULL, locked_until = NULL
+        WHERE id = ?
+    `, [adminId]);
+    return result.affected_rows > 0;
+}
+
+module.exports = {
+    LOGIN_GUARD_CONFIG,
+    delayForFailures,
+    checkIp,
+    recordIpFailure,
+    checkAccount,
+    recordAccountFailure,
+    recordSuccess,
+    unlockAccount
+};
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mail configuration
+const MAIL_CONFIG = {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'KEOS Portal <no-reply@keos.local>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox')
+};
+
+// Transports receive a normalized message ({ id, from, to, subject, text, html, date })
+const transports = {
+    // Print the message, useful during development
+    console: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+
+    // Write each message as a JSON file into the outbox directory
+    file: async (message) => {
+        await fs.promises.mkdir(MAIL_CONFIG.outboxDir, { recursive: true });
+        const fileName = `${message.date.replace(/[:.]/g, '-')}_${message.id}.json`;
+        await fs.promises.writeFile(
+            path.join(MAIL_CONFIG.outboxDir, fileName),
+            JSON.stringify(message, null, 2)
+        );
+    }
+};
+
+/**
+ * Register a mail transport (e.g. SMTP or a provider API)
+ * @param {string} name - Name selected with MAIL_TRANSPORT
+ * @param {Function} send - async (message) => void
+ */
+function registerTransport(name, send) {
+    if (typeof send !== 'function') {
+        throw new Error(`Mail transport ${name} must be a function`);
+    }
+    transports[name] = send;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} mail - { to, subject, text, html }
+ * @returns {Promise<Object>} The message that was handed to the transport
+ */
+async function sendMail(mail) {
+    const send = transports[MAIL_CONFIG.transport];
+    if (!send) {
+        throw new Error(`Unknown mail transport: ${MAIL_CONFIG.transport}`);
+    }
+
+    const message = {
+        id: crypto.randomUUID(),
+        from: mail.from || MAIL_CONFIG.from,
+        to: mail.to,
+        subject: mail.subject,
+        text: mail.text,
+        html: mail.html || null,
+        date: new Date().toISOString()
+    };
+
+    await send(message);
+    return message;
+}
+
+module.exports = {
+    MAIL_CONFIG,
+    registerTransport,
+    sendMail
+};
@@ -0,0 +1,352 @@
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const mqtt = require('../config/mqtt');
+const mqttTopics = require('../config/mqtt-topics');
+const events = require('./events');
+
+// Devices report on the status topics of config/mqtt-config.json. Each message is a JSON
+// object whose `type` (default "status") selects its schema and the table it is stored in.
+// Messages that cannot be stored are kept in mqtt_dead_letter instead of being dropped.
+const INGEST_CONFIG = {
+    enabled: process.env.MQTT_INGEST_ENABLED !== 'false'
+};
+
+// Topics devices report on, see config/mqtt-topics.js
+const STATUS_TOPICS = ['device.status', 'room.status'];
+
+// Longest payload kept in a dead letter
+const MAX_DEAD_LETTER_PAYLOAD = 65535;
+
+// MySQL DATETIME from an ISO 8601 timestamp (or now)
+function toDateTime(timestamp) {
+    const date = timestamp ? new Date(timestamp) : new Date();
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Store IoT status values as text, structured ones as JSON
+function toStatusValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Same normalization as POST /api/devices/:id/iot, so devices may send their IEEE address
+function toIotId(ieeeId) {
+    return String(ieeeId).replace(/:/g, '').toLowerCase();
+}
+
+// Message schemas and how each type is stored; store() answers { error } when nothing matches
+const MESSAGE_TYPES = {
+    // Device state, written to the devices row
+    status: {
+        validators: [
+            body('status').isIn(['online', 'offline', 'maintenance']),
+            body('ip_address').optional().isIP(),
+            body('firmware').optional().isString().trim().isLength({ max: 50 }),
+            body('wifi_mode').optional().isString().trim().isLength({ max: 20 }),
+            body('current_ssid').optional().isString().trim().isLength({ max: 64 }),
+            body('current_clients').optional().isInt({ min: 0 }).toInt(),
+            body('current_clients_list').optional().isArray(),
+            body('timestamp').optional().isISO8601()
+        ],
+        async store(device, data) {
+            const assignments = ['status = ?'];
+            const params = [data.status];
+
+            for (const column of ['ip_address', 'firmware', 'current_ssid', 'current_clients', 'wifi_mode']) {
+                if (data[column] !== undefined) {
+                    assignments.push(`${column} = ?`);
+                    params.push(data[column]);
+                }
+            }
+            if (data.current_clients_list !== undefined) {
+                assignments.push('current_clients_list = ?');
+                params.push(JSON.stringify(data.current_clients_list));
+            }
+            // An offline report (e.g. the device's last will) is not a sign of life
+            if (data.status !== 'offline') {
+                assignments.push('last_online = ?');
+                params.push(toDateTime(data.timestamp));
+            }
+
+            await db.execute(
+                `UPDATE devices SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = ?`,
+                [...params, device.id]
+            );
+            events.publishDeviceStatus({ ...device, status: data.status }, device.status, 'mqtt');
+            return {};
+        }
+    },
+
+    // Same upsert as POST /api/devices/:id/heartbeat
+    heartbeat: {
+        validators: [
+            body('last_seen').optional().isISO8601(),
+            body('status').optional().isString().trim().notEmpty().isLength({ max: 20 })
+        ],
+        async store(device, data) {
+            const lastSeen = toDateTime(data.last_seen);
+            const status = data.status || 'ONLINE';
+
+            await db.execute(`
+                INSERT INTO device_heartbeat (device_id, last_seen, status)
+                VALUES (?, ?, ?)
+                ON DUPLICATE KEY UPDATE last_seen = ?, status = ?
+            `, [device.id, lastSeen, status, lastSeen, status]);
+            return {};
+        }
+    },
+
+    // Same upsert as POST /api/devices/:id/wifi-status
+    wifi: {
+        validators: [
+            body('ssid').optional().isString().trim().isLength({ max: 64 }),
+            body('clients').optional().isInt({ min: 0 }).toInt(),
+            body(['rx_rate', 'tx_rate', 'signal']).optional()
+                .custom(value => ['string', 'number'].includes(typeof value) && String(value).length <= 20)
+                .withMessage('Must be a string or number of at most 20 characters')
+        ],
+        async store(device, data) {
+            const values = [
+                data.ssid ?? null, data.clients ?? 0, toStatusValue(data.rx_rate),
+                toStatusValue(data.tx_rate), toStatusValue(data.signal)
+            ];
+
+            await db.execute(`
+                INSERT INTO device_wifi_status (device_id, ssid, clients, rx_rate, tx_rate, \`signal\`)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE ssid = ?, clients = ?, rx_rate = ?, tx_rate = ?, \`signal\` = ?, updated_at = NOW()
+            `, [device.id, ...values, ...values]);
+            return {};
+        }
+    },
+
+    // Status values of one of the device's IoT mappings, as POST /api/devices/iot/:iotId/status
+    iot: {
+        validators: [
+            body('iot_id').isString().trim().notEmpty(),
+            body('status').isObject()
+                .custom(status => Object.keys(status).length > 0 && Object.keys(status).every(key => key.length <= 100))
+                .withMessage('Must be an object of status keys (at most 100 characters each)')
+        ],
+        async store(device, data) {
+            const iot = await db.fetchOne(
+                "SELECT id FROM device_iot WHERE device_id = ? AND _id = ?",
+                [device.id, toIotId(data.iot_id)]
+            );
+            if (!iot) {
+                return { error: `IoT mapping ${data.iot_id} not found on device ${device.id}` };
+            }
+
+            for (const [key, value] of Object.entries(data.status)) {
+                await db.execute(`
+                    INSERT INTO device_iot_status (iot_id, status_key, status_value)
+                    VALUES (?, ?, ?)
+                    ON DUPLICATE KEY UPDATE status_value = ?, updated_at = NOW()
+                `, [iot.id, key, toStatusValue(value), toStatusValue(value)]);
+            }
+            return {};
+        }
+    }
+};
+
+// Placeholder values of a status topic, with the name of the topic it matched
+function parseStatusTopic(topic) {
+    for (const name of STATUS_TOPICS) {
+        const params = mqttTopics.parseTopic(name, topic);
+        if (params) {
+            return { name, params };
+        }
+    }
+    return null;
+}
+
+/**
+ * Device a status topic refers to
+ * Room topics need the device's mac_address in the payload when the room has several devices.
+ * @param {string} topic - Topic the message arrived on
+ * @param {Object} data - Validated payload
+ * @returns {Promise<Object>} { device } or { error }
+ */
+async function resolveDevice(topic, data) {
+    const match = parseStatusTopic(topic);
+    if (!match) {
+        return { error: 'Not a status topic' };
+    }
+
+    if (match.name === 'device.status') {
+        const { site_id, device_id } = match.params;
+        const device = await db.fetchOne(
+            "SELECT id, site_id, name, room, status FROM devices WHERE id = ? AND site_id = ? AND deleted_at IS NULL",
+            [device_id, site_id]
+        );
+        return device ? { device } : { error: `Device ${device_id} not found on site ${site_id}` };
+    }
+
+    const byRoom = match.params;
+
+    let sql = "SELECT id, site_id, name, room, status FROM devices WHERE site_id = ? AND room = ? AND deleted_at IS NULL";
+    const params = [byRoom.site_id, byRoom.room];
+    if (data.mac_address) {
+        sql += " AND LOWER(mac_address) = ?";
+        params.push(String(data.mac_address).toLowerCase());
+    }
+
+    const devices = await db.fetchAll(sql, params);
+    if (devices.length === 0) {
+        return { error: `No device in room ${byRoom.room} of site ${byRoom.site_id}` };
+    }
+    if (devices.length > 1) {
+        return { error: `Room ${byRoom.room} has several devices, send mac_address to pick one` };
+    }
+    return { device: devices[0] };
+}
+
+/**
+ * Validate a status message and store it
+ * @param {string} topic - Topic the message arrived on
+ * @param {*} message - Parsed JSON payload (a string when it was not JSON)
+ * @returns {Promise<Object>} { device_id, type } or { error } when the message is rejected
+ */
+async function ingestMessage(topic, message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return { error: 'Payload must be a JSON object' };
+    }
+
+    const type = message.type === undefined ? 'status' : message.type;
+    const schema = Object.prototype.hasOwnProperty.call(MESSAGE_TYPES, type) ? MESSAGE_TYPES[type] : null;
+    if (!schema) {
+        return { error: `Unknown message type ${type}` };
+    }
+
+    // Validation chains only need the body, and sanitize it in place
+    const messageReq = { body: { ...message } };
+    for (const validator of [body('mac_address').optional().isString(), ...schema.validators]) {
+        await validator.run(messageReq);
+    }
+    const errors = validationResult(messageReq).array();
+    if (errors.length > 0) {
+        return { error: errors.map(error => `${error.path}: ${error.msg}`).join('; ') };
+    }
+
+    const target = await resolveDevice(topic, messageReq.body);
+    if (target.error) {
+        return target;
+    }
+
+    const stored = await schema.store(target.device, messageReq.body);
+    if (stored.error) {
+        return stored;
+    }
+
+    events.publishEvent('mqtt.status', target.device.site_id, {
+        topic, device_id: target.device.id, type, message: messageReq.body
+    });
+    return { device_id: target.device.id, type };
+}
+
+// Site ID of a status topic, when it is numeric
+function siteIdOf(topic) {
+    const match = parseStatusTopic(topic);
+    const siteId = match ? match.params.site_id : undefined;
+    return /^\d+$/.test(siteId || '') ? parseInt(siteId) : null;
+}
+
+/**
+ * Keep a rejected message in mqtt_dead_letter
+ * @param {string} topic - Topic the message arrived on
+ * @param {*} message - Parsed payload
+ * @param {string} error - Why it was rejected
+ * @param {number|null} siteId - Site of the message (taken from status topics by default)
+ */
+async function deadLetter(topic, message, error, siteId = siteIdOf(topic)) {
+    const payload = typeof message === 'string' ? message : JSON.stringify(message);
+    await db.execute(
+        "INSERT INTO mqtt_dead_letter (topic, payload, error, site_id) VALUES (?, ?, ?, ?)",
+        [topic, payload.slice(0, MAX_DEAD_LETTER_PAYLOAD), error, siteId]
+    );
+}
+
+const stats = {
+    subscriptions: [],
+    received: 0,
+    ingested: 0,
+    dead_lettered: 0,
+    last_message_at: null
+};
+
+// Store one received message, dead-lettering it on any failure
+async function handleMessage(topic, message) {
+    stats.received++;
+    stats.last_message_at = new Date().toISOString();
+
+    let result;
+    try {
+        result = await ingestMessage(topic, message);
+    } catch (error) {
+        console.error('MQTT ingest error:', error);
+        result = { error: `Could not store message: ${error.message}` };
+    }
+
+    if (!result.error) {
+        stats.ingested++;
+        return;
+    }
+
+    try {
+        await deadLetter(topic, message, result.error);
+        stats.dead_lettered++;
+        console.warn(`⚠️ MQTT message on ${topic} dead-lettered: ${result.error}`);
+    } catch (error) {
+        console.error('MQTT dead letter error:', error);
+    }
+}
+
+// Messages are stored one at a time, so the latest report of a device wins
+let processing = Promise.resolve();
+
+/**
+ * Subscribe to the status topics as soon as the broker is reachable
+ * @returns {boolean} Whether ingestion is enabled
+ */
+function startMqttIngestion() {
+    if (!INGEST_CONFIG.enabled) {
+        console.log('ℹ️ MQTT status ingestion disabled (MQTT_INGEST_ENABLED=false)');
+        return false;
+    }
+
+    mqtt.whenConnected(async () => {
+        try {
+            for (const name of STATUS_TOPICS) {
+                const filter = mqttTopics.topicFilter(name);
+                if (!filter) {
+                    console.warn(`⚠️ No topic template configured for ${name}, not ingesting it`);
+                    continue;
+                }
+                await mqtt.subscribeToTopic(filter, (message, topic) => {
+                    processing = processing.then(() => handleMessage(topic, message));
+                }, { qos: mqttTopics.publishOptions(name).qos });
+                stats.subscriptions.push(filter);
+            }
+        } catch (error) {
+            console.error('MQTT ingestion subscribe error:', error);
+        }
+    });
+    return true;
+}
+
+// Counters for GET /api/mqtt/status
+function getIngestionStatus() {
+    return { enabled: INGEST_CONFIG.enabled, ...stats, subscriptions: [...stats.subscriptions] };
+}
+
+module.exports = {
+    INGEST_CONFIG,
+    MESSAGE_TYPES,
+    ingestMessage,
+    deadLetter,
+    handleMessage,
+    startMqttIngestion,
+    getIngestionStatus
+};
@@ -0,0 +1,108 @@
+const db = require('../config/database');
+
+// Soft-deleted rows are removed for good once they are older than the retention period.
+// A retention of 0 keeps them forever (the job is not started).
+const PURGE_CONFIG = {
+    retentionDays: parseInt(process.env.SOFT_DELETE_RETENTION_DAYS || '30'),
+    intervalMs: parseInt(process.env.SOFT_DELETE_PURGE_INTERVAL_HOURS || '24') * 60 * 60 * 1000
+};
+
+// Condition on a deleted_at column selecting rows past the retention period
+function expired(column) {
+    return `${column} IS NOT NULL AND ${column} < NOW() - INTERVAL ? DAY`;
+}
+
+/**
+ * Permanently delete soft-deleted rows past the retention period
+ * Device data (apps, logs, IoT mappings, status) and site data (settings, Wi-Fi, categories,
+ * admin assignments) go with their device or site through the foreign keys of the baseline schema.
+ * Products and admins referenced by orders, and sites that still have orders, are kept
+ * so order history stays complete; they remain hidden as soft-deleted rows.
+ * @param {number} retentionDays - Days a deleted row is kept
+ * @returns {Promise<Object>} Number of purged rows per entity
+ */
+async function purgeDeleted(retentionDays = PURGE_CONFIG.retentionDays) {
+    return db.transaction(async (tx) => {
+        const devices = await tx.execute(
+            `DELETE FROM devices WHERE ${expired('deleted_at')}`,
+            [retentionDays]
+        );
+
+        const products = await tx.execute(`
+            DELETE FROM product
+            WHERE ${expired('deleted_at')}
+              AND NOT EXISTS (SELECT 1 FROM product_order_item oi WHERE oi.product_id = product.id)
+        `, [retentionDays]);
+
+        // Session and account tables have no foreign keys on admins
+        const adminRows = await tx.fetchAll(`
+            SELECT id FROM admins
+            WHERE ${expired('deleted_at')}
+              AND NOT EXISTS (SELECT 1 FROM product_order o WHERE o.created_by = admins.id)
+        `, [retentionDays]);
+        const adminIds = adminRows.map(admin => admin.id);
+        if (adminIds.length > 0) {
+            const placeholders = adminIds.map(() => '?').join(', ');
+            for (const table of ['admin_session', 'admin_recovery_code', 'admin_account_token']) {
+                await tx.execute(`DELETE FROM ${table} WHERE admin_id IN (${placeholders})`, adminIds);
+            }
+            await tx.execute(`DELETE FROM admins WHERE id IN (${placeholders})`, adminIds);
+        }
+
+        const siteRows = await tx.fetchAll(`
+            SELECT id FROM sites
+            WHERE ${expired('deleted_at')}
+              AND NOT EXISTS (SELECT 1 FROM devices d WHERE d.site_id = sites.id)
+              AND NOT EXISTS (SELECT 1 FROM product p WHERE p.site_id = sites.id)
+              AND NOT EXISTS (SELECT 1 FROM product_order o WHERE o.site_id = sites.id)
+        `, [retentionDays]);
+        const siteIds = siteRows.map(site => site.id);
+        if (siteIds.length > 0) {
+            const placeholders = siteIds.map(() => '?').join(', ');
+            await tx.execute(`DELETE FROM api_key WHERE site_id IN (${placeholders})`, siteIds);
+            await tx.execute(`DELETE FROM sites WHERE id IN (${placeholders})`, siteIds);
+        }
+
+        return {
+            devices: devices.affected_rows,
+            products: products.affected_rows,
+            admins: adminIds.length,
+            sites: siteIds.length
+        };
+    });
+}
+
+/**
+ * Run purgeDeleted now and then periodically
+ * @returns {Object|null} Interval handle, or null when purging is disabled
+ */
+function startPurgeJob() {
+    if (!PURGE_CONFIG.retentionDays || PURGE_CONFIG.retentionDays <= 0) {
+        console.log('ℹ️ Soft delete purge disabled (SOFT_DELETE_RETENTION_DAYS=0)');
+        return null;
+    }
+
+    const run = async () => {
+        try {
+            const purged = await purgeDeleted();
+            const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+            if (total > 0) {
+                console.log('🧹 Purged soft-deleted rows:', JSON.stringify(purged));
+            }
+        } catch (error) {
+            console.error('Purge deleted rows error:', error.message);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, PURGE_CONFIG.intervalMs);
+    // Never keep the process alive just for the purge
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    PURGE_CONFIG,
+    purgeDeleted,
+    startPurgeJob
+};
@@ -0,0 +1,264 @@
+const db = require('../config/database');
+const { PERMISSIONS, WILDCARD_PERMISSION } = require('../config/permissions');
+
+// Built-in role granting every permission on every site
+const SUPER_ADMIN_ROLE = 'Super Administrator';
+
+// Attach permission lists to role rows
+async function withPermissions(roles) {
+    if (roles.length === 0) {
+        return roles;
+    }
+
+    const rows = await db.fetchAll(`
+        SELECT role_id, permission_key FROM role_permission
+        WHERE role_id IN (${roles.map(() => '?').join(', ')})
+        ORDER BY permission_key ASC
+    `, roles.map(role => role.id));
+
+    return roles.map(role => ({
+        ...role,
+        permissions: rows.filter(row => row.role_id === role.id).map(row => row.permission_key)
+    }));
+}
+
+/**
+ * List every role with its permissions and number of assignments
+ * @returns {Promise<Array<Object>>} Roles
+ */
+async function listRoles() {
+    const roles = await db.fetchAll(`
+        SELECT r.*, (SELECT COUNT(*) FROM admin_site a WHERE a.role_id = r.id) AS assignment_count
+        FROM role r
+        ORDER BY r.is_system DESC, r.name ASC
+    `);
+    return withPermissions(roles);
+}
+
+/**
+ * Get a role with its permissions
+ * @param {number|string} id - Role ID
+ * @returns {Promise<Object|null>} Role or null
+ */
+async function getRole(id) {
+    const role = await db.fetchOne("SELECT * FROM role WHERE id = ?", [id]);
+    if (!role) {
+        return null;
+    }
+    const [withKeys] = await withPermissions([role]);
+    return withKeys;
+}
+
+/**
+ * Resolve a role given by ID or by name
+ * @param {Object} input - { role_id } or { role }
+ * @returns {Promise<Object|null>} Role with permissions, or null if not found
+ */
+async function resolveRole({ role_id, role }) {
+    if (role_id !== undefined && role_id !== null && role_id !== '') {
+        return getRole(role_id);
+    }
+    if (!role) {
+        return null;
+    }
+    const row = await db.fetchOne("SELECT id FROM role WHERE name = ?", [role]);
+    return row ? getRole(row.id) : null;
+}
+
+// Replace the permission set of a role inside a transaction, touching only what changed
+async function setRolePermissions(tx, roleId, permissions) {
+    const current = (await tx.fetchAll(
+        "SELECT permission_key FROM role_permission WHERE role_id = ?",
+        [roleId]
+    )).map(row => row.permission_key);
+
+    for (const key of current.filter(key => !permissions.includes(key))) {
+        await tx.execute("DELETE FROM role_permission WHERE role_id = ? AND permission_key = ?", [roleId, key]);
+    }
+    for (const key of permissions.filter(key => !current.includes(key))) {
+        await tx.execute("INSERT INTO role_permission (role_id, permission_key) VALUES (?, ?)", [roleId, key]);
+    }
+}
+
+/**
+ * Whether another role already uses a name
+ * @param {string} name - Role name
+ * @param {number|null} exceptId - Role to ignore (when renaming)
+ * @returns {Promise<boolean>} Whether the name is taken
+ */
+async function isNameTaken(name, exceptId = null) {
+    const existing = await db.fetchOne(
+        "SELECT id FROM role WHERE name = ? AND id <> ?",
+        [name, exceptId || 0]
+    );
+    return Boolean(existing);
+}
+
+/**
+ * Number of admin site assignments using a role
+ * @param {number} roleId - Role ID
+ * @returns {Promise<number>} Assignment count
+ */
+async function countAssignments(roleId) {
+    const usage = await db.fetchOne(
+        "SELECT COUNT(*) AS count FROM admin_site WHERE role_id = ?",
+        [roleId]
+    );
+    return usage.count;
+}
+
+/**
+ * Sites on which a role is assigned to at least one admin
+ * @param {number} roleId - Role ID
+ * @returns {Promise<Array<number>>} Site IDs
+ */
+async function getRoleSiteIds(roleId) {
+    const sites = await db.fetchAll(
+        "SELECT DISTINCT site_id FROM admin_site WHERE role_id = ?",
+        [roleId]
+    );
+    return sites.map(s => s.site_id);
+}
+
+/**
+ * Create a role
+ * @param {Object} data - { name, description, permissions } with validated permission keys
+ * @returns {Promise<Object>} Created role
+ */
+async function createRole({ name, description = null, permissions = [] }) {
+    const roleId = await db.transaction(async (tx) => {
+        const result = await tx.execute(
+            "INSERT INTO role (name, description) VALUES (?, ?)",
+            [name, description]
+        );
+        await setRolePermissions(tx, result.last_insert_id, [...new Set(permissions)]);
+        return result.last_insert_id;
+    });
+
+    return getRole(roleId);
+}
+
+/**
+ * Update a role; fields that are not given are kept
+ * Renaming also updates the role name copied into admin_site.
+ * @param {Object} role - Current role (from getRole)
+ * @param {Object} data - { name, description, permissions } with validated permission keys
+ * @returns {Promise<Object>} Updated role
+ */
+async function updateRole(role, { name, description, permissions }) {
+    const newName = name !== undefined ? name : role.name;
+
+    await db.transaction(async (tx) => {
+        await tx.execute(
+            "UPDATE role SET name = ?, description = ? WHERE id = ?",
+            [newName, description !== undefined ? description : role.description, role.id]
+        );
+        if (newName !== role.name) {
+            await tx.execute("UPDATE admin_site SET role = ? WHERE role_id = ?", [newName, role.id]);
+        }
+        if (permissions !== undefined) {
+            await setRolePermissions(tx, role.id, [...new Set(permissions)]);
+        }
+    });
+
+    return getRole(role.id);
+}
+
+/**
+ * Delete a role and its permissions
+ * @param {number} roleId - Role ID
+ */
+async function deleteRole(roleId) {
+    await db.transaction(async (tx) => {
+        await tx.execute("DELETE FROM role_permission WHERE role_id = ?", [roleId]);
+        await tx.execute("DELETE FROM role WHERE id = ?", [roleId]);
+    });
+}
+
+/**
+ * Site assignments of an admin with the permissions of each assigned role
+ * Assignments without a linked role fall back to the free-text role name.
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<Array<Object>>} { site_id, role_id, role, allow_devices_adoption, permissions }
+ */
+async function getAssignments(adminId) {
+    const assignments = await db.fetchAll(`
+        SELECT a.site_id, a.role_id, COALESCE(r.name, a.role) AS role, a.allow_devices_adoption
+        FROM admin_site a
+        LEFT JOIN role r ON r.id = a.role_id
+        WHERE a.admin_id = ?
+    `, [adminId]);
+
+    const roleIds = [...new Set(assignments.map(a => a.role_id).filter(Boolean))];
+    const rows = roleIds.length === 0 ? [] : await db.fetchAll(`
+        SELECT role_id, permission_key FROM role_permission
+        WHERE role_id IN (${roleIds.map(() => '?').join(', ')})
+    `, roleIds);
+
+    return assignments.map(assignment => ({
+        ...assignment,
+        permissions: rows.filter(row => row.role_id === assignment.role_id).map(row => row.permission_key)
+    }));
+}
+
+/**
+ * Effective permissions of an admin: direct grants plus the permissions of every assigned role
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<Object>} { is_super_admin, direct, permissions, sites: [{ site_id, role_id, role, permissions }] }
+ */
+async function getEffectivePermissions(adminId) {
+    const direct = (await db.fetchAll(
+        "SELECT permission_key FROM admin_permission WHERE admin_id = ?",
+        [adminId]
+    )).map(row => row.permission_key);
+    const assignments = await getAssignments(adminId);
+
+    const isSuperAdmin = assignments.some(a => a.role === SUPER_ADMIN_ROLE);
+    const granted = new Set([...direct, ...assignments.flatMap(a => a.permissions)]);
+    const permissions = isSuperAdmin || granted.has(WILDCARD_PERMISSION)
+        ? Object.keys(PERMISSIONS)
+        : Object.keys(PERMISSIONS).filter(key => granted.has(key));
+
+    return {
+        is_super_admin: isSuperAdmin,
+        direct,
+        permissions,
+        sites: assignments.map(a => ({
+            site_id: a.site_id,
+            role_id: a.role_id,
+            role: a.role,
+            permissions: a.permissions
+        }))
+    };
+}
+
+/**
+ * Whether an admin holds the Super Administrator role on any site
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<boolean>} Whether the admin is a super admin
+ */
+async function isSuperAdmin(adminId) {
+    const row = await db.fetchOne(`
+        SELECT COUNT(*) AS count
+        FROM admin_site a
+        LEFT JOIN role r ON r.id = a.role_id
+        WHERE a.admin_id = ? AND COALESCE(r.name, a.role) = ?
+    `, [adminId, SUPER_ADMIN_ROLE]);
+    return row.count > 0;
+}
+
+module.exports = {
+    SUPER_ADMIN_ROLE,
+    listRoles,
+    getRole,
+    resolveRole,
+    isNameTaken,
+    countAssignments,
+    getRoleSiteIds,
+    createRole,
+    updateRole,
+    deleteRole,
+    getAssignments,
+    getEffectivePermissions,
+    isSuperAdmin
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+
+// Seed sets are directories in seeds/, each holding modules that export `async seed(db)`
+const SEED_CONFIG = {
+    seedsPath: path.join(__dirname, '..', 'seeds'),
+    defaultSet: process.env.SEED_SET || (process.env.NODE_ENV === 'test' ? 'test' : 'demo')
+};
+
+/**
+ * Available seed sets
+ * @returns {Array<string>} Seed set names
+ */
+function listSeedSets() {
+    if (!fs.existsSync(SEED_CONFIG.seedsPath)) {
+        return [];
+    }
+    return fs.readdirSync(SEED_CONFIG.seedsPath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * Seed files of a set, in the order they run
+ * @param {string} setName - Seed set
+ * @returns {Array<string>} File names
+ */
+function getSeedFiles(setName) {
+    if (!listSeedSets().includes(setName)) {
+        throw new Error(`Unknown seed set: ${setName} (available: ${listSeedSets().join(', ') || 'none'})`);
+    }
+    return fs.readdirSync(path.join(SEED_CONFIG.seedsPath, setName))
+        .filter(file => file.endsWith('.js'))
+        .sort();
+}
+
+/**
+ * Run every seed of a set
+ * Seeds must be idempotent: they only insert what is missing, so sets can be loaded repeatedly.
+ * @param {string} setName - Seed set
+ * @returns {Promise<Array<Object>>} { file, result } per seed
+ */
+async function runSeeds(setName) {
+    const results = [];
+
+    for (const file of getSeedFiles(setName)) {
+        const seedModule = require(path.join(SEED_CONFIG.seedsPath, setName, file));
+        if (typeof seedModule.seed !== 'function') {
+            throw new Error(`Seed ${setName}/${file} does not export a seed function`);
+        }
+        results.push({ file, result: await seedModule.seed(db) });
+    }
+
+    return results;
+}
+
+module.exports = {
+    SEED_CONFIG,
+    listSeedSets,
+    getSeedFiles,
+    runSeeds
+};
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+// JWT Configuration
+const JWT_CONFIG = {
+    secret: process.env.JWT_SECRET || 'keos-api-insecure-development-secret',
+    issuer: 'keos-api',
+    accessTokenTtl: process.env.JWT_ACCESS_TTL || '15m',
+    mfaTokenTtl: '5m',
+    refreshTokenTtlDays: parseInt(process.env.JWT_REFRESH_TTL_DAYS || '30'),
+    // How often authenticated requests refresh admin_session.last_seen_at
+    sessionTouchSeconds: parseInt(process.env.SESSION_TOUCH_SECONDS || '60')
+};
+
+// Anyone knowing the fallback secret could forge tokens, so only development runs without JWT_SECRET
+if (!process.env.JWT_SECRET) {
+    if (process.env.NODE_ENV !== 'development') {
+        throw new Error('JWT_SECRET is not set (only NODE_ENV=development may run without it)');
+    }
+    console.warn('⚠️ JWT_SECRET is not set - tokens are signed with an insecure development secret');
+}
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new opaque refresh token
+ * @returns {string} Random URL-safe token
+ */
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Sign a short-lived access token for an admin session
+ * @param {Object} admin - Admin row (id, email)
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {Object} Token and its lifetime in seconds
+ */
+function signAccessToken(admin, sessionId) {
+    const token = jwt.sign(
+        { sub: String(admin.id), sid: sessionId, email: admin.email, type: 'access' },
+        JWT_CONFIG.secret,
+        { expiresIn: JWT_CONFIG.accessTokenTtl, issuer: JWT_CONFIG.issuer }
+    );
+    const { iat, exp } = jwt.decode(token);
+
+    return { token, expiresIn: exp - iat };
+}
+
+/**
+ * Build the token response returned to clients
+ * @param {Object} admin - Admin row
+ * @param {string} sessionId - Session ID
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Object} Token payload
+ */
+function buildTokenResponse(admin, sessionId, refreshToken) {
+    const access = signAccessToken(admin, sessionId);
+
+    return {
+        access_token: access.token,
+        token_type: 'Bearer',
+        expires_in: access.expiresIn,
+        refresh_token: refreshToken,
+        session_id: sessionId
+    };
+}
+
+/**
+ * Create a new session and issue its first token pair
+ * @param {Object} admin - Admin row
+ * @param {Object} client - Client details (ip, userAgent)
+ * @returns {Promise<Object>} Token payload
+ */
+async function createSession(admin, client = {}) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = generateRefreshToken();
+
+    await db.execute(`
+        INSERT INTO admin_session (id, admin_id, refresh_token_hash, user_agent, ip_address, last_seen_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))
+    `, [
+        sessionId, admin.id, hashToken(refreshToken),
+        (client.userAgent || '').slice(0, 255) || null, client.ip || null,
+        JWT_CONFIG.refreshTokenTtlDays
+    ]);
+
+    return buildTokenResponse(admin, sessionId, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Presenting an already rotated token revokes the whole session.
+ * @param {string} refreshToken - Plain refresh token
+ * @param {Object} client - Client details (ip, userAgent)
+ * @returns {Promise<Object|null>} Token payload with admin, or null if invalid
+ */
+async function rotateRefreshToken(refreshToken, client = {}) {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await db.fetchOne(`
+        SELECT s.id, s.admin_id, a.email
+        FROM admin_session s
+        JOIN admins a ON a.id = s.admin_id AND a.deleted_at IS NULL
+        WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+        LIMIT 1
+    `, [tokenHash]);
+
+    if (!session) {
+        const reused = await db.fetchOne(
+            "SELECT id FROM admin_session WHERE previous_token_hash = ? AND revoked_at IS NULL LIMIT 1",
+            [tokenHash]
+        );
+        if (reused) {
+            console.warn(`⚠️ Refresh token reuse detected, revoking session ${reused.id}`);
+            await revokeSession(reused.id);
+        }
+        return null;
+    }
+
+    const newRefreshToken = generateRefreshToken();
+    const result = await db.execute(`
+        UPDATE admin_session
+        SET refresh_token_hash = ?, previous_token_hash = ?, last_seen_at = NOW(),
+            ip_address = COALESCE(?, ip_address)
+        WHERE id = ? AND refresh_token_hash = ?
+    `, [hashToken(newRefreshToken), tokenHash, client.ip || null, session.id, tokenHash]);
+
+    // Lost a race against a concurrent refresh with the same token
+    if (result.affected_rows === 0) {
+        return null;
+    }
+
+    const admin = { id: session.admin_id, email: session.email };
+    return { admin, ...buildTokenResponse(admin, session.id, newRefreshToken) };
+}
+
+/**
+ * Verify an access token and make sure its session is still active
+ * Also records the session activity, at most once per sessionTouchSeconds.
+ * @param {string} token - JWT access token
+ * @param {Object} client - Client details (ip)
+ * @returns {Promise<Object|null>} Token claims (adminId, sessionId) or null if invalid
+ */
+async function verifyAccessToken(token, client = {}) {
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_CONFIG.secret, { issuer: JWT_CONFIG.issuer });
+    } catch (error) {
+        return null;
+    }
+
+    if (payload.type !== 'access' || !payload.sid) {
+        return null;
+    }
+
+    const session = await db.fetchOne(`
+        SELECT id, TIMESTAMPDIFF(SECOND, last_seen_at, NOW()) AS idle_seconds
+        FROM admin_session
+        WHERE id = ? AND admin_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+        LIMIT 1
+    `, [payload.sid, payload.sub]);
+
+    if (!session) {
+        return null;
+    }
+
+    if (session.idle_seconds === null || session.idle_seconds >= JWT_CONFIG.sessionTouchSeconds) {
+        await db.execute(
+            "UPDATE admin_session SET last_seen_at = NOW(), ip_address = COALESCE(?, ip_address) WHERE id = ?",
+            [client.ip || null, session.id]
+        );
+    }
+
+    return { adminId: parseInt(payload.sub), sessionId: payload.sid, payload };
+}
+
+/**
+ * Fingerprint of an admin's password and 2FA secret, which changes when either does
+ * @param {Object} admin - Admin row (password_hash, totp_secret)
+ * @returns {string} HMAC of both, keyed with the JWT secret
+ */
+function credentialStamp(admin) {
+    return crypto.createHmac('sha256', JWT_CONFIG.secret)
+        .update(`${admin.password_hash || ''}:${admin.totp_secret || ''}`)
+        .digest('base64url');
+}
+
+/**
+ * Sign the short-lived token that links the password step of a login to its 2FA step
+ * The token carries the credential stamp, so a password reset or a 2FA reset voids it.
+ * @param {Object} admin - Admin row (id, password_hash, totp_secret)
+ * @returns {Object} Token and its lifetime in seconds
+ */
+function signMfaToken(admin) {
+    const token = jwt.sign(
+        { sub: String(admin.id), cst: credentialStamp(admin), type: 'mfa' },
+        JWT_CONFIG.secret,
+        { expiresIn: JWT_CONFIG.mfaTokenTtl, issuer: JWT_CONFIG.issuer }
+    );
+    const { iat, exp } = jwt.decode(token);
+
+    return { token, expiresIn: exp - iat };
+}
+
+/**
+ * Verify a 2FA login token
+ * Check the credential stamp against the admin's current row with credentialStamp.
+ * @param {string} token - Token from signMfaToken
+ * @returns {Object|null} { adminId, credentialStamp } or null if invalid
+ */
+function verifyMfaToken(token) {
+    try {
+        const payload = jwt.verify(token, JWT_CONFIG.secret, { issuer: JWT_CONFIG.issuer });
+        return payload.type === 'mfa' && payload.cst
+            ? { adminId: parseInt(payload.sub), credentialStamp: payload.cst }
+            : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * List the active sessions of an admin, most recently used first
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<Array<Object>>} Sessions (id, user_agent, ip_address, created_at, last_seen_at, expires_at)
+ */
+async function listSessions(adminId) {
+    return db.fetchAll(`
+        SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+        FROM admin_session
+        WHERE admin_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+        ORDER BY COALESCE(last_seen_at, created_at) DESC
+    `, [adminId]);
+}
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {number|null} adminId - Only revoke the session if it belongs to this admin
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+async function revokeSession(sessionId, adminId = null) {
+    let sql = "UPDATE admin_session SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL";
+    const params = [sessionId];
+
+    if (adminId !== null) {
+        sql += " AND admin_id = ?";
+        params.push(adminId);
+    }
+
+    const result = await db.execute(sql, params);
+    return result.affected_rows > 0;
+}
+
+/**
+ * Revoke a session by its current refresh token
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+async function revokeRefreshToken(refreshToken) {
+    const result = await db.execute(
+        "UPDATE admin_session SET revoked_at = NOW() WHERE refresh_token_hash = ? AND revoked_at IS NULL",
+        [hashToken(refreshToken)]
+    );
+    return result.affected_rows > 0;
+}
+
+/**
+ * Revoke every active session of an admin
+ * @param {number} adminId - Admin ID
+ * @param {string|null} exceptSessionId - Session to keep (e.g. the caller's own)
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+async function revokeAllSessions(adminId, exceptSessionId = null) {
+    const result = await db.execute(
+        "UPDATE admin_session SET revoked_at = NOW() WHERE admin_id = ? AND revoked_at IS NULL AND id <> ?",
+        [adminId, exceptSessionId || '']
+    );
+    return result.affected_rows;
+}
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+module.exports = {
+    hashToken,
+    createSession,
+    rotateRefreshToken,
+    verifyAccessToken,
+    credentialStamp,
+    signMfaToken,
+    verifyMfaToken,
+    listSessions,
+    revokeSession,
+    revokeRefreshToken,
+    revokeAllSessions,
+    getBearerToken,
+    JWT_CONFIG
+};
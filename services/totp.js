@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by every common authenticator app
+const TOTP_CONFIG = {
+    issuer: process.env.TOTP_ISSUER || 'KEOS',
+    digits: 6,
+    period: 30,
+    algorithm: 'sha1',
+    // Accepted clock drift, in periods before and after the current one
+    window: 1
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute an HOTP code (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+function generateHotp(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(TOTP_CONFIG.algorithm, base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** TOTP_CONFIG.digits)).padStart(TOTP_CONFIG.digits, '0');
+}
+
+/**
+ * Time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} TOTP time step
+ */
+function timeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / TOTP_CONFIG.period);
+}
+
+/**
+ * Compute the TOTP code for a timestamp
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Code
+ */
+function generateTotp(secret, timestamp = Date.now()) {
+    return generateHotp(secret, timeStep(timestamp));
+}
+
+/**
+ * Verify a TOTP code, tolerating TOTP_CONFIG.window steps of clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number|null} Matching time step (for replay protection) or null
+ */
+function verifyTotp(secret, code, timestamp = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_CONFIG.digits) {
+        return null;
+    }
+
+    const current = timeStep(timestamp);
+    for (let step = current - TOTP_CONFIG.window; step <= current + TOTP_CONFIG.window; step++) {
+        const expected = generateHotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually via QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label, e.g. the admin email
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_CONFIG.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_CONFIG.issuer,
+        algorithm: TOTP_CONFIG.algorithm.toUpperCase(),
+        digits: String(TOTP_CONFIG.digits),
+        period: String(TOTP_CONFIG.period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    TOTP_CONFIG,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHotp,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const totp = require('./totp');
+const { hashToken } = require('./tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets are encrypted at rest (AES-256-GCM) with TOTP_ENCRYPTION_KEY, which only
+// development may leave unset
+if (!process.env.TOTP_ENCRYPTION_KEY) {
+    if (process.env.NODE_ENV !== 'development') {
+        throw new Error('TOTP_ENCRYPTION_KEY is not set (only NODE_ENV=development may run without it)');
+    }
+    console.warn('⚠️ TOTP_ENCRYPTION_KEY is not set - 2FA secrets are encrypted with an insecure development key');
+}
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || 'keos-api-insecure-development-totp-key')
+    .digest();
+
+// Encrypt a base32 secret as "v1:<iv>:<tag>:<ciphertext>"
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return ['v1', iv, cipher.getAuthTag(), encrypted].map(part =>
+        Buffer.isBuffer(part) ? part.toString('base64url') : part
+    ).join(':');
+}
+
+// Decrypt a stored secret, or null if it cannot be read (e.g. the key changed)
+function decryptSecret(stored) {
+    const [version, iv, tag, encrypted] = String(stored || '').split(':');
+    if (version !== 'v1' || !encrypted) {
+        return null;
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(iv, 'base64url'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        console.error('Failed to decrypt TOTP secret:', error.message);
+        return null;
+    }
+}
+
+// Recovery codes are compared case-insensitively and without separators
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^0-9a-z]/g, '');
+}
+
+/**
+ * Two-factor status of an admin
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<Object>} { enabled, pending, confirmed_at, recovery_codes_remaining }
+ */
+async function getStatus(adminId) {
+    const admin = await db.fetchOne(
+        "SELECT totp_secret, totp_enabled, totp_confirmed_at FROM admins WHERE id = ?",
+        [adminId]
+    );
+    const remaining = await db.fetchOne(
+        "SELECT COUNT(*) AS count FROM admin_recovery_code WHERE admin_id = ? AND used_at IS NULL",
+        [adminId]
+    );
+
+    return {
+        enabled: Boolean(admin && admin.totp_enabled),
+        pending: Boolean(admin && !admin.totp_enabled && admin.totp_secret),
+        confirmed_at: admin ? admin.totp_confirmed_at : null,
+        recovery_codes_remaining: remaining ? remaining.count : 0
+    };
+}
+
+/**
+ * Start enrollment: store a new, not yet enabled secret
+ * @param {Object} admin - Admin (id, email)
+ * @returns {Promise<Object>} { secret, otpauth_url } for the authenticator app
+ */
+async function startEnrollment(admin) {
+    const secret = totp.generateSecret();
+
+    await db.execute(`
+        UPDATE admins SET totp_secret = ?, totp_enabled = 0, totp_confirmed_at = NULL, totp_last_step = NULL
+        WHERE id = ?
+    `, [encryptSecret(secret), admin.id]);
+
+    return { secret, otpauth_url: totp.buildOtpauthUri(secret, admin.email) };
+}
+
+/**
+ * Check a TOTP code against the stored secret, rejecting reused codes
+ * @param {number} adminId - Admin ID
+ * @param {string} code - Code from the authenticator app
+ * @param {boolean} requireEnabled - Whether 2FA must already be enabled
+ * @returns {Promise<boolean>} Whether the code is valid
+ */
+async function verifyCode(adminId, code, requireEnabled = true) {
+    const admin = await db.fetchOne(
+        "SELECT totp_secret, totp_enabled FROM admins WHERE id = ?",
+        [adminId]
+    );
+    if (!admin || !admin.totp_secret || (requireEnabled && !admin.totp_enabled)) {
+        return false;
+    }
+
+    const secret = decryptSecret(admin.totp_secret);
+    const step = secret ? totp.verifyTotp(secret, code) : null;
+    if (step === null) {
+        return false;
+    }
+
+    // Each time step may only be used once
+    const result = await db.execute(`
+        UPDATE admins SET totp_last_step = ?
+        WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+    `, [step, adminId, step]);
+
+    return result.affected_rows > 0;
+}
+
+/**
+ * Replace the recovery codes of an admin
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<Array<string>>} New plain codes (shown once)
+ */
+async function regenerateRecoveryCodes(adminId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await db.transaction(async (tx) => {
+        await tx.execute("DELETE FROM admin_recovery_code WHERE admin_id = ?", [adminId]);
+        for (const code of codes) {
+            await tx.execute(
+                "INSERT INTO admin_recovery_code (admin_id, code_hash) VALUES (?, ?)",
+                [adminId, hashToken(normalizeRecoveryCode(code))]
+            );
+        }
+    });
+
+    return codes;
+}
+
+/**
+ * Confirm enrollment with a first code and enable 2FA
+ * @param {number} adminId - Admin ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null if the code is invalid
+ */
+async function confirmEnrollment(adminId, code) {
+    if (!await verifyCode(adminId, code, false)) {
+        return null;
+    }
+
+    await db.execute(
+        "UPDATE admins SET totp_enabled = 1, totp_confirmed_at = NOW() WHERE id = ?",
+        [adminId]
+    );
+
+    return regenerateRecoveryCodes(adminId);
+}
+
+/**
+ * Consume a single-use recovery code
+ * @param {number} adminId - Admin ID
+ * @param {string} code - Recovery code
+ * @returns {Promise<boolean>} Whether the code was valid and unused
+ */
+async function useRecoveryCode(adminId, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) {
+        return false;
+    }
+
+    const result = await db.execute(`
+        UPDATE admin_recovery_code SET used_at = NOW()
+        WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL
+    `, [adminId, hashToken(normalized)]);
+
+    return result.affected_rows > 0;
+}
+
+/**
+ * Verify the second factor of a login: a TOTP code or a recovery code
+ * @param {number} adminId - Admin ID
+ * @param {Object} input - { code } or { recovery_code }
+ * @returns {Promise<string|null>} Method used ('totp' or 'recovery_code') or null if invalid
+ */
+async function verifySecondFactor(adminId, input) {
+    if (input.code && await verifyCode(adminId, input.code)) {
+        return 'totp';
+    }
+    if (input.recovery_code && await useRecoveryCode(adminId, input.recovery_code)) {
+        return 'recovery_code';
+    }
+    return null;
+}
+
+/**
+ * Disable 2FA and drop the secret and recovery codes
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<boolean>} Whether the admin exists
+ */
+async function disable(adminId) {
+    const result = await db.execute(`
+        UPDATE admins SET totp_secret = NULL, totp_enabled = 0, totp_confirmed_at = NULL, totp_last_step = NULL
+        WHERE id = ?
+    `, [adminId]);
+    await db.execute("DELETE FROM admin_recovery_code WHERE admin_id = ?", [adminId]);
+
+    return result.affected_rows > 0;
+}
+
+module.exports = {
+    RECOVERY_CODE_COUNT,
+    getStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifyCode,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disable
+};